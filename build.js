@@ -1,9 +1,12 @@
 import { build } from 'vite';
 import { resolve } from 'path';
-import { copyFileSync, mkdirSync, existsSync } from 'fs';
+import { copyFileSync, mkdirSync, existsSync, cpSync } from 'fs';
 
 const __dirname = new URL('.', import.meta.url).pathname;
 
+// Content scripts that import shared modules; each is bundled into a classic script
+const BUNDLED_CONTENT_SCRIPTS = ['anchoring', 'highlightCategories'];
+
 async function buildExtension() {
   console.log('🔨 Building Rami...\n');
 
@@ -17,6 +20,7 @@ async function buildExtension() {
           popup: resolve(__dirname, 'index.html'),
           options: resolve(__dirname, 'options.html'),
           dashboard: resolve(__dirname, 'dashboard.html'),
+          offscreen: resolve(__dirname, 'offscreen.html'),
         },
         output: {
           entryFileNames: '[name].js',
@@ -33,6 +37,7 @@ async function buildExtension() {
   mkdirSync('dist/src/background', { recursive: true });
   mkdirSync('dist/src/content', { recursive: true });
   mkdirSync('dist/src/utils', { recursive: true });
+  mkdirSync('dist/src/storage', { recursive: true });
   mkdirSync('dist/icons', { recursive: true });
 
   // Copy manifest
@@ -45,12 +50,42 @@ async function buildExtension() {
 
   // Copy content scripts
   console.log('📝 Copying content scripts...');
-  copyFileSync('src/content/reader.js', 'dist/src/content/reader.js');
-  copyFileSync('src/content/reader.css', 'dist/src/content/reader.css');
+  cpSync('src/content', 'dist/src/content', { recursive: true });
+  for (const name of BUNDLED_CONTENT_SCRIPTS) {
+    await build({
+      configFile: false,
+      logLevel: 'warn',
+      build: {
+        lib: {
+          entry: resolve(__dirname, `src/content/${name}.js`),
+          formats: ['iife'],
+          name,
+          fileName: () => `${name}.js`,
+        },
+        outDir: 'dist/src/content',
+        emptyOutDir: false,
+        copyPublicDir: false,
+        minify: false,
+      },
+    });
+  }
+
+  // Copy KaTeX for formulas in reader mode (loaded into pages on demand)
+  console.log('➗ Copying KaTeX...');
+  mkdirSync('dist/vendor/katex', { recursive: true });
+  copyFileSync('node_modules/katex/dist/katex.min.js', 'dist/vendor/katex/katex.min.js');
+  copyFileSync('node_modules/katex/dist/katex.min.css', 'dist/vendor/katex/katex.min.css');
+  cpSync('node_modules/katex/dist/fonts', 'dist/vendor/katex/fonts', { recursive: true });
 
   // Copy utils (needed by background script)
   console.log('🔧 Copying utils...');
   copyFileSync('src/utils/summarize.js', 'dist/src/utils/summarize.js');
+  copyFileSync('src/utils/markdown.js', 'dist/src/utils/markdown.js');
+  copyFileSync('src/utils/highlightCategories.js', 'dist/src/utils/highlightCategories.js');
+
+  // Copy storage modules (imported by background script)
+  console.log('🗄️  Copying storage modules...');
+  cpSync('src/storage', 'dist/src/storage', { recursive: true });
 
   // Copy icons if they exist
   console.log('🎨 Copying icons...');
@@ -4,10 +4,42 @@
  */
 
 // Import AI utilities
-import { summarizeText } from '../utils/summarize.js';
-
-// Configuration constants
-const MAX_READINGS = 50; // Limit readings to prevent storage quota issues (Chrome has 10MB limit)
+import { summarizeText, explainPassage } from '../utils/summarize.js';
+import { importLegacyReadings } from '../storage/readingsRepository.js';
+import { findHighlightsForPage } from '../storage/highlightsRepository.js';
+import { rebuildSearchIndex } from '../storage/searchIndex.js';
+import { runMigrations, initializeSchemaVersion } from '../storage/migrations.js';
+import { enqueueMutation, isStorageMessage, handleStorageMessage } from '../storage/storageService.js';
+import { DUPLICATE_ACTIONS } from '../storage/duplicateActions.js';
+import { resolveCanonicalUrl } from '../storage/urls.js';
+import { TRASH_PURGE_ALARM, DEFAULT_TRASH_RETENTION_DAYS, purgeExpiredTrash } from '../storage/trash.js';
+import { startLibrarySync } from '../storage/syncService.js';
+import { getCategories, findCategory } from '../utils/highlightCategories.js';
+
+// Re-saves waiting on the user's choice in a notification, keyed by notification id
+const pendingDuplicateSaves = new Map();
+
+// Multi-page captures in progress, keyed by the tab the capture started from
+const pageCaptures = new Map();
+
+// Last stitched capture { url, data, time }, reused when a duplicate save is sent again
+let lastStitchedCapture = null;
+const STITCHED_CAPTURE_TTL_MS = 2 * 60 * 1000;
+
+const MAX_STITCHED_PAGES = 20;
+
+// Frames other than the most relevant one are kept only with this share of its relevance and this much text
+const FRAME_RELEVANCE_RATIO = 0.4;
+const MIN_FRAME_TEXT_LENGTH = 500;
+const PAGE_LOAD_TIMEOUT_MS = 30000;
+
+// Figure thumbnails stored with a reading (longest side, in pixels)
+const THUMBNAIL_SIZE = 240;
+const MIN_FIGURE_SIZE = 48;
+const FIGURE_FETCH_TIMEOUT_MS = 10000;
+
+// Keep preferences and reading metadata in step with the user's other machines
+startLibrarySync();
 
 // Installation and updates
 chrome.runtime.onInstalled.addListener((details) => {
@@ -21,10 +53,10 @@ chrome.runtime.onInstalled.addListener((details) => {
                 theme: 'light',
                 mindmapMode: 'reactflow',
                 autoSummarize: true,
+                trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
             },
-            readings: [],
-            highlights: [],
         });
+        initializeSchemaVersion();
 
         // Open welcome page
         chrome.tabs.create({
@@ -32,6 +64,19 @@ chrome.runtime.onInstalled.addListener((details) => {
         });
     }
 
+    // Move readings saved by older versions out of chrome.storage.local,
+    // bring stored records up to the current schema on update,
+    // then rebuild the search index so it matches the current tokenizer.
+    // Queued so no message-driven write lands halfway through.
+    enqueueMutation(() => importLegacyReadings()
+        .then(() => details.reason === 'update' && runMigrations())
+        .then(() => rebuildSearchIndex()))
+        .catch((error) => {
+            console.error('Failed to prepare reading library:', error);
+        });
+
+    scheduleTrashPurge();
+
     // Create context menu items
     chrome.contextMenus.create({
         id: 'save-reading',
@@ -39,6 +84,18 @@ chrome.runtime.onInstalled.addListener((details) => {
         contexts: ['page'],
     });
 
+    chrome.contextMenus.create({
+        id: 'pick-article-area',
+        title: 'Pick Article Area to Save…',
+        contexts: ['page'],
+    });
+
+    chrome.contextMenus.create({
+        id: 'save-selection',
+        title: 'Save Selection as Reading',
+        contexts: ['selection'],
+    });
+
     chrome.contextMenus.create({
         id: 'summarize-selection',
         title: 'Summarize Selection',
@@ -46,6 +103,33 @@ chrome.runtime.onInstalled.addListener((details) => {
     });
 });
 
+chrome.runtime.onStartup.addListener(() => {
+    scheduleTrashPurge();
+});
+
+// Purge expired items from the Trash once a day
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== TRASH_PURGE_ALARM) return;
+
+    try {
+        const { preferences } = await chrome.storage.local.get('preferences');
+        const retentionDays = preferences?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+        await enqueueMutation(() => purgeExpiredTrash(retentionDays));
+    } catch (error) {
+        console.error('Failed to purge the Trash:', error);
+    }
+});
+
+/**
+ * Create the daily Trash purge alarm (kept if it already exists)
+ */
+async function scheduleTrashPurge() {
+    const existing = await chrome.alarms.get(TRASH_PURGE_ALARM);
+    if (!existing) {
+        chrome.alarms.create(TRASH_PURGE_ALARM, { delayInMinutes: 1, periodInMinutes: 24 * 60 });
+    }
+}
+
 // Context menu click handler
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
     switch (info.menuItemId) {
@@ -53,22 +137,105 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
             await saveCurrentPage(tab);
             break;
 
+        case 'pick-article-area':
+            await startElementPicker(tab);
+            break;
+
+        case 'save-selection':
+            await saveSelection(info, tab);
+            break;
+
         case 'summarize-selection':
             await summarizeSelection(info, tab);
             break;
     }
 });
 
+// Refresh-or-keep choice for a page saved from the context menu that was already saved
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+    // Stop or cancel buttons on a multi-page capture's progress notification
+    const capture = [...pageCaptures.values()].find(c => c.notificationId === notificationId);
+    if (capture) {
+        stopPageCapture(capture, buttonIndex === 0 ? 'keep' : 'cancel');
+        return;
+    }
+
+    const data = pendingDuplicateSaves.get(notificationId);
+    if (!data) return;
+
+    pendingDuplicateSaves.delete(notificationId);
+    chrome.notifications.clear(notificationId);
+
+    const onDuplicate = buttonIndex === 0 ? DUPLICATE_ACTIONS.REFRESH : DUPLICATE_ACTIONS.KEEP;
+    try {
+        const result = await saveReading(data, onDuplicate);
+        notifySaved(result);
+    } catch (error) {
+        console.error('Failed to update reading:', error);
+    }
+});
+
+chrome.notifications.onClosed.addListener((notificationId) => {
+    pendingDuplicateSaves.delete(notificationId);
+});
+
 // Message handler for communication between components
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    // Handled by the offscreen document
+    if (request.target === 'offscreen') return false;
+
+    // Library writes from any surface go through the storage service queue
+    if (isStorageMessage(request)) {
+        handleStorageMessage(request).then(sendResponse);
+        return true;
+    }
+
     (async () => {
         try {
             switch (request.action) {
                 case 'save-reading':
-                    const result = await saveReading(request.data);
+                    const result = await saveReading(request.data, request.onDuplicate);
                     sendResponse({ success: true, data: result });
                     break;
 
+                case 'save-page':
+                    const tab = await chrome.tabs.get(request.tabId);
+                    const savedPage = await saveCurrentPage(tab, request.data, request.onDuplicate);
+                    sendResponse({ success: true, data: savedPage });
+                    break;
+
+                case 'start-element-picker':
+                    const pickerTab = await chrome.tabs.get(request.tabId);
+                    await startElementPicker(pickerTab);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'save-picked-area':
+                    const savedArea = await savePickedArea(sender.tab, request.selector, request.remember);
+                    sendResponse({ success: true, data: savedArea });
+                    break;
+
+                case 'load-math-renderer':
+                    // Reader mode renders formulas with KaTeX, injected only into pages that have some
+                    await chrome.scripting.executeScript({
+                        target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+                        files: ['vendor/katex/katex.min.js'],
+                    });
+                    sendResponse({ success: true });
+                    break;
+
+                case 'extract-page':
+                    const pageTab = await chrome.tabs.get(request.tabId);
+                    const extracted = await extractTabContent(pageTab);
+                    sendResponse({ success: true, data: extracted });
+                    break;
+
+                case 'cancel-page-capture':
+                    const capture = pageCaptures.get(request.tabId);
+                    if (capture) stopPageCapture(capture, request.keepPages ? 'keep' : 'cancel');
+                    sendResponse({ success: true, data: Boolean(capture) });
+                    break;
+
                 case 'summarize':
                     console.log('📨 Background: Received summarize request');
                     const summary = await performSummarization(request.text, request.options);
@@ -76,6 +243,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     sendResponse({ success: true, data: summary });
                     break;
 
+                case 'explain-passage':
+                    const explanation = await explainHighlightedPassage(request.text, request.context);
+                    sendResponse(explanation);
+                    break;
+
                 case 'check-ai-availability':
                     const availability = await checkAIStatus();
                     sendResponse({ success: true, data: availability });
@@ -94,12 +266,18 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                     sendResponse(highlightResult);
                     break;
 
+                case 'get-page-highlights':
+                    // Content scripts can't open the extension's database; reads don't need the mutation queue
+                    const pageHighlights = await findHighlightsForPage(request.url || sender.tab.url);
+                    sendResponse({ success: true, data: pageHighlights });
+                    break;
+
                 default:
                     sendResponse({ success: false, error: 'Unknown action' });
             }
         } catch (error) {
             console.error('Background script error:', error);
-            sendResponse({ success: false, error: error.message });
+            sendResponse({ success: false, error: error.message, cancelled: error.name === 'AbortError' });
         }
     })();
 
@@ -109,81 +287,544 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 /**
  * Save current page as a reading
+ * @param {Object} tab - Tab to capture
+ * @param {Object} extras - Extra reading fields, e.g. { tags, collections } from the Popup picker
+ * @param {string} onDuplicate - One of DUPLICATE_ACTIONS. Without one (context menu),
+ *   an already saved page asks through a notification.
+ * @param {Object} extraction - Options for extractTabContent
+ * @returns {Promise<Object>} { status, reading } from the storage service
  */
-async function saveCurrentPage(tab) {
+async function saveCurrentPage(tab, extras = {}, onDuplicate, extraction = {}) {
     try {
-        // Inject content script if needed
-        await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            files: ['src/content/reader.js'],
-        });
-
-        // Get page content
-        const [result] = await chrome.scripting.executeScript({
-            target: { tabId: tab.id },
-            func: extractPageContent,
-        });
-
-        const extractedData = result.result;
+        const extractedData = await extractTabContent(tab, extraction);
+        console.log('📄 Extracted content length:', extractedData.length, 'characters');
 
-        const reading = {
-            id: Date.now().toString(),
+        const data = {
             title: extractedData.title || tab.title, // Prefer extracted title
             url: tab.url,
-            content: extractedData.content,
+            canonicalUrl: resolveCanonicalUrl({
+                url: tab.url,
+                canonicalLink: extractedData.canonicalLink,
+                ogUrl: extractedData.ogUrl,
+            }),
+            content: extractedData.markdown || extractedData.text, // Markdown keeps headings, lists and code
             excerpt: extractedData.excerpt,
-            timestamp: new Date().toISOString(),
+            byline: extractedData.byline,
+            authors: extractedData.authors,
+            publishedAt: extractedData.publishedAt,
+            modifiedAt: extractedData.modifiedAt,
+            siteName: extractedData.siteName,
+            language: extractedData.language,
+            contentType: extractedData.contentType,
+            pageCount: extractedData.pageCount,
+            pageUrls: extractedData.pageUrls,
+            figures: extractedData.figures,
+            tags: extras.tags || [],
+            collections: extras.collections || [],
         };
 
-        // Save to storage with size limit
-        const { readings = [] } = await chrome.storage.local.get('readings');
-        readings.unshift(reading);
+        const saved = await saveReading(data, onDuplicate || DUPLICATE_ACTIONS.ASK);
 
-        // Enforce size limit to prevent storage quota issues
-        if (readings.length > MAX_READINGS) {
-            const removed = readings.splice(MAX_READINGS);
-            console.log(`⚠️ Removed ${removed.length} old readings (limit: ${MAX_READINGS})`);
+        if (saved.status === 'duplicate' && !onDuplicate) {
+            askAboutDuplicate(data, saved.reading);
+        } else if (saved.status !== 'duplicate') {
+            notifySaved(saved);
         }
 
-        await chrome.storage.local.set({ readings });
+        return saved;
+    } catch (error) {
+        console.error('Failed to save reading:', error);
+        throw error;
+    }
+}
 
-        // Show notification
-        chrome.notifications.create({
-            type: 'basic',
-            iconUrl: 'icons/icon48.png',
-            title: 'Reading Saved',
-            message: `"${tab.title}" has been saved to Rami`,
+/**
+ * Extract the readable content of a tab
+ * Web pages go through the shared article extractor (with site adapters), following
+ * pagination across pages; PDFs are parsed with pdf.js in the offscreen document.
+ * @param {Object} tab - Tab to read
+ * @param {Object} options - { siteAdapters: adapters tried before the user's saved ones }
+ * @returns {Promise<Object>} Extractor output (title, markdown, text, metadata)
+ */
+async function extractTabContent(tab, { siteAdapters: extraAdapters = [] } = {}) {
+    if (await isPdfTab(tab)) {
+        console.log('📑 Extracting PDF:', tab.url);
+        return await extractPdfInOffscreen(tab.url);
+    }
+
+    const { preferences = {} } = await chrome.storage.local.get('preferences');
+    const siteAdapters = [...extraAdapters, ...(preferences.siteAdapters || [])];
+
+    // Inject the reader content script if needed (top frame only)
+    await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['src/content/anchoring.js', 'src/content/highlightCategories.js', 'src/content/reader.js'],
+    });
+    const article = await extractArticleInTab(tab.id, siteAdapters);
+
+    if (!article.pagination?.nextUrl) {
+        return { ...article, contentType: 'html', pageCount: 1, pageUrls: [tab.url] };
+    }
+
+    // Asking about a duplicate saves twice; don't walk the pages again for the second save
+    if (extraAdapters.length === 0 && lastStitchedCapture?.url === tab.url && Date.now() - lastStitchedCapture.time < STITCHED_CAPTURE_TTL_MS) {
+        return lastStitchedCapture.data;
+    }
+
+    const stitched = await stitchPages(tab, article, siteAdapters);
+    lastStitchedCapture = { url: tab.url, data: stitched, time: Date.now() };
+    return stitched;
+}
+
+/**
+ * Run the shared article extractor (with the user's site adapters) in every frame
+ * of a tab, so embedded readers and iframe-hosted articles are captured too
+ */
+async function extractArticleInTab(tabId, siteAdapters) {
+    await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        files: ['src/content/siteAdapters.js', 'src/content/extractor.js'],
+    });
+
+    const results = await chrome.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        func: (adapters) => {
+            try {
+                return document.body ? globalThis.RamiExtractor.extractArticle(document, { siteAdapters: adapters }) : null;
+            } catch (error) {
+                return null;
+            }
+        },
+        args: [siteAdapters],
+    });
+
+    const article = mergeFrameResults(results);
+    if (article.adapter) {
+        console.log('🧩 Extracted with site adapter:', article.adapter);
+    }
+    return article;
+}
+
+/**
+ * Combine per-frame extractions: the most relevant frame's content, followed by
+ * other frames that hold a comparable amount of article text. Page-level details
+ * (title, canonical URL, pagination) come from the top frame.
+ */
+function mergeFrameResults(results) {
+    const top = results.find(result => result.frameId === 0)?.result;
+    const ranked = results
+        .map(result => result.result)
+        .filter(article => article?.length > 0)
+        .sort((a, b) => b.relevance - a.relevance);
+
+    if (ranked.length === 0) {
+        if (!top) throw new Error('Could not read this page');
+        return top;
+    }
+
+    const [best] = ranked;
+    const included = ranked.filter(article => article === best
+        || (article.relevance >= best.relevance * FRAME_RELEVANCE_RATIO && article.length >= MIN_FRAME_TEXT_LENGTH));
+    if (included.length === 1 && included[0] === top) return top;
+
+    if (included.length > 1) {
+        console.log(`🪟 Merged article text from ${included.length} frames`);
+    }
+    const text = included.map(article => article.text).join('\n\n');
+
+    return {
+        ...(top || best),
+        excerpt: included.includes(top) ? top.excerpt : best.excerpt,
+        content: included.map(article => article.content).join('\n'),
+        blocks: included.flatMap(article => article.blocks),
+        figures: included.flatMap(article => article.figures || []),
+        markdown: included.map(article => article.markdown).join('\n\n'),
+        text,
+        length: text.length,
+        adapter: best.adapter,
+    };
+}
+
+/**
+ * Follow a paginated article's "next" links in a background tab and merge every
+ * page into one capture. The user can stop (keeping the pages so far) or cancel
+ * from the progress notification or the Popup.
+ * @param {Object} tab - Tab showing the first page
+ * @param {Object} firstPage - Extractor output for the first page
+ * @returns {Promise<Object>} Merged extractor output with pageCount and pageUrls
+ */
+async function stitchPages(tab, firstPage, siteAdapters) {
+    const capture = { stop: null, workerTabId: null, notificationId: `page-capture-${tab.id}` };
+    pageCaptures.set(tab.id, capture);
+
+    const pages = [{ url: tab.url, article: firstPage }];
+    const visited = new Set([tab.url.split('#')[0]]);
+    const totalPages = firstPage.pagination.totalPages;
+    let nextUrl = firstPage.pagination.nextUrl;
+
+    try {
+        while (nextUrl && !visited.has(nextUrl) && pages.length < MAX_STITCHED_PAGES && !capture.stop) {
+            visited.add(nextUrl);
+            reportCaptureProgress(tab.id, capture, pages.length + 1, totalPages);
+
+            let article;
+            try {
+                await loadInWorkerTab(capture, nextUrl, tab);
+                article = await extractArticleInTab(capture.workerTabId, siteAdapters);
+            } catch (error) {
+                // Keep the pages gathered so far when a later page won't load
+                if (!capture.stop) console.warn(`⚠️ Stopped at page ${pages.length + 1}:`, error);
+                break;
+            }
+            if (capture.stop) break;
+
+            // Some sites serve the last page again for out-of-range page numbers
+            if (pages.some(page => page.article.text === article.text)) break;
+
+            pages.push({ url: nextUrl, article });
+            nextUrl = article.pagination?.nextUrl;
+        }
+    } finally {
+        pageCaptures.delete(tab.id);
+        chrome.notifications.clear(capture.notificationId);
+        if (capture.workerTabId) {
+            chrome.tabs.remove(capture.workerTabId).catch(() => {});
+        }
+        chrome.runtime.sendMessage({ action: 'page-capture-progress', tabId: tab.id, done: true }).catch(() => {});
+    }
+
+    if (capture.stop === 'cancel') {
+        throw new DOMException('Page capture cancelled', 'AbortError');
+    }
+
+    console.log(`📚 Stitched ${pages.length} pages`);
+    return mergePages(pages);
+}
+
+/**
+ * Open a URL in the capture's background tab and wait until it has loaded
+ */
+function loadInWorkerTab(capture, url, sourceTab) {
+    return new Promise((resolve, reject) => {
+        let tabId = capture.workerTabId;
+
+        const finish = (error) => {
+            clearTimeout(timer);
+            chrome.tabs.onUpdated.removeListener(onUpdated);
+            chrome.tabs.onRemoved.removeListener(onRemoved);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onUpdated = (id, info) => {
+            if (id === tabId && info.status === 'complete') finish();
+        };
+        const onRemoved = (id) => {
+            if (id === tabId) finish(new DOMException('Page capture cancelled', 'AbortError'));
+        };
+        const timer = setTimeout(() => finish(new Error(`Timed out loading ${url}`)), PAGE_LOAD_TIMEOUT_MS);
+
+        chrome.tabs.onUpdated.addListener(onUpdated);
+        chrome.tabs.onRemoved.addListener(onRemoved);
+
+        const navigation = tabId
+            ? chrome.tabs.update(tabId, { url })
+            : chrome.tabs.create({ url, active: false, windowId: sourceTab.windowId, index: sourceTab.index + 1 })
+                .then((workerTab) => {
+                    tabId = workerTab.id;
+                    capture.workerTabId = workerTab.id;
+                });
+        navigation.catch(finish);
+    });
+}
+
+/**
+ * One capture from several pages; `<!-- page N -->` markers keep the page boundaries
+ */
+function mergePages(pages) {
+    const first = pages[0].article;
+    const markdown = pages
+        .map(({ article }, index) => `<!-- page ${index + 1} -->\n\n${article.markdown || article.text}`)
+        .join('\n\n');
+    const text = pages.map(({ article }) => article.text).join('\n\n');
+
+    return {
+        ...first,
+        content: pages.map(({ article }) => article.content).join('\n'),
+        markdown,
+        text,
+        length: text.length,
+        figures: pages.flatMap(({ article }) => article.figures || []),
+        contentType: 'html',
+        pageCount: pages.length,
+        pageUrls: pages.map(({ url }) => url),
+    };
+}
+
+function reportCaptureProgress(tabId, capture, page, totalPages) {
+    const position = totalPages ? `${page} of ${totalPages}` : page;
+
+    chrome.notifications.create(capture.notificationId, {
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'Saving a multi-page article',
+        message: `Fetching page ${position}…`,
+        buttons: [{ title: 'Stop and save pages so far' }, { title: 'Cancel' }],
+        silent: true,
+    });
+    chrome.runtime.sendMessage({ action: 'page-capture-progress', tabId, page, totalPages }).catch(() => {});
+}
+
+/**
+ * Stop walking an article's pages: 'keep' saves the pages fetched so far, 'cancel' saves nothing
+ */
+function stopPageCapture(capture, mode) {
+    capture.stop = mode;
+    if (capture.workerTabId) {
+        chrome.tabs.remove(capture.workerTabId).catch(() => {});
+    }
+}
+
+/**
+ * Whether a tab shows a PDF, by URL or by the document's content type
+ */
+async function isPdfTab(tab) {
+    let pathname = '';
+    try {
+        pathname = new URL(tab.url).pathname;
+    } catch {
+        return false;
+    }
+    if (/\.pdf$/i.test(pathname)) return true;
+
+    try {
+        const [result] = await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            func: () => document.contentType,
         });
+        return result?.result === 'application/pdf';
+    } catch {
+        // Chrome's PDF viewer doesn't accept scripts; an ordinary page would have
+        return false;
+    }
+}
+
+let creatingOffscreen = null;
+
+/**
+ * Open the offscreen document unless it is already open
+ */
+async function ensureOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({
+        contextTypes: ['OFFSCREEN_DOCUMENT'],
+        documentUrls: [chrome.runtime.getURL('offscreen.html')],
+    });
+    if (contexts.length > 0) return;
+
+    // Only one offscreen document may exist; concurrent callers share one creation
+    if (!creatingOffscreen) {
+        creatingOffscreen = chrome.offscreen.createDocument({
+            url: 'offscreen.html',
+            reasons: ['WORKERS'],
+            justification: 'Extract text from PDF documents with pdf.js',
+        }).finally(() => {
+            creatingOffscreen = null;
+        });
+    }
+    await creatingOffscreen;
+}
+
+async function extractPdfInOffscreen(url) {
+    await ensureOffscreenDocument();
+
+    const response = await chrome.runtime.sendMessage({ target: 'offscreen', action: 'extract-pdf', url });
+    if (!response?.success) {
+        throw new Error(response?.error || 'Could not read this PDF');
+    }
+    return response.data;
+}
+
+/**
+ * Save the text selected in a tab (in whichever frame it is) as its own reading
+ */
+async function saveSelection(info, tab) {
+    try {
+        const target = { tabId: tab.id, frameIds: [info.frameId || 0] };
+        await chrome.scripting.executeScript({ target, files: ['src/content/extractor.js'] });
+        const [result] = await chrome.scripting.executeScript({
+            target,
+            func: () => globalThis.RamiExtractor.extractSelection(),
+        });
+
+        // The selection's markup can't always be read (e.g. inside a PDF); fall back to its text
+        const selection = result?.result || { text: info.selectionText, excerpt: info.selectionText.substring(0, 300) };
+
+        const data = {
+            title: selection.title || tab.title,
+            url: tab.url,
+            canonicalUrl: resolveCanonicalUrl({ url: tab.url, canonicalLink: selection.canonicalLink, ogUrl: selection.ogUrl }),
+            content: selection.markdown || selection.text,
+            excerpt: selection.excerpt,
+            byline: selection.byline,
+            authors: selection.authors,
+            publishedAt: selection.publishedAt,
+            modifiedAt: selection.modifiedAt,
+            siteName: selection.siteName,
+            language: selection.language,
+            figures: selection.figures,
+            captureScope: 'selection',
+        };
 
-        return reading;
+        const saved = await saveReading(data, DUPLICATE_ACTIONS.ASK);
+        notifySaved(saved);
+        return saved;
     } catch (error) {
-        console.error('Failed to save reading:', error);
+        console.error('Failed to save selection:', error);
         throw error;
     }
 }
 
 /**
- * Save a reading from provided data
+ * Let the user point at the article on the page (reader.js element picker)
+ */
+async function startElementPicker(tab) {
+    await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['src/content/siteAdapters.js', 'src/content/extractor.js', 'src/content/anchoring.js', 'src/content/highlightCategories.js', 'src/content/reader.js'],
+    });
+    await chrome.tabs.sendMessage(tab.id, { action: 'start-element-picker' });
+}
+
+/**
+ * Save a page using the area the user picked; when asked, remember the area
+ * for the whole site as a user site adapter (editable in Options)
+ * @param {Object} tab - Tab the area was picked in
+ * @param {string} selector - CSS selector of the picked element
+ * @param {boolean} remember - Use this area for future saves on the site
  */
-async function saveReading(data) {
-    const reading = {
-        id: Date.now().toString(),
-        timestamp: new Date().toISOString(),
-        ...data,
+async function savePickedArea(tab, selector, remember) {
+    const { hostname } = new URL(tab.url);
+    const adapter = {
+        id: `picked-${hostname}`,
+        name: `${hostname} (picked area)`,
+        pattern: `*://${hostname}/*`,
+        content: selector,
+        enabled: true,
     };
 
-    const { readings = [] } = await chrome.storage.local.get('readings');
-    readings.unshift(reading);
+    if (remember) {
+        const response = await handleStorageMessage({ action: 'storage:save-site-adapter', adapter });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+    }
+
+    return saveCurrentPage(tab, {}, undefined, { siteAdapters: [adapter] });
+}
+
+/**
+ * Save a reading from provided data, deduplicated by canonical URL
+ * Thumbnails of the captured figures are stored afterwards, without holding up the save.
+ * @param {Object} data - Reading fields
+ * @param {string} onDuplicate - One of DUPLICATE_ACTIONS
+ * @returns {Promise<Object>} { status: 'created' | 'duplicate' | 'refreshed' | 'kept', reading }
+ */
+async function saveReading(data, onDuplicate = DUPLICATE_ACTIONS.ASK) {
+    const response = await handleStorageMessage({ action: 'storage:save-reading', data, onDuplicate });
+    if (!response.success) {
+        throw new Error(response.error);
+    }
+
+    const { status, reading } = response.data;
+    if ((status === 'created' || status === 'refreshed') && data.figures?.length > 0) {
+        storeFigureThumbnails(reading).catch(error => console.warn('⚠️ Could not store figure thumbnails:', error));
+    }
+    return response.data;
+}
+
+/**
+ * Make and store a small local thumbnail of each figure of a reading
+ */
+async function storeFigureThumbnails(reading) {
+    const assets = [];
+    for (const [index, figure] of reading.figures.entries()) {
+        try {
+            const thumbnail = await createThumbnail(figure.src);
+            if (thumbnail) assets.push({ index, src: figure.src, ...thumbnail });
+        } catch (error) {
+            // Images that won't load or decode (e.g. SVG) are shown by caption only
+            console.warn(`⚠️ No thumbnail for ${figure.src}:`, error.message);
+        }
+    }
+
+    const response = await handleStorageMessage({ action: 'storage:save-reading-assets', readingId: reading.id, assets });
+    if (!response.success) {
+        throw new Error(response.error);
+    }
+    console.log(`🖼️ Stored ${assets.length} figure thumbnails for "${reading.title}"`);
+}
+
+/**
+ * Downscale an image to a WebP thumbnail
+ * @returns {Promise<Object|null>} { thumbnail (data URL), width, height }, or null for icon-sized images
+ */
+async function createThumbnail(src) {
+    const response = await fetch(src, { signal: AbortSignal.timeout(FIGURE_FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
 
-    // Enforce size limit
-    if (readings.length > MAX_READINGS) {
-        const removed = readings.splice(MAX_READINGS);
-        console.log(`⚠️ Removed ${removed.length} old readings (limit: ${MAX_READINGS})`);
+    const bitmap = await createImageBitmap(await response.blob());
+    if (bitmap.width < MIN_FIGURE_SIZE && bitmap.height < MIN_FIGURE_SIZE) {
+        bitmap.close();
+        return null;
     }
 
-    await chrome.storage.local.set({ readings });
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type: 'image/webp', quality: 0.8 });
+    const thumbnail = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+    return { thumbnail, width, height };
+}
+
+/**
+ * Ask whether to refresh an already saved page or keep its old snapshot
+ */
+function askAboutDuplicate(data, existing) {
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: 'Already in Rami',
+        message: `"${existing.title}" was saved on ${new Date(existing.timestamp).toLocaleDateString()}. Refresh its content?`,
+        buttons: [{ title: 'Refresh content' }, { title: 'Keep old snapshot' }],
+        requireInteraction: true,
+    }, (notificationId) => {
+        pendingDuplicateSaves.set(notificationId, data);
+    });
+}
+
+function notifySaved({ status, reading }) {
+    const messages = {
+        created: `"${reading.title}" has been saved to Rami`,
+        refreshed: `"${reading.title}" was refreshed with the current page`,
+        kept: `Kept the saved snapshot of "${reading.title}"`,
+    };
 
-    return reading;
+    chrome.notifications.create({
+        type: 'basic',
+        iconUrl: 'icons/icon48.png',
+        title: status === 'created' ? 'Reading Saved' : 'Reading Updated',
+        message: messages[status],
+    });
 }
 
 /**
@@ -212,6 +853,18 @@ async function summarizeSelection(info, tab) {
     }
 }
 
+/**
+ * Explain a highlighted passage for the note popover in the page, in the user's persona
+ */
+async function explainHighlightedPassage(text, context = '') {
+    if (!text?.trim()) {
+        return { success: false, error: 'Nothing to explain' };
+    }
+
+    const { preferences } = await chrome.storage.local.get('preferences');
+    return explainPassage(text, context, { persona: preferences?.persona || 'mentor' });
+}
+
 /**
  * Check AI availability
  */
@@ -280,119 +933,19 @@ async function performSummarization(text, options = {}) {
     }
 }
 
-/**
- * Helper function to extract page content (runs in page context)
- * Intelligently extracts article content while filtering out navigation, headers, and ads
- */
-function extractPageContent() {
-    // Try multiple selectors for article content
-    let article = null;
-
-    // Try common article selectors in order of specificity
-    const articleSelectors = [
-        'article[role="main"]',
-        'article',
-        '[role="main"]',
-        'main article',
-        'main',
-        '.article-content',
-        '.post-content',
-        '.entry-content',
-        '#content article',
-        '#main-content',
-        '.content-area'
-    ];
-
-    for (const selector of articleSelectors) {
-        article = document.querySelector(selector);
-        if (article) {
-            console.log('✅ Found article using selector:', selector);
-            break;
-        }
-    }
-
-    // Fallback to body if no article found
-    if (!article) {
-        console.warn('⚠️ No article element found, using body');
-        article = document.body;
-    }
-
-    // Clone the article to avoid modifying the page
-    const articleClone = article.cloneNode(true);
-
-    // Remove unwanted elements that might contaminate the content
-    const unwantedSelectors = [
-        'nav', 'header', 'footer', 'aside',
-        '.navigation', '.nav', '.menu', '.sidebar',
-        '.advertisement', '.ad', '.ads', '.promo',
-        '.social-share', '.share-buttons',
-        '.comments', '.comment-section',
-        '.related-posts', '.recommended',
-        'script', 'style', 'iframe',
-        '.breadcrumb', '.breadcrumbs',
-        '[role="navigation"]', '[role="complementary"]',
-        '.header', '.site-header', '.page-header'
-    ];
-
-    unwantedSelectors.forEach(selector => {
-        const elements = articleClone.querySelectorAll(selector);
-        elements.forEach(el => el.remove());
-    });
-
-    // Get clean text content
-    let content = articleClone.innerText || articleClone.textContent || '';
-
-    // Clean up the content
-    content = content
-        .replace(/\n\s*\n\s*\n/g, '\n\n') // Remove excessive line breaks
-        .replace(/[ \t]+/g, ' ') // Normalize spaces
-        .trim();
-
-    // Try to find the main heading/title from the article
-    const titleElement = article.querySelector('h1') || document.querySelector('h1');
-    const title = titleElement ? titleElement.textContent.trim() : '';
-
-    // Create excerpt from first paragraph or beginning of content
-    const firstParagraph = article.querySelector('p');
-    let excerpt = '';
-    if (firstParagraph) {
-        excerpt = firstParagraph.textContent.trim().substring(0, 300);
-    } else {
-        excerpt = content.substring(0, 300);
-    }
-
-    console.log('📄 Extracted content length:', content.length, 'characters');
-    console.log('📝 Title:', title);
-    console.log('📋 Excerpt:', excerpt.substring(0, 100) + '...');
-
-    return {
-        content,
-        excerpt,
-        title: title || document.title
-    };
-}
-
 /**
  * Save a highlight
  */
 async function saveHighlight(data) {
-    try {
-        const highlight = {
-            id: Date.now().toString(),
-            timestamp: new Date().toISOString(),
-            color: 'yellow',
-            ...data,
-        };
-
-        const { highlights = [] } = await chrome.storage.local.get('highlights');
-        highlights.push(highlight);
-        await chrome.storage.local.set({ highlights });
-
-        return { success: true, data: highlight };
-    } catch (error) {
-        console.error('Failed to save highlight:', error);
-        return { success: false, error: error.message };
-    }
+    // Without a category the highlight goes to the first of the user's categories
+    const { preferences } = await chrome.storage.local.get('preferences');
+    const categories = getCategories(preferences);
+    const category = findCategory(categories, data.category) || categories[0];
+
+    return handleStorageMessage({
+        action: 'storage:add-highlight',
+        data: { ...data, category: category.id, color: data.color || category.color },
+    });
 }
 
 /**
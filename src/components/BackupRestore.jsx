@@ -0,0 +1,174 @@
+import React, { useState, useRef } from 'react';
+import { Download, Upload, Loader2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { exportLibrary, validateArchive, CONFLICT_POLICIES } from '../storage/backup';
+import { importLibrary } from '../storage/storageClient';
+
+const POLICY_OPTIONS = [
+  { value: CONFLICT_POLICIES.SKIP, label: 'Skip', description: 'Keep what you have; only add new items' },
+  { value: CONFLICT_POLICIES.OVERWRITE, label: 'Overwrite', description: 'Replace matching items with the backup' },
+  { value: CONFLICT_POLICIES.KEEP_BOTH, label: 'Keep both', description: 'Import matching items as copies' },
+];
+
+const SECTION_LABELS = {
+  readings: 'Readings',
+  highlights: 'Highlights',
+  collections: 'Collections',
+  promptChains: 'Prompt chains',
+  quizzes: 'Quiz attempts',
+  preferences: 'Preferences',
+};
+
+/**
+ * Backup & Restore Panel
+ * Exports the library to a versioned JSON archive and imports it back
+ */
+export default function BackupRestore() {
+  const [exporting, setExporting] = useState(false);
+  const [pending, setPending] = useState(null); // { archive, counts, fileName }
+  const [conflictPolicy, setConflictPolicy] = useState(CONFLICT_POLICIES.SKIP);
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    try {
+      const archive = await exportLibrary();
+      const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `rami-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('❌ Export failed:', err);
+      setError(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleFileChosen = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setResult(null);
+    setError(null);
+    try {
+      const parsed = JSON.parse(await file.text());
+      const { counts } = validateArchive(parsed);
+      setPending({ archive: parsed, counts, fileName: file.name, exportedAt: parsed.exportedAt });
+    } catch (err) {
+      console.error('❌ Invalid backup file:', err);
+      setPending(null);
+      setError(err instanceof SyntaxError ? 'That file is not valid JSON.' : err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!pending) return;
+
+    setImporting(true);
+    setError(null);
+    try {
+      const summary = await importLibrary(pending.archive, { conflictPolicy });
+      setResult(summary);
+      setPending(null);
+    } catch (err) {
+      console.error('❌ Import failed:', err);
+      setError(`Import failed: ${err.message}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-neutral-600 dark:text-neutral-400">
+        Export readings, highlights, quizzes, collections, prompt chains and preferences to a single file, or restore them from one. Items in the Trash are included and are restored to the Trash.
+      </p>
+
+      <div className="flex gap-3">
+        <button onClick={handleExport} disabled={exporting} className="btn-primary flex items-center gap-2">
+          {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+          Export Library
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} disabled={importing} className="btn-secondary flex items-center gap-2">
+          <Upload className="w-4 h-4" />
+          Import Backup…
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleFileChosen} className="hidden" />
+      </div>
+
+      {error && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {pending && (
+        <div className="p-4 rounded-lg border border-neutral-200 dark:border-neutral-700 space-y-4">
+          <div>
+            <div className="font-medium text-neutral-900 dark:text-neutral-100">{pending.fileName}</div>
+            {pending.exportedAt && <div className="text-xs text-neutral-500 dark:text-neutral-400">Exported {new Date(pending.exportedAt).toLocaleString()}</div>}
+            <div className="flex flex-wrap gap-2 mt-2">
+              {Object.entries(pending.counts).map(([section, count]) => (
+                <span key={section} className="badge-secondary">
+                  {SECTION_LABELS[section]}: {count}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-sm font-medium mb-2 text-neutral-900 dark:text-neutral-100">When an item already exists</div>
+            <div className="grid grid-cols-3 gap-2">
+              {POLICY_OPTIONS.map((option) => (
+                <label
+                  key={option.value}
+                  className={`p-3 rounded-lg border-2 cursor-pointer transition-all ${
+                    conflictPolicy === option.value ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20' : 'border-neutral-200 dark:border-neutral-700 hover:border-neutral-300'
+                  }`}
+                >
+                  <input type="radio" name="conflict-policy" value={option.value} checked={conflictPolicy === option.value} onChange={() => setConflictPolicy(option.value)} className="sr-only" />
+                  <div className="font-medium text-sm">{option.label}</div>
+                  <div className="text-xs text-neutral-500 dark:text-neutral-400">{option.description}</div>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            <button onClick={handleImport} disabled={importing} className="btn-primary flex items-center gap-2">
+              {importing && <Loader2 className="w-4 h-4 animate-spin" />}
+              Import
+            </button>
+            <button onClick={() => setPending(null)} disabled={importing} className="btn-ghost">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <div className="p-4 rounded-lg bg-green-50 dark:bg-green-900/20 text-sm text-green-800 dark:text-green-300 space-y-1">
+          <div className="flex items-center gap-2 font-medium">
+            <CheckCircle className="w-4 h-4" />
+            Import complete
+          </div>
+          {Object.entries(result).map(([section, counts]) => (
+            <div key={section}>
+              {SECTION_LABELS[section]}: {typeof counts === 'object' ? `${counts.added} added, ${counts.overwritten} overwritten, ${counts.duplicated} copied, ${counts.skipped} skipped` : counts}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Library, Folder, Sparkles, Hash, Plus, X, Archive } from 'lucide-react';
+import { PERSONAS } from '../utils/summarize';
+import {
+  SMART_RULE_FIELDS,
+  createCollection,
+  describeSmartRules,
+  getTagCounts,
+  isInCollection,
+} from '../utils/collections';
+
+/**
+ * Collections Sidebar
+ * Library navigation by collection, smart collection and tag
+ */
+export default function CollectionsSidebar({ readings, collections, activeFilter, onFilterChange, onAddCollection, onRemoveCollection }) {
+  const [creating, setCreating] = useState(null); // 'manual' | 'smart' | null
+
+  const manualCollections = collections.filter((c) => c.type !== 'smart');
+  const smartCollections = collections.filter((c) => c.type === 'smart');
+  const tagCounts = getTagCounts(readings);
+  const archivedCount = readings.filter((r) => r.archived).length;
+
+  const isActive = (type, value) => activeFilter?.type === type && activeFilter?.value === value;
+
+  const handleCreate = async (name, rules) => {
+    await onAddCollection(createCollection(name, rules));
+    setCreating(null);
+  };
+
+  return (
+    <aside className="w-60 flex-shrink-0 space-y-5 text-sm">
+      <div className="space-y-0.5">
+        <SidebarItem icon={<Library className="w-4 h-4" />} label="All readings" count={readings.length} active={!activeFilter} onClick={() => onFilterChange(null)} />
+        {archivedCount > 0 && (
+          <SidebarItem icon={<Archive className="w-4 h-4" />} label="Archived" count={archivedCount} active={activeFilter?.type === 'archived'} onClick={() => onFilterChange({ type: 'archived' })} />
+        )}
+      </div>
+
+      {/* Manual collections */}
+      <SidebarSection title="Collections" onAdd={() => setCreating(creating === 'manual' ? null : 'manual')}>
+        <AnimatePresence>{creating === 'manual' && <NewCollectionForm onSubmit={(name) => handleCreate(name, null)} onCancel={() => setCreating(null)} />}</AnimatePresence>
+        {manualCollections.length === 0 && creating !== 'manual' && <EmptyHint text="Group readings into named collections" />}
+        {manualCollections.map((collection) => (
+          <SidebarItem
+            key={collection.id}
+            icon={<Folder className="w-4 h-4" />}
+            label={collection.name}
+            count={readings.filter((r) => isInCollection(r, collection)).length}
+            active={isActive('collection', collection.id)}
+            onClick={() => onFilterChange({ type: 'collection', value: collection.id })}
+            onRemove={() => onRemoveCollection(collection)}
+          />
+        ))}
+      </SidebarSection>
+
+      {/* Smart collections */}
+      <SidebarSection title="Smart collections" onAdd={() => setCreating(creating === 'smart' ? null : 'smart')}>
+        <AnimatePresence>{creating === 'smart' && <NewCollectionForm smart onSubmit={handleCreate} onCancel={() => setCreating(null)} />}</AnimatePresence>
+        {smartCollections.length === 0 && creating !== 'smart' && <EmptyHint text="Rule-based: domain, date, quiz, persona, AI or fallback" />}
+        {smartCollections.map((collection) => (
+          <SidebarItem
+            key={collection.id}
+            icon={<Sparkles className="w-4 h-4" />}
+            label={collection.name}
+            hint={describeSmartRules(collection.rules, PERSONAS)}
+            count={readings.filter((r) => isInCollection(r, collection)).length}
+            active={isActive('collection', collection.id)}
+            onClick={() => onFilterChange({ type: 'collection', value: collection.id })}
+            onRemove={() => onRemoveCollection(collection)}
+          />
+        ))}
+      </SidebarSection>
+
+      {/* Tags */}
+      <SidebarSection title="Tags">
+        {tagCounts.length === 0 && <EmptyHint text="Tag readings from their card or when saving" />}
+        {tagCounts.map(({ tag, count }) => (
+          <SidebarItem key={tag} icon={<Hash className="w-4 h-4" />} label={tag} count={count} active={isActive('tag', tag)} onClick={() => onFilterChange({ type: 'tag', value: tag })} />
+        ))}
+      </SidebarSection>
+    </aside>
+  );
+}
+
+function SidebarSection({ title, onAdd, children }) {
+  return (
+    <div>
+      <div className="flex items-center justify-between px-2 mb-1">
+        <h3 className="text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400">{title}</h3>
+        {onAdd && (
+          <button onClick={onAdd} className="p-1 rounded hover:bg-neutral-100 dark:hover:bg-neutral-800 text-neutral-500" title={`New ${title.toLowerCase().replace(/s$/, '')}`}>
+            <Plus className="w-3.5 h-3.5" />
+          </button>
+        )}
+      </div>
+      <div className="space-y-0.5">{children}</div>
+    </div>
+  );
+}
+
+function SidebarItem({ icon, label, hint, count, active, onClick, onRemove }) {
+  return (
+    <div
+      onClick={onClick}
+      className={`group flex items-center gap-2 px-2 py-1.5 rounded-lg cursor-pointer transition-colors ${
+        active ? 'bg-primary-500 text-white' : 'text-neutral-700 dark:text-neutral-300 hover:bg-neutral-100 dark:hover:bg-neutral-800'
+      }`}
+      title={hint}
+    >
+      {icon}
+      <div className="flex-1 min-w-0">
+        <div className="truncate">{label}</div>
+        {hint && <div className={`text-xs truncate ${active ? 'text-white/80' : 'text-neutral-500 dark:text-neutral-400'}`}>{hint}</div>}
+      </div>
+      {onRemove && (
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            onRemove();
+          }}
+          className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-black/10"
+          title="Delete collection"
+        >
+          <X className="w-3 h-3" />
+        </button>
+      )}
+      <span className={`text-xs ${active ? 'text-white/80' : 'text-neutral-400'}`}>{count}</span>
+    </div>
+  );
+}
+
+function EmptyHint({ text }) {
+  return <p className="px-2 py-1 text-xs text-neutral-400 dark:text-neutral-500">{text}</p>;
+}
+
+/**
+ * Inline form for a new collection; smart collections also get rule fields
+ */
+function NewCollectionForm({ smart = false, onSubmit, onCancel }) {
+  const [name, setName] = useState('');
+  const [rules, setRules] = useState({});
+
+  const setRule = (field, value) => {
+    setRules((current) => {
+      const next = { ...current };
+      if (value === '' || value === undefined) {
+        delete next[field];
+      } else {
+        next[field] = value;
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    onSubmit(name, smart ? rules : null);
+  };
+
+  return (
+    <motion.form initial={{ opacity: 0, height: 0 }} animate={{ opacity: 1, height: 'auto' }} exit={{ opacity: 0, height: 0 }} onSubmit={handleSubmit} className="space-y-2 p-2 rounded-lg bg-neutral-100 dark:bg-neutral-800 overflow-hidden">
+      <input value={name} onChange={(e) => setName(e.target.value)} className="input py-1 text-sm" placeholder="Collection name" autoFocus />
+
+      {smart &&
+        Object.entries(SMART_RULE_FIELDS).map(([field, config]) => (
+          <label key={field} className="block">
+            <span className="text-xs text-neutral-500 dark:text-neutral-400">{config.label}</span>
+            {field === 'persona' ? (
+              <select value={rules.persona || ''} onChange={(e) => setRule('persona', e.target.value)} className="input py-1 text-sm">
+                <option value="">Any</option>
+                {Object.values(PERSONAS).map((persona) => (
+                  <option key={persona.id} value={persona.id}>
+                    {persona.icon} {persona.name}
+                  </option>
+                ))}
+              </select>
+            ) : config.options ? (
+              <select value={rules[field] === undefined ? '' : String(rules[field])} onChange={(e) => setRule(field, e.target.value === '' ? '' : config.options.find((o) => String(o.value) === e.target.value).value)} className="input py-1 text-sm">
+                <option value="">Any</option>
+                {config.options.map((option) => (
+                  <option key={String(option.value)} value={String(option.value)}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input type={config.type || 'text'} value={rules[field] || ''} onChange={(e) => setRule(field, e.target.value.trim())} className="input py-1 text-sm" placeholder={config.placeholder} />
+            )}
+          </label>
+        ))}
+
+      <div className="flex gap-2">
+        <button type="submit" className="btn-primary text-xs py-1 px-3">
+          Create
+        </button>
+        <button type="button" onClick={onCancel} className="btn-ghost text-xs py-1 px-3">
+          Cancel
+        </button>
+      </div>
+    </motion.form>
+  );
+}
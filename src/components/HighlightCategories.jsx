@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, AlertTriangle, RotateCcw } from 'lucide-react';
+import { createId } from '../storage/ids';
+import { DEFAULT_CATEGORIES, validateCategory } from '../utils/highlightCategories';
+
+const EMPTY_CATEGORY = { name: '', color: '#f97316', shortcut: '' };
+
+/**
+ * Highlight Categories Panel
+ * Edits the categories offered in the page toolbar: a name, a color and an
+ * Alt+key shortcut each. The first category is used by Alt+H.
+ */
+export default function HighlightCategories({ categories, onChange }) {
+  const [editing, setEditing] = useState(null); // Category being edited; no id while new
+  const [error, setError] = useState(null);
+
+  const startEditing = (category) => {
+    setEditing({ ...EMPTY_CATEGORY, ...category });
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const category = {
+      ...editing,
+      id: editing.id || createId('category'),
+      name: editing.name.trim(),
+      shortcut: editing.shortcut.trim().toLowerCase(),
+    };
+    const problem = validateCategory(category, categories);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    const exists = categories.some(c => c.id === category.id);
+    onChange(exists ? categories.map(c => (c.id === category.id ? category : c)) : [...categories, category]);
+    setEditing(null);
+  };
+
+  const handleDelete = (category) => {
+    onChange(categories.filter(c => c.id !== category.id));
+  };
+
+  const handleMakeDefault = (category) => {
+    onChange([category, ...categories.filter(c => c.id !== category.id)]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-neutral-600 dark:text-neutral-400">
+        Pick a category from the toolbar that appears when you select text, or press its shortcut.
+        Highlights of a deleted category are listed as uncategorized.
+      </p>
+
+      <ul className="divide-y divide-neutral-200 dark:divide-neutral-700 border border-neutral-200 dark:border-neutral-700 rounded-lg">
+        {categories.map((category, index) => (
+          <li key={category.id} className="flex items-center gap-3 p-3">
+            <span
+              className="w-5 h-5 rounded-full border border-black/10 flex-shrink-0"
+              style={{ backgroundColor: category.color }}
+            />
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-sm text-neutral-900 dark:text-neutral-100 truncate">{category.name}</div>
+              <div className="text-xs text-neutral-500 dark:text-neutral-400">
+                {[index === 0 && 'Alt+H', category.shortcut && `Alt+${category.shortcut.toUpperCase()}`].filter(Boolean).join(', ') || 'No shortcut'}
+              </div>
+            </div>
+            {index === 0 ? (
+              <span className="badge-secondary">Default</span>
+            ) : (
+              <button onClick={() => handleMakeDefault(category)} className="btn-ghost text-xs px-2 py-1" title="Use for Alt+H">
+                Make default
+              </button>
+            )}
+            <button onClick={() => startEditing(category)} className="btn-ghost p-2" title="Edit category">
+              <Pencil className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => handleDelete(category)}
+              disabled={categories.length === 1}
+              className="btn-ghost p-2 disabled:opacity-40"
+              title={categories.length === 1 ? 'At least one category is needed' : 'Delete category'}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {editing ? (
+        <div className="p-4 rounded-lg border border-neutral-200 dark:border-neutral-700 space-y-3">
+          <div className="grid grid-cols-[1fr_auto_auto] gap-3">
+            <label className="block">
+              <span className="text-sm font-medium text-neutral-900 dark:text-neutral-100">Name</span>
+              <input
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                placeholder="Counterargument"
+                className="input mt-1"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-neutral-900 dark:text-neutral-100">Color</span>
+              <input
+                type="color"
+                value={editing.color}
+                onChange={(e) => setEditing({ ...editing, color: e.target.value })}
+                className="block mt-1 h-10 w-16 rounded-lg border border-neutral-200 dark:border-neutral-700 cursor-pointer"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-neutral-900 dark:text-neutral-100">Shortcut</span>
+              <div className="flex items-center gap-1 mt-1">
+                <span className="text-sm text-neutral-500 dark:text-neutral-400">Alt+</span>
+                <input
+                  value={editing.shortcut}
+                  onChange={(e) => setEditing({ ...editing, shortcut: e.target.value.slice(-1) })}
+                  placeholder="5"
+                  className="input w-14 text-center font-mono"
+                />
+              </div>
+            </label>
+          </div>
+
+          {error && (
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button onClick={handleSave} className="btn-primary">
+              Save Category
+            </button>
+            <button onClick={() => setEditing(null)} className="btn-ghost">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <button onClick={() => startEditing(EMPTY_CATEGORY)} className="btn-secondary flex items-center gap-2">
+            <Plus className="w-4 h-4" />
+            Add Category
+          </button>
+          <button onClick={() => onChange(DEFAULT_CATEGORIES)} className="btn-ghost flex items-center gap-2">
+            <RotateCcw className="w-4 h-4" />
+            Reset to Defaults
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,23 +8,65 @@ import {
   Calendar,
   ExternalLink,
 } from 'lucide-react';
-import { useHighlights } from '../hooks/useChromeStorage';
+import { useHighlights, usePreferences } from '../hooks/useChromeStorage';
+import UndoToast from './UndoToast';
+import { describeRange } from '../utils/anchoring';
+import { DEFAULT_CATEGORIES, getCategories, findCategory, highlightColor, toHex, tint } from '../utils/highlightCategories';
+
+const UNCATEGORIZED = { id: 'uncategorized', name: 'Uncategorized' };
 
 /**
  * Highlight and Notes Management Component
  */
-export default function HighlightNotes({ readingId }) {
-  const { highlights, addHighlight, removeHighlight, updateHighlight } = useHighlights();
+export default function HighlightNotes({ reading }) {
+  const { highlights, addHighlight, removeHighlight, restoreHighlight, updateHighlight } = useHighlights();
+  const { preferences } = usePreferences();
   const [filter, setFilter] = useState('all'); // 'all', 'highlights', 'notes'
+  const [categoryFilter, setCategoryFilter] = useState('all'); // 'all' or a category id
+  const [undoToast, setUndoToast] = useState(null);
+
+  const categories = getCategories(preferences);
+  const categoryOf = (highlight) => findCategory(categories, highlight.category) || UNCATEGORIZED;
 
-  const readingHighlights = highlights.filter(h => h.readingId === readingId);
+  const handleRemove = async (highlight) => {
+    const result = await removeHighlight(highlight.id);
+    if (result.success) {
+      setUndoToast({
+        id: highlight.id,
+        message: 'Highlight moved to Trash',
+        onUndo: async () => {
+          const restored = await restoreHighlight(highlight.id);
+          if (!restored.success) {
+            alert('Failed to restore highlight. You can still restore it from the Trash.');
+          }
+        },
+      });
+    }
+  };
+
+  // Highlights made before the reading was saved only share its canonical URL
+  const readingHighlights = highlights.filter(h =>
+    h.readingId === reading.id || (reading.canonicalUrl && h.canonicalUrl === reading.canonicalUrl)
+  );
 
   const filteredHighlights = readingHighlights.filter(h => {
+    if (categoryFilter !== 'all' && categoryOf(h).id !== categoryFilter) return false;
     if (filter === 'highlights') return !h.note;
     if (filter === 'notes') return h.note;
     return true;
   });
 
+  // Sections in the order of the categories, highlights without a (known) category last
+  const groups = [...categories, UNCATEGORIZED]
+    .map(category => ({ category, items: filteredHighlights.filter(h => categoryOf(h).id === category.id) }))
+    .filter(group => group.items.length > 0);
+
+  const categoryCounts = readingHighlights.reduce((counts, h) => {
+    const id = categoryOf(h).id;
+    counts[id] = (counts[id] || 0) + 1;
+    return counts;
+  }, {});
+
   return (
     <div className="w-full h-full flex flex-col bg-white dark:bg-neutral-900 rounded-xl">
       {/* Header */}
@@ -55,33 +97,72 @@ export default function HighlightNotes({ readingId }) {
         </div>
       </div>
 
+      {/* Categories */}
+      {readingHighlights.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 px-4 py-3 border-b border-neutral-200 dark:border-neutral-700">
+          <CategoryChip
+            active={categoryFilter === 'all'}
+            onClick={() => setCategoryFilter('all')}
+            label="All categories"
+          />
+          {[...categories, UNCATEGORIZED].filter(category => categoryCounts[category.id]).map(category => (
+            <CategoryChip
+              key={category.id}
+              active={categoryFilter === category.id}
+              onClick={() => setCategoryFilter(categoryFilter === category.id ? 'all' : category.id)}
+              label={category.name}
+              color={category.color}
+              count={categoryCounts[category.id]}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Content */}
       <div className="flex-1 overflow-auto p-4">
         {filteredHighlights.length === 0 ? (
           <EmptyHighlightsState filter={filter} />
         ) : (
-          <div className="space-y-3">
-            <AnimatePresence>
-              {filteredHighlights.map((highlight) => (
-                <HighlightCard
-                  key={highlight.id}
-                  highlight={highlight}
-                  onUpdate={(updates) => updateHighlight(highlight.id, updates)}
-                  onRemove={() => removeHighlight(highlight.id)}
-                />
-              ))}
-            </AnimatePresence>
+          <div className="space-y-6">
+            {groups.map(({ category, items }) => (
+              <section key={category.id}>
+                <h4 className="flex items-center gap-2 mb-3 text-sm font-semibold text-neutral-700 dark:text-neutral-300">
+                  <span
+                    className="w-3 h-3 rounded-full border border-black/10"
+                    style={{ backgroundColor: category.color || 'transparent' }}
+                  />
+                  {category.name}
+                  <span className="font-normal text-neutral-500 dark:text-neutral-400">{items.length}</span>
+                </h4>
+                <div className="space-y-3">
+                  <AnimatePresence>
+                    {items.map((highlight) => (
+                      <HighlightCard
+                        key={highlight.id}
+                        highlight={highlight}
+                        color={highlightColor(highlight, categories)}
+                        onUpdate={(updates) => updateHighlight(highlight.id, updates)}
+                        onRemove={() => handleRemove(highlight)}
+                      />
+                    ))}
+                  </AnimatePresence>
+                </div>
+              </section>
+            ))}
           </div>
         )}
       </div>
+
+      <UndoToast toast={undoToast} onDismiss={() => setUndoToast(null)} />
     </div>
   );
 }
 
 /**
  * Individual Highlight Card
+ * @param {string} color - Color of the highlight's category
  */
-function HighlightCard({ highlight, onUpdate, onRemove }) {
+function HighlightCard({ highlight, color, onUpdate, onRemove }) {
   const [isEditing, setIsEditing] = useState(false);
   const [noteText, setNoteText] = useState(highlight.note || '');
 
@@ -90,22 +171,17 @@ function HighlightCard({ highlight, onUpdate, onRemove }) {
     setIsEditing(false);
   };
 
-  const colors = {
-    yellow: 'bg-yellow-100 dark:bg-yellow-900/30 border-yellow-300 dark:border-yellow-700',
-    green: 'bg-green-100 dark:bg-green-900/30 border-green-300 dark:border-green-700',
-    blue: 'bg-blue-100 dark:bg-blue-900/30 border-blue-300 dark:border-blue-700',
-    purple: 'bg-purple-100 dark:bg-purple-900/30 border-purple-300 dark:border-purple-700',
-  };
-
-  const colorClass = colors[highlight.color] || colors.yellow;
-
   return (
     <motion.div
       layout
       initial={{ opacity: 0, y: 20 }}
       animate={{ opacity: 1, y: 0 }}
       exit={{ opacity: 0, x: -100 }}
-      className={`card border-l-4 ${colorClass}`}
+      className="card border-l-4"
+      style={{
+        borderLeftColor: toHex(color),
+        backgroundColor: tint(color, 0.12),
+      }}
     >
       <div className="space-y-3">
         {/* Highlighted Text */}
@@ -224,6 +300,29 @@ function FilterButton({ active, onClick, label, icon, count }) {
   );
 }
 
+/**
+ * Category Filter Chip
+ */
+function CategoryChip({ active, onClick, label, color, count }) {
+  return (
+    <button
+      onClick={onClick}
+      className={`
+        flex items-center gap-1.5 px-2.5 py-1 rounded-full text-xs font-medium border
+        transition-all duration-200
+        ${active
+          ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300'
+          : 'border-neutral-200 dark:border-neutral-700 text-neutral-700 dark:text-neutral-300 hover:bg-neutral-100 dark:hover:bg-neutral-800'
+        }
+      `}
+    >
+      {color && <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: color }} />}
+      <span>{label}</span>
+      {count !== undefined && <span className="text-neutral-500 dark:text-neutral-400">{count}</span>}
+    </button>
+  );
+}
+
 /**
  * Empty State
  */
@@ -259,17 +358,17 @@ function EmptyHighlightsState({ filter }) {
 
 /**
  * Export function to create highlight from selection
+ * @param {Object} category - Highlight category (defaults to the first built-in one)
+ * @param {Element} root - Element the highlight is anchored in (defaults to the page body)
  */
-export function createHighlightFromSelection(selection, readingId, color = 'yellow') {
+export function createHighlightFromSelection(selection, readingId, category = DEFAULT_CATEGORIES[0], root = document.body) {
   return {
     readingId,
     text: selection.toString(),
-    color,
+    category: category.id,
+    color: category.color,
     note: '',
     url: window.location.href,
-    position: {
-      start: selection.anchorOffset,
-      end: selection.focusOffset,
-    },
+    selectors: selection.rangeCount > 0 ? describeRange(selection.getRangeAt(0), root) : [],
   };
 }
@@ -17,6 +17,7 @@ import {
 } from 'lucide-react';
 import { queryLanguageModel } from '../utils/summarize';
 import { convertMarkdownToHTML } from '../utils/markdown';
+import { usePromptChains } from '../hooks/useChromeStorage';
 
 /**
  * Prompt Chain Editor
@@ -25,6 +26,8 @@ import { convertMarkdownToHTML } from '../utils/markdown';
 // Configuration constants
 const MAX_CHAIN_STEPS = 20; // Prevent excessively long chains
 const MAX_EXECUTION_TIME_MS = 10 * 60 * 1000; // 10 minutes total timeout
+const CHAIN_ID = 'default'; // The editor keeps one chain
+const SAVE_DELAY_MS = 500; // Typing in a prompt saves once it pauses
 
 export default function PromptChainEditor({ chain = [], onChange, onExecute, preferences = {}, readings = [] }) {
   const [steps, setSteps] = useState(chain);
@@ -32,6 +35,34 @@ export default function PromptChainEditor({ chain = [], onChange, onExecute, pre
   const [currentStepIndex, setCurrentStepIndex] = useState(null);
   const [executionResults, setExecutionResults] = useState([]);
   const [selectedReadingId, setSelectedReadingId] = useState(null);
+  const { promptChains, savePromptChain, loading: chainsLoading } = usePromptChains();
+  const savedDefinition = React.useRef(null); // JSON of the stored steps, once loaded
+
+  // Load the saved chain once storage has been read
+  React.useEffect(() => {
+    if (chainsLoading || savedDefinition.current !== null) return;
+
+    const saved = (promptChains || []).find(c => c.id === CHAIN_ID);
+    savedDefinition.current = JSON.stringify(saved?.steps || []);
+    if (saved && steps.length === 0) {
+      setSteps(saved.steps.map(step => ({ ...step, output: null, status: 'waiting', startTime: null, endTime: null })));
+    }
+  }, [chainsLoading, promptChains]);
+
+  // Save the steps' definitions (not run status or output) when they change
+  React.useEffect(() => {
+    if (savedDefinition.current === null) return;
+
+    const definition = steps.map(({ id, type, label, prompt }) => ({ id, type, label, prompt }));
+    const json = JSON.stringify(definition);
+    if (json === savedDefinition.current) return undefined;
+
+    const timer = setTimeout(() => {
+      savedDefinition.current = json;
+      savePromptChain({ id: CHAIN_ID, name: 'Prompt chain', steps: definition });
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [steps]);
 
   // Auto-select latest reading when available
   React.useEffect(() => {
@@ -108,7 +139,7 @@ export default function PromptChainEditor({ chain = [], onChange, onExecute, pre
     try {
       // Start with the reading content as initial context
       let previousOutput = selectedReading
-        ? `Source content from "${selectedReading.title}":\n\n${selectedReading.content || selectedReading.text}`
+        ? `Source content from "${selectedReading.title}":\n\n${selectedReading.content}`
         : null;
 
       // Execute each step sequentially
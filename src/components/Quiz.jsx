@@ -56,7 +56,7 @@ function compareAnswers(userAnswer, correctAnswer) {
     return userAnswer === correctAnswer;
 }
 
-export default function Quiz({ readings, preferences }) {
+export default function Quiz({ readings, preferences, onQuizComplete }) {
     const [selectedReading, setSelectedReading] = useState(null);
     const [quiz, setQuiz] = useState(null);
     const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
@@ -129,6 +129,19 @@ export default function Quiz({ readings, preferences }) {
 
     const handleSubmitQuiz = () => {
         setShowResults(true);
+
+        // Record the attempt on the reading so it shows up in quiz history
+        if (onQuizComplete && selectedReading) {
+            onQuizComplete(selectedReading, {
+                mode: quizMode,
+                persona: quiz.persona,
+                score: calculateScore(quiz, answers),
+                total: quiz.questions.length,
+                timeElapsed,
+                questions: quiz.questions,
+                answers,
+            });
+        }
     };
 
     const handleResetQuiz = () => {
@@ -615,7 +628,7 @@ function ReadingSelector({ readings, onSelect, preferences }) {
  * Reading Card Component
  */
 function ReadingCard({ reading, onSelect, preferences }) {
-    const hasSummary = !!(reading.aiSummary || reading.summary);
+    const hasSummary = !!reading.summary;
     const currentPersona = reading.persona || preferences?.persona || 'strategist';
 
     return (
@@ -626,7 +639,7 @@ function ReadingCard({ reading, onSelect, preferences }) {
                         {reading.title}
                     </h3>
                     {/*<p className="text-sm text-neutral-600 dark:text-neutral-400 line-clamp-2 mb-3">*/}
-                    {/*    {reading.excerpt || reading.text?.substring(0, 150) + '...'}*/}
+                    {/*    {reading.excerpt || reading.content?.substring(0, 150) + '...'}*/}
                     {/*</p>*/}
 
                     {/* Summary indicator */}
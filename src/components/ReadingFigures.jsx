@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { Image as ImageIcon } from 'lucide-react';
+import { getReadingAssets } from '../storage/assetsRepository';
+
+/**
+ * Reading Figures
+ * The figures captured with a reading: the locally stored thumbnail (when one
+ * could be made) with its caption or alt text, linking to the original image
+ */
+export default function ReadingFigures({ reading }) {
+  const [thumbnails, setThumbnails] = useState({}); // Figure index -> asset
+
+  const figures = reading.figures || [];
+
+  useEffect(() => {
+    if (figures.length === 0) return undefined;
+
+    let cancelled = false;
+    getReadingAssets(reading.id)
+      .then(assets => {
+        if (!cancelled) setThumbnails(Object.fromEntries(assets.map(asset => [asset.index, asset])));
+      })
+      .catch(error => console.error('Failed to load figure thumbnails:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reading.id, figures.length]);
+
+  if (figures.length === 0) return null;
+
+  return (
+    <div className="mt-6">
+      <h5 className="font-semibold text-sm mb-3 text-neutral-900 dark:text-neutral-100">
+        Figures ({figures.length})
+      </h5>
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+        {figures.map((figure, index) => {
+          const asset = thumbnails[index]?.src === figure.src ? thumbnails[index] : null;
+          const description = figure.caption || figure.alt;
+          return (
+            <a
+              key={`${index}-${figure.src}`}
+              href={figure.src}
+              target="_blank"
+              rel="noopener noreferrer"
+              title={description || figure.src}
+              className="group block rounded-lg border border-neutral-200 dark:border-neutral-700 overflow-hidden hover:border-primary-400 transition-colors"
+            >
+              <div className="h-28 bg-neutral-100 dark:bg-neutral-900 flex items-center justify-center">
+                {asset ? (
+                  <img src={asset.thumbnail} alt={figure.alt} className="max-h-full max-w-full object-contain" />
+                ) : (
+                  <ImageIcon className="w-6 h-6 text-neutral-400" />
+                )}
+              </div>
+              {description && (
+                <p className="px-2 py-1.5 text-xs text-neutral-600 dark:text-neutral-400 line-clamp-2">{description}</p>
+              )}
+            </a>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,143 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import { Search, Loader2, ExternalLink, Highlighter } from 'lucide-react';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  content: 'Content',
+  summary: 'Summary',
+  concepts: 'Concepts',
+  tags: 'Tags',
+  highlights: 'Highlight',
+  notes: 'Note',
+};
+
+/**
+ * Library Search Bar
+ */
+export function SearchBar({ value, onChange }) {
+  return (
+    <div className="relative">
+      <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400" />
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="input pl-10"
+        placeholder='Search readings, highlights and concepts — try "exact phrase", tag:ml, site:arxiv.org, title:memory'
+      />
+    </div>
+  );
+}
+
+/**
+ * Ranked search results with snippet context
+ */
+export default function SearchResults({ results, searching, readings, onSelectReading, onViewSummary }) {
+  if (searching && results.length === 0) {
+    return (
+      <div className="flex items-center justify-center gap-2 py-12 text-neutral-500 dark:text-neutral-400">
+        <Loader2 className="w-5 h-5 animate-spin" />
+        <span>Searching...</span>
+      </div>
+    );
+  }
+
+  if (results.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <div className="text-5xl mb-3">🔍</div>
+        <h2 className="text-xl font-semibold mb-1">No matches</h2>
+        <p className="text-neutral-600 dark:text-neutral-400">Try fewer words, or remove a tag: or site: filter</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="text-sm text-neutral-500 dark:text-neutral-400">
+        {results.length} result{results.length === 1 ? '' : 's'}
+      </div>
+
+      {results.map((result) => {
+        const reading = readings.find((r) => r.id === result.readingId);
+
+        return (
+          <motion.div
+            key={result.id}
+            initial={{ opacity: 0, y: 6 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="card p-4 cursor-pointer hover:shadow-md"
+            onClick={() => (reading ? onSelectReading(reading) : window.open(result.url, '_blank'))}
+          >
+            <div className="flex items-start justify-between gap-3 mb-1">
+              <h3 className="font-semibold line-clamp-1 flex items-center gap-2">
+                {result.type === 'highlight' && <Highlighter className="w-4 h-4 text-yellow-500 flex-shrink-0" />}
+                <HighlightedText text={result.title || 'Untitled'} terms={result.matches} />
+              </h3>
+              <span className="badge-secondary flex-shrink-0">{FIELD_LABELS[result.snippet.field] || result.snippet.field}</span>
+            </div>
+
+            <p className="text-sm text-neutral-700 dark:text-neutral-300 leading-relaxed">
+              <HighlightedText text={result.snippet.text} terms={result.matches} />
+            </p>
+
+            <div className="flex items-center gap-3 mt-2 text-xs text-neutral-500 dark:text-neutral-400">
+              {result.site && <span>{result.site}</span>}
+              {result.tags?.map((tag) => (
+                <span key={tag} className="badge-primary">#{tag}</span>
+              ))}
+              <div className="flex-1" />
+              {reading?.summary && (
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onViewSummary(reading);
+                  }}
+                  className="text-blue-600 dark:text-blue-400 hover:underline"
+                >
+                  View Summary
+                </button>
+              )}
+              {result.url && (
+                <a
+                  href={result.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  onClick={(e) => e.stopPropagation()}
+                  className="flex items-center gap-1 hover:text-primary-500"
+                >
+                  <ExternalLink className="w-3 h-3" />
+                  Source
+                </a>
+              )}
+            </div>
+          </motion.div>
+        );
+      })}
+    </div>
+  );
+}
+
+/**
+ * Wrap query terms in <mark> (case-insensitive)
+ */
+function HighlightedText({ text, terms }) {
+  const escaped = (terms || [])
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  if (escaped.length === 0) return text;
+
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1 ? (
+      <mark key={i} className="bg-yellow-200 dark:bg-yellow-700/60 text-inherit rounded px-0.5">
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
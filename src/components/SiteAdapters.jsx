@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { Plus, Pencil, Trash2, AlertTriangle } from 'lucide-react';
+import { createId } from '../storage/ids';
+
+const BUILT_IN_SITES = ['Wikipedia', 'arXiv', 'GitHub', 'Documentation sites', 'Stack Overflow & Stack Exchange'];
+
+const EMPTY_ADAPTER = { name: '', pattern: '', content: '', remove: '', title: '', byline: '', enabled: true };
+
+const SELECTOR_FIELDS = [
+  { key: 'content', label: 'Content', placeholder: 'article .post-body', required: true },
+  { key: 'remove', label: 'Remove', placeholder: '.share-buttons, .newsletter' },
+  { key: 'title', label: 'Title', placeholder: 'h1.headline' },
+  { key: 'byline', label: 'Author', placeholder: '.author-name' },
+];
+
+/**
+ * Site Adapters Panel
+ * Lists the built-in site adapters and edits user adapters: a URL pattern and
+ * CSS selectors that tell the extractor where a site keeps its articles
+ */
+export default function SiteAdapters({ adapters = [], onChange }) {
+  const [editing, setEditing] = useState(null); // Adapter being edited; no id while new
+  const [error, setError] = useState(null);
+
+  const startEditing = (adapter) => {
+    setEditing({ ...EMPTY_ADAPTER, ...adapter });
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const problem = validateAdapter(editing);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    const adapter = {
+      ...editing,
+      id: editing.id || createId('adapter'),
+      name: editing.name.trim() || editing.pattern.trim(),
+      pattern: editing.pattern.trim(),
+    };
+    const exists = adapters.some(a => a.id === adapter.id);
+    onChange(exists ? adapters.map(a => (a.id === adapter.id ? adapter : a)) : [...adapters, adapter]);
+    setEditing(null);
+  };
+
+  const handleToggle = (adapter) => {
+    onChange(adapters.map(a => (a.id === adapter.id ? { ...a, enabled: a.enabled === false } : a)));
+  };
+
+  const handleDelete = (adapter) => {
+    onChange(adapters.filter(a => a.id !== adapter.id));
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-neutral-600 dark:text-neutral-400">
+        Tell Rami where a site keeps its articles when the automatic extraction picks up the wrong part of the page.
+        Your adapters are tried before the built-in ones.
+      </p>
+
+      <div className="flex flex-wrap gap-2">
+        {BUILT_IN_SITES.map(site => (
+          <span key={site} className="badge-secondary">{site}</span>
+        ))}
+      </div>
+
+      {adapters.length > 0 && (
+        <ul className="divide-y divide-neutral-200 dark:divide-neutral-700 border border-neutral-200 dark:border-neutral-700 rounded-lg">
+          {adapters.map(adapter => (
+            <li key={adapter.id} className="flex items-center gap-3 p-3">
+              <input
+                type="checkbox"
+                checked={adapter.enabled !== false}
+                onChange={() => handleToggle(adapter)}
+                title={adapter.enabled === false ? 'Enable adapter' : 'Disable adapter'}
+              />
+              <div className="flex-1 min-w-0">
+                <div className="font-medium text-sm text-neutral-900 dark:text-neutral-100 truncate">{adapter.name}</div>
+                <div className="text-xs text-neutral-500 dark:text-neutral-400 truncate font-mono">{adapter.pattern} → {adapter.content}</div>
+              </div>
+              <button onClick={() => startEditing(adapter)} className="btn-ghost p-2" title="Edit adapter">
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button onClick={() => handleDelete(adapter)} className="btn-ghost p-2" title="Delete adapter">
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {editing ? (
+        <div className="p-4 rounded-lg border border-neutral-200 dark:border-neutral-700 space-y-3">
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block">
+              <span className="text-sm font-medium text-neutral-900 dark:text-neutral-100">Name</span>
+              <input
+                value={editing.name}
+                onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                placeholder="My favourite blog"
+                className="input mt-1"
+              />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-neutral-900 dark:text-neutral-100">URL pattern</span>
+              <input
+                value={editing.pattern}
+                onChange={(e) => setEditing({ ...editing, pattern: e.target.value })}
+                placeholder="*://example.com/blog/*"
+                className="input mt-1 font-mono text-sm"
+              />
+            </label>
+          </div>
+
+          {SELECTOR_FIELDS.map(field => (
+            <label key={field.key} className="block">
+              <span className="text-sm font-medium text-neutral-900 dark:text-neutral-100">
+                {field.label} selector{field.required ? '' : ' (optional)'}
+              </span>
+              <input
+                value={editing[field.key]}
+                onChange={(e) => setEditing({ ...editing, [field.key]: e.target.value })}
+                placeholder={field.placeholder}
+                className="input mt-1 font-mono text-sm"
+              />
+            </label>
+          ))}
+
+          <p className="text-xs text-neutral-500 dark:text-neutral-400">
+            Use <code>*</code> as a wildcard in the URL pattern; separate several patterns with spaces.
+          </p>
+
+          {error && (
+            <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+              <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            <button onClick={handleSave} className="btn-primary">
+              Save Adapter
+            </button>
+            <button onClick={() => setEditing(null)} className="btn-ghost">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={() => startEditing(EMPTY_ADAPTER)} className="btn-secondary flex items-center gap-2">
+          <Plus className="w-4 h-4" />
+          Add Site Adapter
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * @returns {string|null} What is wrong with the adapter, or null when it can be saved
+ */
+function validateAdapter(adapter) {
+  if (!adapter.pattern.trim()) return 'Enter a URL pattern, e.g. *://example.com/blog/*';
+  if (!adapter.content.trim()) return 'Enter a selector for the article content.';
+
+  const fragment = document.createDocumentFragment();
+  for (const field of SELECTOR_FIELDS) {
+    const selector = adapter[field.key].trim();
+    if (!selector) continue;
+    try {
+      fragment.querySelector(selector);
+    } catch {
+      return `The ${field.label.toLowerCase()} selector "${selector}" is not a valid CSS selector.`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { HardDrive, Loader2, Archive, RefreshCw, CheckCircle, AlertTriangle } from 'lucide-react';
+import { getStorageUsage } from '../storage/storageUsage';
+import { subscribeToReadings } from '../storage/readingsRepository';
+import { compactArchivedReadings } from '../storage/storageClient';
+
+const FIELD_LABELS = {
+  content: 'Full text',
+  summary: 'Summary',
+  concepts: 'Concepts',
+  quizHistory: 'Quizzes',
+  highlights: 'Highlights',
+  metadata: 'Other',
+};
+
+const FIELD_COLORS = {
+  content: 'bg-primary-500',
+  summary: 'bg-purple-500',
+  concepts: 'bg-amber-500',
+  quizHistory: 'bg-green-500',
+  highlights: 'bg-yellow-400',
+  metadata: 'bg-neutral-400',
+};
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Storage Usage Panel
+ * Per-reading storage breakdown and the compaction tool for archived readings
+ */
+export default function StorageUsage() {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [compacting, setCompacting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const loadUsage = useCallback(async () => {
+    try {
+      setUsage(await getStorageUsage());
+    } catch (err) {
+      console.error('❌ Failed to measure storage:', err);
+      setError(`Could not measure storage: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsage();
+    return subscribeToReadings(loadUsage);
+  }, [loadUsage]);
+
+  const handleCompact = async () => {
+    if (!confirm(`Remove the full text of ${usage.compactable.count} archived readings? Summaries, concepts, quizzes and highlights are kept.`)) {
+      return;
+    }
+
+    setCompacting(true);
+    setError(null);
+    try {
+      setResult(await compactArchivedReadings());
+    } catch (err) {
+      console.error('❌ Compaction failed:', err);
+      setError(`Compaction failed: ${err.message}`);
+    } finally {
+      setCompacting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-neutral-500">
+        <Loader2 className="w-4 h-4 animate-spin" /> Measuring storage…
+      </div>
+    );
+  }
+
+  if (!usage) {
+    return error && <div className="text-sm text-red-600 dark:text-red-400">{error}</div>;
+  }
+
+  const { estimate, readings, totals, compactable } = usage;
+  const visibleReadings = showAll ? readings : readings.slice(0, 10);
+
+  return (
+    <div className="space-y-4">
+      {/* Overall usage */}
+      <div className="flex items-center gap-3">
+        <HardDrive className="w-5 h-5 text-neutral-500" />
+        <div className="flex-1">
+          <div className="text-sm text-neutral-900 dark:text-neutral-100">
+            Library: <strong>{formatBytes(totals.total)}</strong> across {readings.length} readings
+            {estimate && (
+              <span className="text-neutral-500 dark:text-neutral-400">
+                {' '}
+                · extension total {formatBytes(estimate.usage)} of {formatBytes(estimate.quota)}
+              </span>
+            )}
+          </div>
+          <UsageBar fields={totals} total={totals.total} />
+        </div>
+        <button onClick={loadUsage} className="btn-ghost p-2" title="Refresh">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-neutral-600 dark:text-neutral-400">
+        {Object.entries(FIELD_LABELS).map(([field, label]) => (
+          <span key={field} className="flex items-center gap-1">
+            <span className={`w-2 h-2 rounded-full ${FIELD_COLORS[field]}`} />
+            {label} {formatBytes(totals[field])}
+          </span>
+        ))}
+      </div>
+
+      {/* Per-reading breakdown */}
+      {readings.length > 0 && (
+        <div className="border border-neutral-200 dark:border-neutral-700 rounded-lg divide-y divide-neutral-200 dark:divide-neutral-700">
+          {visibleReadings.map((reading) => (
+            <div key={reading.id} className="px-3 py-2">
+              <div className="flex items-center gap-2 text-sm">
+                <span className="flex-1 truncate text-neutral-900 dark:text-neutral-100">{reading.title || reading.url}</span>
+                {reading.archived && <span className="badge-secondary text-xs">{reading.compactedAt ? 'Compacted' : 'Archived'}</span>}
+                <span className="text-neutral-500 dark:text-neutral-400 tabular-nums">{formatBytes(reading.total)}</span>
+              </div>
+              <UsageBar fields={reading.fields} total={reading.total} />
+            </div>
+          ))}
+          {readings.length > 10 && (
+            <button onClick={() => setShowAll(!showAll)} className="w-full text-sm text-primary-500 hover:text-primary-600 py-2">
+              {showAll ? 'Show largest 10' : `Show all ${readings.length} readings`}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Compaction */}
+      <div className="p-4 rounded-lg bg-neutral-100 dark:bg-neutral-800 space-y-2">
+        <div className="flex items-center gap-2 font-medium text-neutral-900 dark:text-neutral-100">
+          <Archive className="w-4 h-4" />
+          Compact archived readings
+        </div>
+        <p className="text-sm text-neutral-600 dark:text-neutral-400">
+          Removes the saved full text of archived readings. Summaries, concepts, quiz history and highlights stay.
+          {compactable.count > 0 ? ` ${compactable.count} readings can be compacted, freeing about ${formatBytes(compactable.bytes)}.` : ' Nothing to compact - archive readings from the Dashboard first.'}
+        </p>
+        <button onClick={handleCompact} disabled={compacting || compactable.count === 0} className="btn-secondary flex items-center gap-2">
+          {compacting && <Loader2 className="w-4 h-4 animate-spin" />}
+          Compact now
+        </button>
+      </div>
+
+      {result && (
+        <div className="flex items-center gap-2 p-3 rounded-lg bg-green-50 dark:bg-green-900/20 text-sm text-green-800 dark:text-green-300">
+          <CheckCircle className="w-4 h-4" />
+          Compacted {result.compacted} readings, freed about {formatBytes(result.freedBytes)}.
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-start gap-2 p-3 rounded-lg bg-red-50 dark:bg-red-900/20 text-sm text-red-700 dark:text-red-300">
+          <AlertTriangle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Stacked bar of bytes per field
+ */
+function UsageBar({ fields, total }) {
+  if (!total) return null;
+
+  return (
+    <div className="flex h-1.5 mt-1 rounded-full overflow-hidden bg-neutral-200 dark:bg-neutral-700">
+      {Object.keys(FIELD_LABELS).map((field) =>
+        fields[field] > 0 ? <div key={field} className={FIELD_COLORS[field]} style={{ width: `${(fields[field] / total) * 100}%` }} title={`${FIELD_LABELS[field]}: ${formatBytes(fields[field])}`} /> : null
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { X, Tag, FolderPlus, Check } from 'lucide-react';
+import { parseTags } from '../utils/collections';
+
+/**
+ * Tag and Collection Picker
+ * Edits a reading's tags and manual collection membership
+ */
+export default function TagCollectionPicker({
+  tags = [],
+  collectionIds = [],
+  collections = [],
+  suggestions = [],
+  onChange,
+  onCreateCollection,
+}) {
+  const [tagInput, setTagInput] = useState('');
+  const [newCollectionName, setNewCollectionName] = useState('');
+
+  const manualCollections = collections.filter((c) => c.type !== 'smart');
+  const openSuggestions = suggestions.filter((tag) => !tags.includes(tag) && tag.startsWith(tagInput.trim().toLowerCase())).slice(0, 6);
+
+  const commitTags = (input) => {
+    const added = parseTags(input);
+    if (added.length > 0) {
+      onChange({ tags: [...new Set([...tags, ...added])], collections: collectionIds });
+    }
+    setTagInput('');
+  };
+
+  const removeTag = (tag) => {
+    onChange({ tags: tags.filter((t) => t !== tag), collections: collectionIds });
+  };
+
+  const toggleCollection = (id) => {
+    const next = collectionIds.includes(id) ? collectionIds.filter((c) => c !== id) : [...collectionIds, id];
+    onChange({ tags, collections: next });
+  };
+
+  const createCollection = async () => {
+    if (!newCollectionName.trim() || !onCreateCollection) return;
+    const collection = await onCreateCollection(newCollectionName);
+    setNewCollectionName('');
+    if (collection) {
+      onChange({ tags, collections: [...collectionIds, collection.id] });
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      {/* Tags */}
+      <div>
+        <div className="flex items-center gap-1.5 text-xs font-medium text-neutral-500 dark:text-neutral-400 mb-1.5">
+          <Tag className="w-3 h-3" />
+          Tags
+        </div>
+        <div className="flex flex-wrap items-center gap-1.5">
+          {tags.map((tag) => (
+            <span key={tag} className="badge-primary gap-1">
+              #{tag}
+              <button onClick={() => removeTag(tag)} className="hover:text-red-500" title={`Remove ${tag}`}>
+                <X className="w-3 h-3" />
+              </button>
+            </span>
+          ))}
+          <input
+            value={tagInput}
+            onChange={(e) => {
+              if (e.target.value.includes(',')) {
+                commitTags(e.target.value);
+              } else {
+                setTagInput(e.target.value);
+              }
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                commitTags(tagInput);
+              } else if (e.key === 'Backspace' && !tagInput && tags.length > 0) {
+                removeTag(tags[tags.length - 1]);
+              }
+            }}
+            onBlur={() => tagInput && commitTags(tagInput)}
+            className="flex-1 min-w-[100px] bg-transparent outline-none py-1 text-neutral-900 dark:text-neutral-100 placeholder-neutral-400"
+            placeholder={tags.length ? 'Add tag…' : 'Add tags, comma separated…'}
+          />
+        </div>
+        {tagInput && openSuggestions.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-1.5">
+            {openSuggestions.map((tag) => (
+              <button key={tag} onMouseDown={(e) => e.preventDefault()} onClick={() => commitTags(tag)} className="badge-secondary hover:bg-neutral-200 dark:hover:bg-neutral-700">
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Collections */}
+      <div>
+        <div className="flex items-center gap-1.5 text-xs font-medium text-neutral-500 dark:text-neutral-400 mb-1.5">
+          <FolderPlus className="w-3 h-3" />
+          Collections
+        </div>
+        <div className="flex flex-wrap gap-1.5">
+          {manualCollections.map((collection) => {
+            const active = collectionIds.includes(collection.id);
+            return (
+              <button
+                key={collection.id}
+                onClick={() => toggleCollection(collection.id)}
+                className={`flex items-center gap-1 px-2 py-1 rounded-lg border text-xs transition-colors ${
+                  active ? 'border-primary-500 bg-primary-50 dark:bg-primary-900/20 text-primary-700 dark:text-primary-300' : 'border-neutral-200 dark:border-neutral-700 hover:border-neutral-300'
+                }`}
+              >
+                {active && <Check className="w-3 h-3" />}
+                {collection.name}
+              </button>
+            );
+          })}
+          {onCreateCollection && (
+            <input
+              value={newCollectionName}
+              onChange={(e) => setNewCollectionName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') {
+                  e.preventDefault();
+                  createCollection();
+                }
+              }}
+              className="flex-1 min-w-[120px] bg-transparent outline-none py-1 text-xs text-neutral-900 dark:text-neutral-100 placeholder-neutral-400"
+              placeholder="+ New collection (Enter)"
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import React from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Trash2, RotateCcw, FileText, Highlighter } from 'lucide-react';
+import { useTrash, usePreferences } from '../hooks/useChromeStorage';
+import { daysUntilPurge, DEFAULT_TRASH_RETENTION_DAYS } from '../storage/trash';
+
+/**
+ * Trash View
+ * Deleted readings and highlights, with restore, permanent delete and empty
+ */
+export default function TrashView() {
+  const { trashedReadings, trashedHighlights, restoreReading, restoreHighlight, deleteReadingForever, deleteHighlightForever, emptyTrash, loading } = useTrash();
+  const { preferences } = usePreferences();
+  const retentionDays = preferences?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+  const itemCount = trashedReadings.length + trashedHighlights.length;
+
+  const handleEmptyTrash = async () => {
+    if (!confirm(`Permanently delete ${itemCount} item${itemCount === 1 ? '' : 's'}? This cannot be undone.`)) {
+      return;
+    }
+    await emptyTrash();
+  };
+
+  const handleDeleteForever = async (remove, id) => {
+    if (!confirm('Delete this item permanently? This cannot be undone.')) {
+      return;
+    }
+    await remove(id);
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  if (itemCount === 0) {
+    return (
+      <div className="text-center py-20">
+        <div className="text-6xl mb-4">🗑️</div>
+        <h2 className="text-2xl font-semibold mb-2">Trash is empty</h2>
+        <p className="text-neutral-600 dark:text-neutral-400">
+          Deleted readings and highlights stay here {retentionDays ? `for ${retentionDays} days` : 'until you empty the Trash'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-neutral-600 dark:text-neutral-400">
+          {retentionDays ? `Items are deleted permanently ${retentionDays} days after being moved here.` : 'Items stay here until you empty the Trash.'} Change this in Settings.
+        </p>
+        <button onClick={handleEmptyTrash} className="btn-secondary flex items-center gap-2 text-red-600">
+          <Trash2 className="w-4 h-4" />
+          Empty Trash
+        </button>
+      </div>
+
+      {trashedReadings.length > 0 && (
+        <TrashSection title="Readings" count={trashedReadings.length}>
+          {trashedReadings.map((reading) => (
+            <TrashItem
+              key={reading.id}
+              icon={<FileText className="w-4 h-4" />}
+              title={reading.title || reading.url}
+              subtitle={reading.excerpt}
+              deletedAt={reading.deletedAt}
+              retentionDays={retentionDays}
+              onRestore={() => restoreReading(reading.id)}
+              onDelete={() => handleDeleteForever(deleteReadingForever, reading.id)}
+            />
+          ))}
+        </TrashSection>
+      )}
+
+      {trashedHighlights.length > 0 && (
+        <TrashSection title="Highlights" count={trashedHighlights.length}>
+          {trashedHighlights.map((highlight) => (
+            <TrashItem
+              key={highlight.id}
+              icon={<Highlighter className="w-4 h-4" />}
+              title={`"${highlight.text}"`}
+              subtitle={highlight.note}
+              deletedAt={highlight.deletedAt}
+              retentionDays={retentionDays}
+              onRestore={() => restoreHighlight(highlight.id)}
+              onDelete={() => handleDeleteForever(deleteHighlightForever, highlight.id)}
+            />
+          ))}
+        </TrashSection>
+      )}
+    </div>
+  );
+}
+
+function TrashSection({ title, count, children }) {
+  return (
+    <div>
+      <h3 className="text-xs font-semibold uppercase tracking-wide text-neutral-500 dark:text-neutral-400 mb-2">
+        {title} ({count})
+      </h3>
+      <div className="space-y-2">
+        <AnimatePresence>{children}</AnimatePresence>
+      </div>
+    </div>
+  );
+}
+
+function TrashItem({ icon, title, subtitle, deletedAt, retentionDays, onRestore, onDelete }) {
+  const daysLeft = daysUntilPurge(deletedAt, retentionDays);
+
+  return (
+    <motion.div layout initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0, x: -100 }} className="card flex items-start gap-3">
+      <div className="text-neutral-400 mt-0.5">{icon}</div>
+      <div className="flex-1 min-w-0">
+        <div className="font-medium text-neutral-900 dark:text-neutral-100 line-clamp-1">{title}</div>
+        {subtitle && <div className="text-sm text-neutral-600 dark:text-neutral-400 line-clamp-1">{subtitle}</div>}
+        <div className="text-xs text-neutral-500 mt-1">
+          Deleted {new Date(deletedAt).toLocaleDateString()}
+          {daysLeft !== null && ` · removed permanently in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}
+        </div>
+      </div>
+      <button onClick={onRestore} className="btn-ghost flex items-center gap-1 text-sm">
+        <RotateCcw className="w-4 h-4" />
+        Restore
+      </button>
+      <button onClick={onDelete} className="p-2 rounded hover:bg-red-50 dark:hover:bg-red-900/20 text-red-600" title="Delete permanently">
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </motion.div>
+  );
+}
@@ -0,0 +1,50 @@
+import React, { useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Undo2, X } from 'lucide-react';
+
+/**
+ * Undo Toast
+ * Bottom-of-screen notice with an Undo button that dismisses itself after a while
+ * @param {Object|null} toast - { id, message, onUndo } or null when hidden
+ */
+export default function UndoToast({ toast, onDismiss, duration = 6000 }) {
+  useEffect(() => {
+    if (!toast) return;
+
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [toast?.id]);
+
+  const handleUndo = async () => {
+    onDismiss();
+    try {
+      await toast.onUndo();
+    } catch (error) {
+      console.error('❌ Undo failed:', error);
+      alert(`Undo failed: ${error.message}`);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {toast && (
+        <motion.div
+          key={toast.id}
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 flex items-center gap-4 px-4 py-3 rounded-lg shadow-xl bg-neutral-900 dark:bg-neutral-100 text-neutral-100 dark:text-neutral-900 text-sm"
+        >
+          <span>{toast.message}</span>
+          <button onClick={handleUndo} className="flex items-center gap-1 font-semibold text-primary-300 dark:text-primary-600 hover:underline">
+            <Undo2 className="w-4 h-4" />
+            Undo
+          </button>
+          <button onClick={onDismiss} className="opacity-60 hover:opacity-100" title="Dismiss">
+            <X className="w-4 h-4" />
+          </button>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
@@ -10,6 +10,7 @@ export const FEATURES = {
 
   // New features (enabled)
   quiz: true,
+  trash: true, // Deleted readings and highlights, restorable until purged
 
   // Work in progress (disabled in production)
   storyboard: false, // Visual timeline view of concepts - needs completion
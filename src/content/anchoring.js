@@ -0,0 +1,9 @@
+/**
+ * Highlight Anchoring for content scripts
+ * The build bundles this into a classic script, listed before reader.js, that
+ * exposes utils/anchoring.js as globalThis.RamiAnchoring.
+ */
+
+import * as Anchoring from '../utils/anchoring.js';
+
+globalThis.RamiAnchoring = Anchoring;
@@ -0,0 +1,1027 @@
+/**
+ * Article Extractor
+ * One Readability-style extractor shared by every capture path (save page,
+ * mindmap generation, reader mode). Candidate nodes are scored by paragraph
+ * count, text density and link density; the best one is cleaned of boilerplate.
+ *
+ * Pages with a site adapter (siteAdapters.js) skip the scoring: the adapter
+ * picks the content and the same clean-up and Markdown conversion run on it.
+ * Open shadow roots are read as rendered; frames are extracted separately
+ * (injected with allFrames) and merged by relevance in the background worker.
+ *
+ * Classic script: listed after siteAdapters.js and before reader.js in the
+ * manifest and injected with chrome.scripting.executeScript({ files }).
+ * Exposes globalThis.RamiExtractor.
+ */
+
+(function() {
+  'use strict';
+
+  // Class/id patterns for page furniture (Readability's "unlikely candidates")
+  const UNLIKELY_CANDIDATES = /-ad-|ai2html|banner|breadcrumbs|combx|comment|community|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|related|remark|replies|rss|shoutbox|sidebar|skyscraper|social|sponsor|supplemental|ad-break|agegate|pagination|pager|popup|yom-remote|newsletter|subscribe|cookie/i;
+  const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+  const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+  const NEGATIVE = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|foot|footer|footnote|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+  const BYLINE = /byline|author|dateline|writtenby|p-author/i;
+  const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|ScholarlyArticle|TechArticle|Report|AnalysisNewsArticle|OpinionNewsArticle|ReportageNewsArticle|SocialMediaPosting|LiveBlogPosting|MedicalScholarlyArticle|APIReference)$/;
+
+  const UNLIKELY_ROLES = ['menu', 'menubar', 'complementary', 'navigation', 'alert', 'alertdialog', 'dialog'];
+  const REMOVED_TAGS = 'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, nav, footer, aside, link, meta';
+  const SCORED_TAGS = ['P', 'PRE', 'TD', 'BLOCKQUOTE', 'SECTION', 'H2', 'H3', 'H4', 'H5', 'H6'];
+  const BLOCK_TAGS = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|DD|DIV|DL|DT|FIGCAPTION|FIGURE|FOOTER|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|TABLE|TR|UL)$/;
+  const KEPT_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'datetime', 'lang', 'dir', 'data-language', 'data-math'];
+  const CODE_LANGUAGE = /(?:^|\s)(?:language|lang|highlight-source|brush:?)-?([\w+#-]+)/i;
+
+  // Rendered formulas: where each renderer keeps the TeX, and the glyph markup MathJax 2 leaves beside it
+  const MATH_CONTAINERS = '.katex-display, .katex, .mwe-math-element, mjx-container';
+  const MATHJAX_OUTPUT = '.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_SVG_Display, .MathJax_CHTML, .MathJax_MathML';
+  const TEX_ANNOTATION = 'annotation[encoding="application/x-tex"], annotation[encoding="TeX"]';
+
+  // Pagination controls and the text of their "next" links
+  const PAGINATION = /pagination|pager|paging|page-?(nav|links|numbers)|pagenavi|next-?page/i;
+  const NEXT_LINK = /^(next( page)?|continue|next\s*[›»→>]|[›»→])$/i;
+  const PAGE_OF = /\bpage\s+(\d+)\s+(?:of|\/)\s+(\d+)\b/i;
+  // Page number at the end of a path: /page/3 or -p3. A bare /3 is usually an id or a year.
+  const PAGE_IN_PATH = /(?:\/page\/|-p)(\d{1,3})\/?$/i;
+
+  // Frames smaller than this (ads, widgets) count for less when choosing between frames
+  const FULL_FRAME_AREA = 400 * 300;
+
+  const MIN_PARAGRAPH_LENGTH = 25;
+  const TOP_CANDIDATES = 5;
+  const EXCERPT_LENGTH = 300;
+
+  // Figures kept as reading assets; smaller images are icons, spacers and tracking pixels
+  const MAX_FIGURES = 20;
+  const MIN_IMAGE_SIZE = 48;
+  const LAZY_SOURCES = ['data-src', 'data-lazy-src', 'data-original', 'data-srcset'];
+
+  /**
+   * Extract the main article of a document
+   * @param {Document} doc - Defaults to the current page
+   * @param {Object} options - { siteAdapters: user adapter definitions from preferences }
+   * @returns {Object} { title, byline, authors, publishedAt, modifiedAt, siteName, language, excerpt,
+   *   content (HTML), blocks, markdown, text, length, canonicalLink, ogUrl, adapter (id or null),
+   *   figures: [{ src, alt, caption }], pagination: { nextUrl, page, totalPages }, relevance (for ranking frames) }
+   */
+  function extractArticle(doc = document, options = {}) {
+    const adapters = globalThis.RamiSiteAdapters;
+    const adapter = adapters?.findAdapter(doc, options.siteAdapters || []);
+    const site = adapter ? adapters.runAdapter(adapter, doc) : null;
+
+    const metadata = { ...extractMetadata(doc) };
+    const pagination = findPagination(doc);
+    Object.entries(site?.metadata || {}).forEach(([key, value]) => {
+      if (Array.isArray(value) ? value.length > 0 : value) metadata[key] = value;
+    });
+    metadata.publishedAt = normalizeDate(metadata.publishedAt);
+
+    let root;
+    let pageByline;
+    if (site) {
+      root = site.root;
+      pageByline = site.byline;
+      removeNonContent(root);
+      normalizeMarkup(root);
+    } else {
+      const body = cloneComposed(doc.body);
+      pageByline = findByline(body);
+      removeBoilerplate(body);
+      root = pickArticleRoot(body);
+      cleanArticle(root);
+    }
+    const byline = metadata.authors.join(', ') || pageByline || null;
+
+    const title = site?.title || metadata.title || getArticleTitle(doc, root);
+    removeDuplicateTitle(root, title);
+    absolutizeUrls(root, doc.baseURI);
+
+    const text = toPlainText(root);
+    const blocks = toBlocks(root);
+
+    return {
+      title,
+      byline,
+      authors: metadata.authors.length > 0 ? metadata.authors : splitAuthors(byline),
+      publishedAt: metadata.publishedAt,
+      modifiedAt: metadata.modifiedAt,
+      siteName: metadata.siteName,
+      language: metadata.language,
+      excerpt: metadata.description?.substring(0, EXCERPT_LENGTH) || getExcerpt(root, text),
+      content: root.innerHTML,
+      blocks,
+      markdown: blocksToMarkdown(blocks),
+      text,
+      length: text.length,
+      canonicalLink: doc.querySelector('link[rel="canonical"]')?.href || null,
+      ogUrl: getMeta(doc, ['og:url']) || null,
+      figures: collectFigures(root),
+      adapter: site ? adapter.id : null,
+      pagination,
+      relevance: getRelevance(doc, root, text),
+    };
+  }
+
+  /**
+   * Copy of an element as rendered: open shadow roots are copied in place of
+   * their host's light DOM, and slots are replaced by the nodes assigned to them
+   */
+  function cloneComposed(el) {
+    if (![...el.querySelectorAll('*')].some(node => node.shadowRoot)) {
+      return el.cloneNode(true);
+    }
+    return cloneWithShadowRoots(el);
+  }
+
+  function cloneWithShadowRoots(node) {
+    const copy = node.cloneNode(false);
+    if (node.nodeType !== Node.ELEMENT_NODE) return copy;
+
+    const children = node.shadowRoot ? node.shadowRoot.childNodes : node.childNodes;
+    [...children].forEach(child => {
+      if (child.nodeType === Node.ELEMENT_NODE && child.tagName === 'SLOT' && child.getRootNode().host) {
+        const assigned = child.assignedNodes({ flatten: true });
+        (assigned.length > 0 ? assigned : [...child.childNodes]).forEach(slotted => copy.appendChild(cloneWithShadowRoots(slotted)));
+      } else {
+        copy.appendChild(cloneWithShadowRoots(child));
+      }
+    });
+    return copy;
+  }
+
+  /**
+   * How likely a document holds the article, for choosing between frames:
+   * text outside links, scaled down for small frames such as ads and widgets
+   */
+  function getRelevance(doc, root, text) {
+    let relevance = text.length * (1 - Math.min(1, getLinkDensity(root)));
+
+    const view = doc.defaultView;
+    if (view && view !== view.top) {
+      relevance *= Math.min(1, (view.innerWidth * view.innerHeight) / FULL_FRAME_AREA);
+    }
+    return Math.round(relevance);
+  }
+
+  /**
+   * Extract the user's text selection, in the same shape as extractArticle()
+   * @returns {Object|null} null when nothing is selected
+   */
+  function extractSelection(doc = document) {
+    const selection = doc.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+    const root = doc.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const container = doc.createElement('div');
+      container.appendChild(selection.getRangeAt(i).cloneContents());
+      root.appendChild(container);
+    }
+
+    removeNonContent(root);
+    normalizeMarkup(root);
+    absolutizeUrls(root, doc.baseURI);
+
+    const metadata = extractMetadata(doc);
+    const text = toPlainText(root);
+    if (!text) return null;
+    const blocks = toBlocks(root);
+
+    return {
+      title: metadata.title || getArticleTitle(doc, root),
+      byline: metadata.authors.join(', ') || null,
+      authors: metadata.authors,
+      publishedAt: metadata.publishedAt,
+      modifiedAt: metadata.modifiedAt,
+      siteName: metadata.siteName,
+      language: metadata.language,
+      excerpt: getExcerpt(root, text),
+      content: root.innerHTML,
+      blocks,
+      markdown: blocksToMarkdown(blocks),
+      text,
+      length: text.length,
+      canonicalLink: doc.querySelector('link[rel="canonical"]')?.href || null,
+      ogUrl: getMeta(doc, ['og:url']) || null,
+      figures: collectFigures(root),
+    };
+  }
+
+  /**
+   * Where a paginated article continues: rel="next", a "Next" link in the
+   * pagination controls, or the link to the following page number
+   * @returns {Object} { nextUrl, page, totalPages }; nextUrl is null on the last or only page
+   */
+  function findPagination(doc) {
+    const current = new URL(doc.URL);
+    const isNextPage = (href) => {
+      if (!href) return false;
+      try {
+        const url = new URL(href, doc.baseURI);
+        // Only later pages of this article, not the next post on the blog
+        return url.href.split('#')[0] !== current.href.split('#')[0] && articleKey(url) === articleKey(current);
+      } catch {
+        return false;
+      }
+    };
+
+    const controls = [...doc.querySelectorAll('nav, ul, ol, div, p, span')]
+      .filter(el => PAGINATION.test(`${el.className?.baseVal ?? el.className} ${el.id} ${el.getAttribute('aria-label') || ''}`)
+        && el.querySelectorAll('a[href]').length <= 30);
+    const pageOf = controls.map(el => normalizeSpace(el.textContent).match(PAGE_OF)).find(Boolean);
+
+    const page = Number(pageOf?.[1]) || getPageNumber(new URL(doc.URL));
+    const controlLinks = controls.flatMap(el => [...el.querySelectorAll('a[href]')]);
+
+    const nextLink = [
+      ...doc.querySelectorAll('link[rel~="next" i], a[rel~="next" i]'),
+      ...controlLinks.filter(a => NEXT_LINK.test(normalizeSpace(a.textContent) || a.getAttribute('aria-label') || '')),
+      ...controlLinks.filter(a => normalizeSpace(a.textContent) === String(page + 1)),
+    ].find(link => isNextPage(link.getAttribute('href')));
+    const nextUrl = nextLink ? new URL(nextLink.getAttribute('href'), doc.baseURI).href.split('#')[0] : null;
+
+    return { nextUrl, page, totalPages: Number(pageOf?.[2]) || null };
+  }
+
+  /**
+   * The URL without its page number, equal for every page of one article
+   */
+  function articleKey(url) {
+    const params = new URLSearchParams(url.search);
+    params.delete('page');
+    params.sort();
+    const path = url.pathname.replace(PAGE_IN_PATH, '').replace(/\/$/, '');
+    return `${url.origin}${path}?${params}`;
+  }
+
+  /**
+   * Page number from ?page=3, /page/3 or -p3 in the URL (1 when there is none)
+   */
+  function getPageNumber(url) {
+    const path = url.pathname.match(PAGE_IN_PATH);
+    return Number(url.searchParams.get('page') || path?.[1]) || 1;
+  }
+
+  /**
+   * Page metadata from JSON-LD, Highwire/Google Scholar citation_* tags, Dublin Core and
+   * OpenGraph, most specific first. Dates are ISO strings, languages BCP 47 tags.
+   * @returns {Object} { title, authors, publishedAt, modifiedAt, siteName, language, description }
+   */
+  function extractMetadata(doc = document) {
+    const ld = findJsonLdArticle(doc) || {};
+    const metaList = (names) => names.flatMap(name => [...doc.querySelectorAll(`meta[name="${name}" i], meta[property="${name}" i]`)])
+      .map(el => el.getAttribute('content')?.trim())
+      .filter(Boolean);
+
+    const authorCandidates = [
+      jsonLdNames(ld.author || ld.creator),
+      metaList(['citation_author']).map(flipCitationName),
+      metaList(['dc.creator', 'dcterms.creator']),
+      metaList(['author', 'article:author', 'parsely-author', 'sailthru.author']),
+    ];
+    const authors = authorCandidates
+      .map(list => [...new Set(list.map(normalizeSpace).filter(name => name && !/^https?:/i.test(name)))])
+      .find(list => list.length > 0) || [];
+
+    const firstDate = (values) => values.map(normalizeDate).find(Boolean) || null;
+
+    return {
+      title: normalizeSpace(ld.headline || ld.name || metaList(['citation_title', 'dc.title'])[0] || '') || null,
+      authors,
+      publishedAt: firstDate([
+        ld.datePublished, ld.dateCreated,
+        ...metaList(['citation_publication_date', 'citation_date', 'citation_online_date']),
+        ...metaList(['dcterms.issued', 'dcterms.created', 'dc.date']),
+        ...metaList(['article:published_time', 'og:published_time', 'date', 'pubdate', 'publish-date']),
+        doc.querySelector('time[datetime]')?.getAttribute('datetime'),
+      ]),
+      modifiedAt: firstDate([
+        ld.dateModified,
+        ...metaList(['dcterms.modified', 'article:modified_time', 'og:updated_time', 'last-modified']),
+      ]),
+      siteName: normalizeSpace(
+        jsonLdNames(ld.publisher)[0]
+        || metaList(['og:site_name', 'citation_journal_title', 'citation_conference_title', 'dc.publisher', 'application-name'])[0]
+        || ''
+      ) || null,
+      language: normalizeLanguage(
+        jsonLdNames(ld.inLanguage)[0]
+        || metaList(['citation_language', 'dc.language', 'dcterms.language'])[0]
+        || doc.documentElement.getAttribute('lang')
+        || metaList(['og:locale'])[0]
+      ),
+      description: normalizeSpace(ld.description || metaList(['description', 'og:description', 'twitter:description', 'dc.description'])[0] || '') || null,
+    };
+  }
+
+  /**
+   * The first JSON-LD node describing an article (also inside @graph and arrays)
+   */
+  function findJsonLdArticle(doc) {
+    const nodes = [];
+    const collect = (value) => {
+      if (Array.isArray(value)) {
+        value.forEach(collect);
+      } else if (value && typeof value === 'object') {
+        nodes.push(value);
+        if (value['@graph']) collect(value['@graph']);
+        if (value.mainEntity) collect(value.mainEntity);
+      }
+    };
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        collect(JSON.parse(script.textContent));
+      } catch {
+        // Ignore malformed JSON-LD
+      }
+    });
+
+    return nodes.find(node => [].concat(node['@type'] || []).some(type => ARTICLE_TYPES.test(type)));
+  }
+
+  /**
+   * Names from a JSON-LD value: "Name", { name }, or a list of either
+   */
+  function jsonLdNames(value) {
+    return [].concat(value || [])
+      .map(item => (typeof item === 'string' ? item : item?.name || [item?.givenName, item?.familyName].filter(Boolean).join(' ')))
+      .filter(name => typeof name === 'string' && name.trim());
+  }
+
+  // citation_author is often "Last, First"
+  function flipCitationName(name) {
+    const parts = name.split(',').map(part => part.trim());
+    return parts.length === 2 && parts[1] ? `${parts[1]} ${parts[0]}` : name;
+  }
+
+  function splitAuthors(byline) {
+    if (!byline) return [];
+    return byline
+      .replace(/^by\s+/i, '')
+      .split(/\s*(?:,|&|\band\b)\s*/i)
+      .map(normalizeSpace)
+      .filter(name => name && name.split(' ').length <= 5);
+  }
+
+  function normalizeDate(value) {
+    if (!value || typeof value !== 'string') return null;
+    // citation_* dates use slashes ("2021/03/04"); a bare year is kept as January 1st
+    const date = new Date(value.trim().replace(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, '$1-$2-$3'));
+    return isNaN(date) ? null : date.toISOString();
+  }
+
+  function normalizeLanguage(value) {
+    if (!value || typeof value !== 'string') return null;
+    const [language, region] = value.trim().replace('_', '-').split('-');
+    if (!/^[a-z]{2,3}$/i.test(language)) return null;
+    return region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase();
+  }
+
+  /**
+   * Drop scripts, navigation and elements whose class/id/role marks them as page furniture
+   */
+  function removeBoilerplate(body) {
+    removeNonContent(body);
+
+    body.querySelectorAll('*').forEach(el => {
+      if (!body.contains(el) || el.closest('article, main') === el) return;
+
+      const matchString = `${el.className?.baseVal ?? el.className} ${el.id}`;
+      const role = el.getAttribute('role');
+
+      if (UNLIKELY_ROLES.includes(role)
+        || (UNLIKELY_CANDIDATES.test(matchString) && !MAYBE_CANDIDATE.test(matchString) && !el.closest('table, code, pre'))) {
+        el.remove();
+      }
+    });
+  }
+
+  /**
+   * Scripts, forms, embeds and hidden elements
+   */
+  function removeNonContent(root) {
+    // Formulas first: MathJax keeps its TeX in script tags, Wikipedia in hidden MathML
+    preserveMath(root);
+
+    root.querySelectorAll(REMOVED_TAGS).forEach(el => el.remove());
+
+    root.querySelectorAll('[hidden], [aria-hidden="true"], [style*="display:none"], [style*="display: none"]').forEach(el => el.remove());
+  }
+
+  /**
+   * Replace rendered formulas (MathJax, KaTeX, MathML) with their TeX source in a
+   * `data-math` element, which the Markdown conversion writes as $…$ or $$…$$
+   */
+  function preserveMath(root) {
+    const replace = (el, tex, display) => {
+      const source = (tex || '').trim().replace(/^\{\\(?:display|text)style\s*([\s\S]*)\}$/, '$1').trim();
+      if (!source) return;
+      const math = root.ownerDocument.createElement(display ? 'div' : 'span');
+      math.setAttribute('data-math', display ? 'display' : 'inline');
+      math.textContent = display ? source : normalizeSpace(source);
+      el.replaceWith(math);
+    };
+
+    root.querySelectorAll(MATH_CONTAINERS).forEach(el => {
+      if (!root.contains(el)) return; // Inside a display formula that was already replaced
+      const math = el.querySelector('math');
+      const fallbackImage = el.querySelector('img[class*="mwe-math-fallback"]');
+      const display = el.classList.contains('katex-display') || el.getAttribute('display') === 'true'
+        || math?.getAttribute('display') === 'block' || /display/.test(fallbackImage?.className || '');
+      if (math || fallbackImage) {
+        replace(el, getTexSource(math) || fallbackImage?.getAttribute('alt'), display);
+      }
+    });
+
+    const scripts = root.querySelectorAll('script[type^="math/tex"]');
+    if (scripts.length > 0) {
+      root.querySelectorAll(MATHJAX_OUTPUT).forEach(el => el.remove());
+      scripts.forEach(script => replace(script, script.textContent, /mode\s*=\s*display/.test(script.type)));
+    }
+
+    root.querySelectorAll('math').forEach(math => replace(math, getTexSource(math), math.getAttribute('display') === 'block'));
+  }
+
+  function getTexSource(math) {
+    if (!math) return '';
+    return math.querySelector(TEX_ANNOTATION)?.textContent || math.getAttribute('alttext') || mathmlToTex(math);
+  }
+
+  /**
+   * TeX for presentation MathML without a TeX annotation (the common elements only)
+   */
+  function mathmlToTex(node) {
+    if (node.nodeType === Node.TEXT_NODE) return escapeTex(node.nodeValue.trim());
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const [first, second, third] = [...node.children].map(mathmlToTex);
+    const group = (tex = '') => (tex.length === 1 ? tex : `{${tex}}`);
+    const all = () => [...node.childNodes].map(mathmlToTex).filter(Boolean).join(' ');
+
+    switch (node.localName) {
+      case 'annotation': case 'annotation-xml':
+        return '';
+      case 'semantics':
+        return first || '';
+      case 'mi':
+        return node.textContent.trim().length > 1 ? `\\mathrm{${escapeTex(node.textContent.trim())}}` : escapeTex(node.textContent.trim());
+      case 'mtext':
+        return `\\text{${escapeTex(node.textContent)}}`;
+      case 'mfrac':
+        return `\\frac{${first}}{${second}}`;
+      case 'msqrt':
+        return `\\sqrt{${all()}}`;
+      case 'mroot':
+        return `\\sqrt[${second}]{${first}}`;
+      case 'msup':
+        return `${group(first)}^${group(second)}`;
+      case 'msub':
+        return `${group(first)}_${group(second)}`;
+      case 'msubsup': case 'munderover':
+        return `${group(first)}_${group(second)}^${group(third)}`;
+      case 'munder':
+        return `\\underset{${second}}{${first}}`;
+      case 'mover':
+        return `\\overset{${second}}{${first}}`;
+      case 'mtable':
+        return `\\begin{matrix} ${[...node.children].map(row => [...row.children].map(mathmlToTex).join(' & ')).join(' \\\\ ')} \\end{matrix}`;
+      case 'mspace':
+        return '\\ ';
+      default:
+        return all();
+    }
+  }
+
+  function escapeTex(text) {
+    return text.replace(/([{}%#&$_])/g, '\\$1');
+  }
+
+  /**
+   * Score paragraphs into their ancestors and return the best-scoring node,
+   * together with any siblings that look like part of the same article
+   */
+  function pickArticleRoot(body) {
+    const scores = new Map();
+
+    const initialize = (node) => {
+      if (scores.has(node)) return;
+
+      let score = getClassWeight(node);
+      switch (node.tagName) {
+        case 'DIV': score += 5; break;
+        case 'PRE': case 'TD': case 'BLOCKQUOTE': score += 3; break;
+        case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': score -= 3; break;
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': score -= 5; break;
+      }
+      scores.set(node, score);
+    };
+
+    const paragraphs = [...body.querySelectorAll('*')].filter(el => SCORED_TAGS.includes(el.tagName)
+      || (el.tagName === 'DIV' && !hasBlockChildren(el)));
+
+    paragraphs.forEach(paragraph => {
+      const text = normalizeSpace(paragraph.textContent);
+      if (text.length < MIN_PARAGRAPH_LENGTH) return;
+
+      // One point for being a paragraph, one per comma, one per 100 characters (max 3)
+      const contentScore = 1 + text.split(/[,，、]/).length - 1 + Math.min(Math.floor(text.length / 100), 3);
+
+      let ancestor = paragraph.parentElement;
+      for (let level = 0; ancestor && ancestor !== body.parentElement && level < 5; level++) {
+        initialize(ancestor);
+        const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+        scores.set(ancestor, scores.get(ancestor) + contentScore / divider);
+        ancestor = ancestor.parentElement;
+      }
+    });
+
+    // Links make up most of navigation blocks, little of an article
+    const candidates = [...scores.entries()]
+      .map(([node, score]) => ({ node, score: score * (1 - getLinkDensity(node)) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, TOP_CANDIDATES);
+
+    if (candidates.length === 0) {
+      return body;
+    }
+
+    let top = candidates[0];
+
+    // When the runners-up share an ancestor with the winner, the article is probably that ancestor
+    const alternatives = candidates.slice(1).filter(c => c.score / top.score >= 0.75);
+    if (alternatives.length >= 2) {
+      let parent = top.node.parentElement;
+      while (parent && parent !== body) {
+        const containing = alternatives.filter(c => parent.contains(c.node)).length;
+        if (containing >= 2) {
+          top = { node: parent, score: scores.get(parent) ?? top.score };
+          break;
+        }
+        parent = parent.parentElement;
+      }
+    }
+
+    return mergeSiblings(top, scores);
+  }
+
+  /**
+   * Collect siblings of the top candidate that carry article content too
+   * (e.g. an intro paragraph outside the main content div)
+   */
+  function mergeSiblings(top, scores) {
+    const parent = top.node.parentElement;
+    if (!parent) return top.node;
+
+    const threshold = Math.max(10, top.score * 0.2);
+    const topClass = top.node.className;
+    const article = top.node.ownerDocument.createElement('div');
+
+    [...parent.children].forEach(sibling => {
+      let append = sibling === top.node;
+
+      if (!append) {
+        let bonus = 0;
+        if (topClass && sibling.className === topClass) bonus += top.score * 0.2;
+
+        if ((scores.get(sibling) ?? -Infinity) + bonus >= threshold) {
+          append = true;
+        } else if (sibling.tagName === 'P') {
+          const text = normalizeSpace(sibling.textContent);
+          const linkDensity = getLinkDensity(sibling);
+          append = (text.length > 80 && linkDensity < 0.25)
+            || (text.length > 0 && text.length <= 80 && linkDensity === 0 && /\.( |$)/.test(text));
+        }
+      }
+
+      if (append) {
+        article.appendChild(sibling.cloneNode(true));
+      }
+    });
+
+    return article;
+  }
+
+  /**
+   * Remove leftover blocks that are mostly links, empty, or too small to be content
+   */
+  function cleanArticle(root) {
+    root.querySelectorAll('div, section, ul, ol, table, header').forEach(el => {
+      if (!root.contains(el)) return;
+
+      const text = normalizeSpace(el.textContent);
+      const weight = getClassWeight(el);
+      const linkDensity = getLinkDensity(el);
+      const media = el.querySelectorAll('img, picture, video, svg, math, pre, code, [data-math]').length;
+
+      if (weight < 0 && linkDensity > 0.2) {
+        el.remove();
+      } else if (linkDensity > 0.5 && weight < 25) {
+        el.remove();
+      } else if (text.length === 0 && media === 0) {
+        el.remove();
+      } else if (/^(DIV|SECTION|HEADER)$/.test(el.tagName) && text.length < MIN_PARAGRAPH_LENGTH && media === 0
+        && !el.querySelector('p, h1, h2, h3, h4, h5, h6')
+        && (el.children.length > 0 || /^(advertisement|share|sponsored)/i.test(text))) {
+        // Short scraps around the text ("Share", "Advertisement", "3 min read")
+        el.remove();
+      }
+    });
+
+    normalizeMarkup(root);
+  }
+
+  /**
+   * Keep only the attributes the Markdown conversion and reader view use
+   */
+  function normalizeMarkup(root) {
+    // Lazy-loaded images keep their real source in a data attribute until scrolled into view
+    root.querySelectorAll('img').forEach(img => {
+      const lazy = LAZY_SOURCES.map(name => img.getAttribute(name)).find(Boolean);
+      if (lazy && (!img.getAttribute('src') || img.getAttribute('src').startsWith('data:'))) {
+        img.setAttribute('src', lazy.trim().split(/\s+/)[0]);
+      }
+      const width = parseInt(img.getAttribute('width'), 10);
+      const height = parseInt(img.getAttribute('height'), 10);
+      if (width < MIN_IMAGE_SIZE || height < MIN_IMAGE_SIZE) img.remove();
+    });
+
+    // Keep the code language before class names are stripped
+    root.querySelectorAll('pre').forEach(pre => {
+      const source = [pre, pre.querySelector('code'), pre.parentElement].find(el => CODE_LANGUAGE.test(el?.className || ''));
+      if (source) pre.setAttribute('data-language', source.className.match(CODE_LANGUAGE)[1].toLowerCase());
+    });
+
+    root.querySelectorAll('*').forEach(el => {
+      [...el.attributes].forEach(attr => {
+        if (!KEPT_ATTRIBUTES.includes(attr.name)) el.removeAttribute(attr.name);
+      });
+    });
+  }
+
+  /**
+   * Best title: the page's own headline when it matches document.title,
+   * otherwise document.title without the " | Site name" suffix
+   */
+  function getArticleTitle(doc, root) {
+    const documentTitle = normalizeSpace(getMeta(doc, ['og:title', 'twitter:title']) || doc.title || '');
+    const headings = [...root.querySelectorAll('h1'), ...doc.querySelectorAll('h1')]
+      .map(h => normalizeSpace(h.textContent))
+      .filter(Boolean);
+
+    const matching = headings.find(h => documentTitle.toLowerCase().includes(h.toLowerCase()));
+    if (matching && matching.split(' ').length >= 2) return matching;
+
+    const separator = /\s[|\-–—\\/>»]\s/;
+    if (separator.test(documentTitle)) {
+      const parts = documentTitle.split(separator);
+      const longest = parts.reduce((a, b) => (b.length > a.length ? b : a));
+      if (longest.split(' ').length >= 3) return longest;
+    }
+
+    return documentTitle || headings[0] || '';
+  }
+
+  /**
+   * Author line from a short element marked as a byline
+   * (removed from the article so it isn't repeated in the content)
+   */
+  function findByline(body) {
+    const candidate = [...body.querySelectorAll('[rel="author"], [itemprop~="author"], [class], [id]')].find(el => {
+      const matchString = `${el.className?.baseVal ?? el.className} ${el.id}`;
+      const text = normalizeSpace(el.textContent);
+      return (el.getAttribute('rel') === 'author' || el.getAttribute('itemprop')?.includes('author') || BYLINE.test(matchString))
+        && text.length > 0 && text.length < 100;
+    });
+    if (!candidate) return null;
+
+    const byline = normalizeSpace(candidate.textContent).replace(/^by\s+/i, '');
+    candidate.remove();
+    return byline;
+  }
+
+  function removeDuplicateTitle(root, title) {
+    const heading = root.querySelector('h1, h2');
+    if (heading && normalizeSpace(heading.textContent) === title) {
+      heading.remove();
+    }
+  }
+
+  function getExcerpt(root, text) {
+    const firstParagraph = [...root.querySelectorAll('p')]
+      .map(p => normalizeSpace(p.textContent))
+      .find(p => p.length >= MIN_PARAGRAPH_LENGTH);
+    return (firstParagraph || text).substring(0, EXCERPT_LENGTH);
+  }
+
+  /**
+   * Images and figures of the article with their captions and alt text,
+   * recorded with the reading (thumbnails are made by the background worker)
+   */
+  function collectFigures(root) {
+    const figures = [];
+    const seen = new Set();
+    root.querySelectorAll('img[src]').forEach(img => {
+      const src = img.getAttribute('src');
+      if (src.startsWith('data:') || seen.has(src)) return;
+      seen.add(src);
+      figures.push({
+        src,
+        alt: normalizeSpace(img.getAttribute('alt')),
+        caption: normalizeSpace(img.closest('figure')?.querySelector('figcaption')?.textContent),
+      });
+    });
+    return figures.slice(0, MAX_FIGURES);
+  }
+
+  function absolutizeUrls(root, baseURI) {
+    root.querySelectorAll('a[href], img[src]').forEach(el => {
+      const attribute = el.tagName === 'A' ? 'href' : 'src';
+      const value = el.getAttribute(attribute);
+      if (value.startsWith('#') || value.startsWith('javascript:')) {
+        if (attribute === 'href') el.removeAttribute('href');
+        return;
+      }
+      try {
+        el.setAttribute(attribute, new URL(value, baseURI).href);
+      } catch {
+        // Leave unparseable URLs as they are
+      }
+    });
+  }
+
+  /**
+   * Text with paragraph breaks, like innerText but usable on detached nodes
+   */
+  function toPlainText(root) {
+    const parts = [];
+
+    const walk = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        parts.push(node.nodeValue.replace(/\s+/g, ' '));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      if (node.tagName === 'BR') {
+        parts.push('\n');
+        return;
+      }
+      if (node.tagName === 'PRE') {
+        parts.push('\n\n', node.textContent, '\n\n');
+        return;
+      }
+
+      if (node.tagName === 'LI') {
+        parts.push('\n• ');
+        node.childNodes.forEach(walk);
+        parts.push('\n');
+        return;
+      }
+
+      const block = BLOCK_TAGS.test(node.tagName);
+      if (block) parts.push('\n\n');
+      node.childNodes.forEach(walk);
+      if (block) parts.push('\n\n');
+      if (node.tagName === 'TD' || node.tagName === 'TH') parts.push('\t');
+    };
+    walk(root);
+
+    return parts.join('')
+      .replace(/[ \t]*\n[ \t]*/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Structured blocks that keep the article's headings, lists, code, quotes and tables
+   * Inline text is Markdown (**bold**, *emphasis*, `code`, [links](url)).
+   * @returns {Array<Object>} e.g. { type: 'heading', level, text }, { type: 'paragraph', text },
+   *   { type: 'list', items: [{ text, depth, ordered }] }, { type: 'code', language, text },
+   *   { type: 'quote', text }, { type: 'table', rows }, { type: 'image', src, alt, caption }, { type: 'math', tex }, { type: 'rule' }
+   */
+  function toBlocks(root) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+      const text = inline.join('').replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim();
+      if (text) blocks.push({ type: 'paragraph', text });
+      inline = [];
+    };
+
+    const visit = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        inline.push(node.nodeValue.replace(/\s+/g, ' '));
+        return;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+      const tag = node.tagName;
+
+      if (node.hasAttribute('data-math')) {
+        if (node.getAttribute('data-math') === 'display') {
+          flush();
+          blocks.push({ type: 'math', tex: node.textContent });
+        } else {
+          inline.push(inlineMarkdown(node));
+        }
+      } else if (/^H[1-6]$/.test(tag)) {
+        flush();
+        const text = toInlineMarkdown(node);
+        if (text) blocks.push({ type: 'heading', level: Number(tag[1]), text });
+      } else if (tag === 'P') {
+        flush();
+        const text = toInlineMarkdown(node);
+        if (text) blocks.push({ type: 'paragraph', text });
+      } else if (tag === 'PRE') {
+        flush();
+        const text = node.textContent.replace(/^\n+|\s+$/g, '');
+        if (text) blocks.push({ type: 'code', language: node.getAttribute('data-language') || '', text });
+      } else if (tag === 'UL' || tag === 'OL') {
+        flush();
+        const items = [];
+        collectListItems(node, 0, items);
+        if (items.length > 0) blocks.push({ type: 'list', items });
+      } else if (tag === 'BLOCKQUOTE') {
+        flush();
+        const text = blocksToMarkdown(toBlocks(node));
+        if (text) blocks.push({ type: 'quote', text });
+      } else if (tag === 'TABLE' && isDataTable(node)) {
+        flush();
+        blocks.push({ type: 'table', rows: [...node.rows].map(row => [...row.cells].map(cell => toInlineMarkdown(cell).replace(/\n/g, ' '))) });
+      } else if (tag === 'IMG') {
+        flush();
+        if (node.getAttribute('src')) blocks.push({ type: 'image', src: node.getAttribute('src'), alt: node.getAttribute('alt') || '', caption: '' });
+      } else if (tag === 'FIGURE' && node.querySelector('img')) {
+        flush();
+        const img = node.querySelector('img');
+        blocks.push({
+          type: 'image',
+          src: img.getAttribute('src'),
+          alt: img.getAttribute('alt') || '',
+          caption: normalizeSpace(node.querySelector('figcaption')?.textContent),
+        });
+      } else if (tag === 'HR') {
+        flush();
+        blocks.push({ type: 'rule' });
+      } else if (tag === 'BR') {
+        inline.push('\n');
+      } else if (BLOCK_TAGS.test(tag) || tag === 'TABLE' || tag === 'TBODY' || tag === 'TR' || tag === 'TD' || tag === 'TH') {
+        flush();
+        node.childNodes.forEach(visit);
+        flush();
+      } else {
+        inline.push(inlineMarkdown(node));
+      }
+    };
+
+    root.childNodes.forEach(visit);
+    flush();
+    return blocks;
+  }
+
+  /**
+   * Markdown for a run of inline content
+   */
+  function toInlineMarkdown(node, trim = true) {
+    const text = [...node.childNodes].map(inlineMarkdown).join('');
+    return trim ? text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').trim() : text;
+  }
+
+  function inlineMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.nodeValue.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    if (node.hasAttribute('data-math')) {
+      const tex = normalizeSpace(node.textContent);
+      return node.getAttribute('data-math') === 'display' ? ` $$${tex}$$ ` : `$${tex}$`;
+    }
+
+    switch (node.tagName) {
+      case 'STRONG': case 'B':
+        return wrapInline(toInlineMarkdown(node), '**');
+      case 'EM': case 'I':
+        return wrapInline(toInlineMarkdown(node), '*');
+      case 'CODE': case 'KBD': case 'SAMP': {
+        const code = node.textContent;
+        if (!code) return '';
+        return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+      }
+      case 'A': {
+        const text = toInlineMarkdown(node);
+        const href = node.getAttribute('href');
+        return text && href ? `[${text}](${href})` : text;
+      }
+      case 'IMG':
+        return node.getAttribute('src') ? `![${node.getAttribute('alt') || ''}](${node.getAttribute('src')})` : '';
+      case 'BR':
+        return '\n';
+      case 'UL': case 'OL':
+        return ''; // List items render nested lists themselves
+      default:
+        return BLOCK_TAGS.test(node.tagName) ? ` ${toInlineMarkdown(node)} ` : toInlineMarkdown(node, false);
+    }
+  }
+
+  function wrapInline(text, marker) {
+    return text ? `${marker}${text}${marker}` : '';
+  }
+
+  function collectListItems(list, depth, items) {
+    [...list.children].forEach(child => {
+      if (child.tagName === 'LI') {
+        const text = toInlineMarkdown(child).replace(/\n/g, ' ');
+        if (text) items.push({ text, depth, ordered: list.tagName === 'OL' });
+        child.querySelectorAll(':scope > ul, :scope > ol').forEach(nested => collectListItems(nested, depth + 1, items));
+      } else if (child.tagName === 'UL' || child.tagName === 'OL') {
+        collectListItems(child, depth + 1, items);
+      }
+    });
+  }
+
+  /**
+   * Tables with several columns and no nested tables hold data; others are layout
+   */
+  function isDataTable(table) {
+    if (table.querySelector('table')) return false;
+    const columns = Math.max(0, ...[...table.rows].map(row => row.cells.length));
+    return table.rows.length > 0 && columns >= 2;
+  }
+
+  /**
+   * Render blocks as Markdown (GitHub flavour for tables and fenced code)
+   */
+  function blocksToMarkdown(blocks) {
+    return blocks.map(block => {
+      switch (block.type) {
+        case 'heading':
+          return `${'#'.repeat(block.level)} ${block.text}`;
+        case 'list':
+          return block.items.map(item => `${'  '.repeat(item.depth)}${item.ordered ? '1.' : '-'} ${item.text}`).join('\n');
+        case 'code': {
+          const fence = block.text.includes('```') ? '~~~' : '```';
+          return `${fence}${block.language}\n${block.text}\n${fence}`;
+        }
+        case 'quote':
+          return block.text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+        case 'table': {
+          const columns = Math.max(...block.rows.map(row => row.length));
+          const line = (cells) => `| ${Array.from({ length: columns }, (_, i) => (cells[i] || '').replace(/\|/g, '\\|')).join(' | ')} |`;
+          const [header, ...rows] = block.rows;
+          return [line(header), line(Array(columns).fill('---')), ...rows.map(line)].join('\n');
+        }
+        case 'image':
+          return `![${block.alt}](${block.src})${block.caption ? `\n*${block.caption}*` : ''}`;
+        case 'math':
+          return `$$\n${block.tex}\n$$`;
+        case 'rule':
+          return '---';
+        default:
+          return block.text;
+      }
+    }).join('\n\n');
+  }
+
+  function hasBlockChildren(el) {
+    return [...el.children].some(child => BLOCK_TAGS.test(child.tagName));
+  }
+
+  function getClassWeight(el) {
+    let weight = 0;
+    [el.className?.baseVal ?? el.className, el.id].forEach(value => {
+      if (typeof value !== 'string' || !value) return;
+      if (NEGATIVE.test(value)) weight -= 25;
+      if (POSITIVE.test(value)) weight += 25;
+    });
+    return weight;
+  }
+
+  function getLinkDensity(el) {
+    const textLength = normalizeSpace(el.textContent).length;
+    if (textLength === 0) return 0;
+
+    const linkLength = [...el.querySelectorAll('a')].reduce((sum, a) => {
+      // In-page anchors (footnotes, table of contents) count for less
+      const coefficient = a.getAttribute('href')?.startsWith('#') ? 0.3 : 1;
+      return sum + normalizeSpace(a.textContent).length * coefficient;
+    }, 0);
+    return linkLength / textLength;
+  }
+
+  function getMeta(doc, names) {
+    for (const name of names) {
+      const el = doc.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+      const value = el?.getAttribute('content')?.trim();
+      if (value) return value;
+    }
+    return null;
+  }
+
+  function normalizeSpace(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  globalThis.RamiExtractor = { extractArticle, extractSelection, extractMetadata };
+})();
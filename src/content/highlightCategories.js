@@ -0,0 +1,9 @@
+/**
+ * Highlight Categories for content scripts
+ * The build bundles this into a classic script, listed before reader.js, that
+ * exposes utils/highlightCategories.js as globalThis.RamiHighlightCategories.
+ */
+
+import * as HighlightCategories from '../utils/highlightCategories.js';
+
+globalThis.RamiHighlightCategories = HighlightCategories;
@@ -16,6 +16,19 @@
   let isReaderMode = false;
   let originalContent = null;
   let isInitialized = false;
+  let siteAdapters = []; // User-defined site adapters, from preferences
+  let picker = null; // Element picker state while choosing the article area
+  let orphanPanel = null; // Lists saved highlights that could not be found on the page
+  let highlightPopover = null; // Note, category, removal and AI explanation of a clicked highlight
+  const highlightNotes = new Map(); // Saved highlight id -> its note (Markdown)
+  let highlightCount = 0; // Keys the parts of each highlight painted on this page
+  let highlightCategories = globalThis.RamiHighlightCategories.DEFAULT_CATEGORIES; // From preferences
+
+  // Text in these elements is never wrapped in a highlight
+  const UNHIGHLIGHTABLE = 'script, style, noscript, textarea, select, option';
+
+  // Pages that render their text after load get more tries to restore highlights (ms)
+  const RESTORE_RETRY_DELAYS = [1000, 3000];
 
   /**
    * Initialize content script
@@ -28,12 +41,25 @@
     // Listen for messages from extension
     chrome.runtime.onMessage.addListener(handleMessage);
 
+    // Keep the user's site adapters and highlight categories at hand
+    chrome.storage.local.get('preferences').then(({ preferences }) => {
+      siteAdapters = preferences?.siteAdapters || [];
+      setHighlightCategories(globalThis.RamiHighlightCategories.getCategories(preferences));
+
+      // Paint the highlights saved on this page before, in their categories' colors
+      restoreHighlights();
+    });
+    chrome.storage.onChanged.addListener(handleStorageChange);
+
     // Add keyboard shortcuts
     document.addEventListener('keydown', handleKeyboard);
 
     // Add selection handler for quick actions
     document.addEventListener('mouseup', handleSelection);
 
+    // Clicking a highlight opens its menu
+    document.addEventListener('click', handleHighlightClick);
+
     // Create floating toolbar
     createFloatingToolbar();
 
@@ -50,13 +76,18 @@
     // Remove event listeners
     document.removeEventListener('keydown', handleKeyboard);
     document.removeEventListener('mouseup', handleSelection);
+    document.removeEventListener('click', handleHighlightClick);
     chrome.runtime.onMessage.removeListener(handleMessage);
+    chrome.storage.onChanged.removeListener(handleStorageChange);
 
     // Remove toolbar if exists
     const toolbar = document.getElementById('ai-reading-studio-toolbar');
     if (toolbar) {
       toolbar.remove();
     }
+    orphanPanel?.remove();
+    orphanPanel = null;
+    closeHighlightPopover();
 
     // Reset state
     isInitialized = false;
@@ -80,7 +111,22 @@
         break;
 
       case 'highlight-text':
-        highlightText(request.text, request.color);
+        highlightText(request.text, request.color, request.selectors);
+        sendResponse({ success: true });
+        break;
+
+      case 'remove-highlight':
+        removeHighlight(highlightElements(request.id));
+        sendResponse({ success: true });
+        break;
+
+      case 'recolor-highlight':
+        recolorHighlight(highlightElements(request.id), request.color, request.category);
+        sendResponse({ success: true });
+        break;
+
+      case 'start-element-picker':
+        startElementPicker();
         sendResponse({ success: true });
         break;
 
@@ -91,22 +137,63 @@
     return true;
   }
 
+  function handleStorageChange(changes, areaName) {
+    if (areaName === 'local' && changes.preferences) {
+      siteAdapters = changes.preferences.newValue?.siteAdapters || [];
+      setHighlightCategories(globalThis.RamiHighlightCategories.getCategories(changes.preferences.newValue));
+    }
+  }
+
+  /**
+   * Use a new set of categories: refill the toolbar palette and repaint highlights
+   * whose category changed color
+   */
+  function setHighlightCategories(categories) {
+    highlightCategories = categories;
+    renderHighlightPalette();
+
+    document.querySelectorAll('.ai-reading-highlight[data-highlight-category]').forEach(span => {
+      const category = globalThis.RamiHighlightCategories.findCategory(categories, span.dataset.highlightCategory);
+      if (category && category.color !== span.dataset.highlightColor) {
+        recolorHighlight([span], category.color);
+      }
+    });
+  }
+
   /**
    * Handle keyboard shortcuts
    */
   function handleKeyboard(event) {
+    // Escape: Close the highlight popover
+    if (event.key === 'Escape' && highlightPopover) {
+      closeHighlightPopover();
+      return;
+    }
+
+    // Keys typed in the popover's note are not shortcuts
+    if (highlightPopover?.contains(event.target)) return;
+
     // Alt+R: Toggle reader mode
     if (event.altKey && event.key === 'r') {
       event.preventDefault();
       toggleReaderMode();
     }
 
-    // Alt+H: Highlight selection
+    // Alt+H: Highlight selection (first category)
     if (event.altKey && event.key === 'h') {
       event.preventDefault();
       highlightCurrentSelection();
     }
 
+    // Alt+<category shortcut>: Highlight selection in that category
+    // (the key is read from event.code, as Alt changes event.key on macOS)
+    const shortcutKey = event.code?.replace(/^(Key|Digit)/, '');
+    const category = event.altKey && globalThis.RamiHighlightCategories.findByShortcut(highlightCategories, shortcutKey);
+    if (category && !['r', 'h', 's'].includes(shortcutKey.toLowerCase())) {
+      event.preventDefault();
+      highlightCurrentSelection(category);
+    }
+
     // Alt+S: Summarize selection
     if (event.altKey && event.key === 's') {
       event.preventDefault();
@@ -118,6 +205,8 @@
    * Handle text selection
    */
   function handleSelection(event) {
+    if (highlightPopover?.contains(event.target)) return;
+
     const selection = window.getSelection();
     const selectedText = selection.toString().trim();
 
@@ -162,7 +251,7 @@
         </div>
         <article class="reader-content">
           <h1>${article.title}</h1>
-          <div class="reader-meta">${article.author || ''} • ${article.date || ''}</div>
+          <div class="reader-meta">${[article.author, article.date].filter(Boolean).join(' • ')}</div>
           <div class="reader-text">${article.content}</div>
         </article>
       </div>
@@ -176,6 +265,8 @@
     document.getElementById('increase-font').addEventListener('click', () => adjustFontSize(2));
     document.getElementById('decrease-font').addEventListener('click', () => adjustFontSize(-2));
     document.getElementById('toggle-theme').addEventListener('click', toggleReaderTheme);
+
+    renderFormulas(document.getElementById('ai-reading-studio-reader'));
   }
 
   /**
@@ -190,72 +281,62 @@
   }
 
   /**
-   * Extract main content from page
+   * Typeset the formulas the extractor recovered ([data-math] elements holding TeX)
+   * with KaTeX, which the background worker injects the first time it's needed
    */
-  function extractMainContent() {
-    // Try to find article or main content
-    let contentElement = document.querySelector('article');
-
-    if (!contentElement) {
-      // Try common content selectors
-      const selectors = [
-        'main',
-        '[role="main"]',
-        '.article',
-        '.post',
-        '.content',
-        '#content',
-      ];
-
-      for (const selector of selectors) {
-        contentElement = document.querySelector(selector);
-        if (contentElement) break;
-      }
-    }
+  async function renderFormulas(container) {
+    const formulas = container?.querySelectorAll('[data-math]') || [];
+    if (formulas.length === 0) return;
 
-    if (!contentElement) {
-      contentElement = document.body;
+    try {
+      if (!globalThis.katex) {
+        const response = await chrome.runtime.sendMessage({ action: 'load-math-renderer' });
+        if (!response?.success) throw new Error(response?.error || 'KaTeX not available');
+      }
+      if (!document.getElementById('rami-katex-styles')) {
+        const styles = document.createElement('link');
+        styles.id = 'rami-katex-styles';
+        styles.rel = 'stylesheet';
+        styles.href = chrome.runtime.getURL('vendor/katex/katex.min.css');
+        document.head.appendChild(styles);
+      }
+    } catch (error) {
+      // The formulas stay readable as TeX source
+      console.warn('Rami: Could not load the formula renderer:', error);
+      return;
     }
 
-    // Extract title
-    let title = document.querySelector('h1')?.textContent || document.title;
-
-    // Extract author and date (common patterns)
-    let author = document.querySelector('[rel="author"]')?.textContent ||
-                 document.querySelector('.author')?.textContent || '';
-
-    let date = document.querySelector('time')?.getAttribute('datetime') ||
-               document.querySelector('.date')?.textContent || '';
-
-    // Clean up content
-    const clonedContent = contentElement.cloneNode(true);
-
-    // Remove unwanted elements
-    const unwantedSelectors = [
-      'script', 'style', 'iframe', 'nav', 'aside',
-      '.ads', '.advertisement', '.social-share', '.comments'
-    ];
-
-    unwantedSelectors.forEach(selector => {
-      clonedContent.querySelectorAll(selector).forEach(el => el.remove());
+    formulas.forEach(el => {
+      globalThis.katex.render(el.textContent, el, { displayMode: el.dataset.math === 'display', throwOnError: false });
     });
+  }
+
+  /**
+   * Extract main content from page with the shared extractor (extractor.js)
+   */
+  function extractMainContent() {
+    const article = globalThis.RamiExtractor.extractArticle(document, { siteAdapters });
 
     return {
-      title: title.trim(),
-      author: author.trim(),
-      date: date.trim(),
-      content: clonedContent.innerHTML,
-      text: clonedContent.innerText,
+      title: article.title,
+      author: article.byline || '',
+      date: article.publishedAt ? new Date(article.publishedAt).toLocaleDateString() : '',
+      content: article.content,
+      text: article.text,
     };
   }
 
   /**
    * Highlight text on page
+   * With stored selectors the highlight is anchored where it was made, even if the page changed a little
    */
-  function highlightText(text, color = 'yellow') {
+  function highlightText(text, color = 'yellow', selectors) {
     const selection = window.getSelection();
 
-    if (selection.rangeCount === 0) {
+    if (selectors?.length > 0) {
+      const range = globalThis.RamiAnchoring.anchor(selectors, document.body);
+      if (range) highlightRange(range, color);
+    } else if (selection.rangeCount === 0) {
       // Search for text in document
       findAndHighlight(text, color);
     } else {
@@ -264,54 +345,675 @@
     }
   }
 
+  /**
+   * Element picker: outline the block under the pointer and click it to save that
+   * area as the article. Arrow Up widens the choice, Arrow Down narrows it again,
+   * Escape cancels.
+   */
+  function startElementPicker() {
+    if (picker) return;
+
+    const outline = document.createElement('div');
+    outline.className = 'ai-reading-picker-outline';
+
+    const panel = document.createElement('div');
+    panel.className = 'ai-reading-picker-panel';
+    panel.textContent = 'Click the article to save it · ↑ wider · ↓ narrower · Esc to cancel';
+
+    document.body.append(outline, panel);
+    picker = { outline, panel, current: null, narrower: [], confirming: false };
+
+    document.addEventListener('mousemove', handlePickerMove, true);
+    document.addEventListener('click', handlePickerClick, true);
+    document.addEventListener('keydown', handlePickerKey, true);
+    window.addEventListener('scroll', updatePickerOutline, true);
+  }
+
+  function stopElementPicker() {
+    if (!picker) return;
+
+    picker.outline.remove();
+    picker.panel.remove();
+    picker = null;
+
+    document.removeEventListener('mousemove', handlePickerMove, true);
+    document.removeEventListener('click', handlePickerClick, true);
+    document.removeEventListener('keydown', handlePickerKey, true);
+    window.removeEventListener('scroll', updatePickerOutline, true);
+  }
+
+  function handlePickerMove(event) {
+    if (picker.confirming) return;
+
+    const target = document.elementFromPoint(event.clientX, event.clientY);
+    const block = target?.closest('article, main, section, div, p, ul, ol, table, blockquote, pre, figure');
+    if (!block || block === picker.current || isPickerElement(block)) return;
+
+    picker.current = block;
+    picker.narrower = [];
+    updatePickerOutline();
+  }
+
+  function handlePickerClick(event) {
+    if (isPickerElement(event.target)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (!picker.confirming && picker.current) {
+      confirmPickedArea();
+    }
+  }
+
+  function handlePickerKey(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      stopElementPicker();
+      return;
+    }
+    if (picker.confirming || !picker.current) return;
+
+    if (event.key === 'ArrowUp') {
+      const parent = picker.current.parentElement;
+      if (parent && parent !== document.body && parent !== document.documentElement) {
+        picker.narrower.push(picker.current);
+        picker.current = parent;
+      }
+    } else if (event.key === 'ArrowDown' && picker.narrower.length > 0) {
+      picker.current = picker.narrower.pop();
+    } else {
+      return;
+    }
+    event.preventDefault();
+    updatePickerOutline();
+  }
+
+  function updatePickerOutline() {
+    if (!picker?.current) return;
+
+    const rect = picker.current.getBoundingClientRect();
+    Object.assign(picker.outline.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+      display: 'block',
+    });
+  }
+
+  /**
+   * Ask whether to save the picked area, and whether to use it for the whole site
+   */
+  function confirmPickedArea() {
+    picker.confirming = true;
+    picker.panel.innerHTML = `
+      <span>Save this area as the article?</span>
+      <label><input type="checkbox" data-role="remember"> Always use it on <span data-role="site"></span></label>
+      <button data-action="save">Save</button>
+      <button data-action="cancel">Cancel</button>
+    `;
+    picker.panel.querySelector('[data-role="site"]').textContent = window.location.hostname;
+
+    picker.panel.querySelector('[data-action="cancel"]').addEventListener('click', stopElementPicker);
+    picker.panel.querySelector('[data-action="save"]').addEventListener('click', async () => {
+      const selector = getElementSelector(picker.current);
+      const remember = picker.panel.querySelector('[data-role="remember"]').checked;
+      stopElementPicker();
+
+      const saving = showNotification('Saving the picked area…', 'info', 120000);
+      try {
+        const response = await chrome.runtime.sendMessage({ action: 'save-picked-area', selector, remember });
+        if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      } catch (error) {
+        console.error('💥 Save picked area error:', error);
+        showNotification('Failed to save: ' + error.message, 'error', 5000);
+      } finally {
+        saving.remove();
+      }
+    });
+  }
+
+  function isPickerElement(el) {
+    return Boolean(picker && (picker.panel.contains(el) || el === picker.outline));
+  }
+
+  /**
+   * CSS selector for an element that should also find the same area on other
+   * pages of the site: ids and stable class names rather than positions
+   */
+  function getElementSelector(el) {
+    const parts = [];
+
+    for (let node = el; node && node !== document.body && node !== document.documentElement; node = node.parentElement) {
+      // Ids with long numbers are usually generated per page
+      if (node.id && !/\d{4,}/.test(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+
+      const classes = [...node.classList]
+        .filter(name => !/\d{3,}|^(is|has)-|active|hover|focus|selected/i.test(name))
+        .slice(0, 2);
+      parts.unshift(node.tagName.toLowerCase() + classes.map(name => `.${CSS.escape(name)}`).join(''));
+
+      if (document.querySelectorAll(parts.join(' > ')).length === 1) break;
+    }
+
+    return parts.join(' > ');
+  }
+
   /**
    * Highlight current selection
+   * @param {Object} category - Highlight category, the first one when not given
    */
-  function highlightCurrentSelection() {
+  async function highlightCurrentSelection(category = highlightCategories[0]) {
     const selection = window.getSelection();
-    if (selection.rangeCount === 0) return;
+    if (selection.rangeCount === 0 || selection.isCollapsed) return;
 
     const range = selection.getRangeAt(0);
-    highlightRange(range, 'yellow');
+    // Described before highlighting, while the range still points into the page's own markup
+    const selectors = globalThis.RamiAnchoring.describeRange(range, document.body);
+    const text = selection.toString();
+    const spans = highlightRange(range, category.color, null, category.id);
+    if (!spans) return;
 
     // Save to storage
-    chrome.runtime.sendMessage({
-      action: 'save-highlight',
-      data: {
-        text: selection.toString(),
-        url: window.location.href,
-        color: 'yellow',
-      },
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({
+        action: 'save-highlight',
+        data: {
+          text,
+          url: window.location.href,
+          category: category.id,
+          color: category.color,
+          selectors,
+        },
+      });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    // A highlight that wasn't saved would be gone after a reload
+    if (!response?.success || !response.data?.id) {
+      removeHighlight(spans);
+      showNotification(`Failed to save highlight${response?.error ? `: ${response.error}` : ''}`, 'error');
+      return;
+    }
+
+    spans.forEach(span => { span.dataset.highlightId = response.data.id; });
+  }
+
+  /**
+   * Highlight a range. Each text node in it is wrapped on its own, so the range may
+   * cross links, emphasis and paragraphs without the page's elements being moved.
+   * @param {string} id - Id of the saved highlight, when it is known
+   * @param {string} category - Id of the highlight's category, if it has one
+   * @returns {Array<Element>|null} The highlight's elements, or null if the range holds no text
+   */
+  function highlightRange(range, color, id, category) {
+    const segments = textSegments(range);
+    if (segments.length === 0) return null;
+
+    const key = `h${++highlightCount}`;
+    return segments.map(({ node, start, end }) => {
+      // Split the highlighted part off its text node (the end first, so `start` still holds)
+      let text = node;
+      if (end < text.length) text.splitText(end);
+      if (start > 0) text = text.splitText(start);
+
+      const span = document.createElement('span');
+      span.className = 'ai-reading-highlight';
+      span.style.backgroundColor = getHighlightColor(color);
+      span.style.transition = 'background-color 0.2s';
+      span.dataset.highlightColor = color;
+      span.dataset.highlightKey = key;
+      if (id) span.dataset.highlightId = id;
+      if (category) span.dataset.highlightCategory = category;
+
+      text.parentNode.insertBefore(span, text);
+      span.appendChild(text);
+      return span;
     });
   }
 
   /**
-   * Highlight a range
+   * The parts of text nodes a range covers, collected before anything is split
+   * @returns {Array<Object>} { node, start, end } in document order
    */
-  function highlightRange(range, color) {
-    const span = document.createElement('span');
-    span.className = 'ai-reading-highlight';
-    span.style.backgroundColor = getHighlightColor(color);
-    span.style.transition = 'background-color 0.2s';
-    span.dataset.highlightColor = color;
+  function textSegments(range) {
+    const container = range.commonAncestorContainer;
+    const root = container.nodeType === Node.TEXT_NODE ? container.parentNode : container;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const segments = [];
 
-    try {
-      range.surroundContents(span);
-
-      // Add click handler to remove highlight
-      span.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (e.ctrlKey || e.metaKey) {
-          const parent = span.parentNode;
-          while (span.firstChild) {
-            parent.insertBefore(span.firstChild, span);
+    let node;
+    while ((node = walker.nextNode())) {
+      if (!range.intersectsNode(node) || node.parentElement?.closest(UNHIGHLIGHTABLE)) continue;
+
+      const start = node === range.startContainer ? range.startOffset : 0;
+      const end = node === range.endContainer ? range.endOffset : node.length;
+      // Whitespace between blocks stays unwrapped, as a span there could break lists and tables
+      if (end > start && node.data.slice(start, end).trim()) {
+        segments.push({ node, start, end });
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * All elements of the highlight an element belongs to
+   */
+  function highlightParts(span) {
+    return [...document.querySelectorAll(`.ai-reading-highlight[data-highlight-key="${CSS.escape(span.dataset.highlightKey || '')}"]`)];
+  }
+
+  function highlightElements(id) {
+    return id ? [...document.querySelectorAll(`.ai-reading-highlight[data-highlight-id="${CSS.escape(id)}"]`)] : [];
+  }
+
+  /**
+   * Unwrap a highlight's elements and join the text they split apart, leaving the page as it was
+   */
+  function removeHighlight(spans) {
+    spans.forEach(span => {
+      const parent = span.parentNode;
+      if (!parent) return;
+
+      const first = span.firstChild;
+      const last = span.lastChild;
+      while (span.firstChild) {
+        parent.insertBefore(span.firstChild, span);
+      }
+      span.remove();
+      joinText(first);
+      if (last !== first && last?.isConnected) joinText(last);
+    });
+  }
+
+  /**
+   * Merge a text node with the text nodes right next to it
+   */
+  function joinText(node) {
+    if (node?.nodeType !== Node.TEXT_NODE) return;
+
+    let text = node;
+    while (text.previousSibling?.nodeType === Node.TEXT_NODE) {
+      text = text.previousSibling;
+    }
+    while (text.nextSibling?.nodeType === Node.TEXT_NODE) {
+      text.appendData(text.nextSibling.data);
+      text.nextSibling.remove();
+    }
+  }
+
+  /**
+   * @param {string} category - New category id; the category is kept when not given
+   */
+  function recolorHighlight(spans, color, category) {
+    spans.forEach(span => {
+      span.style.backgroundColor = getHighlightColor(color);
+      span.dataset.highlightColor = color;
+      if (category) span.dataset.highlightCategory = category;
+    });
+  }
+
+  /**
+   * Open the popover of a clicked highlight; removing it is done from there
+   */
+  function handleHighlightClick(event) {
+    // Checked on the event path, as buttons in the popover replace themselves when clicked
+    if (highlightPopover && !event.composedPath().includes(highlightPopover)) {
+      closeHighlightPopover();
+    }
+
+    const span = event.target.closest?.('.ai-reading-highlight');
+    // A click that ends a text selection is not meant for the highlight
+    if (!span || !window.getSelection().isCollapsed) return;
+
+    // Highlighted links keep working as links
+    if (span.closest('a[href]')) return;
+
+    event.stopPropagation();
+    showHighlightPopover(span, event.clientX, event.clientY);
+  }
+
+  /**
+   * Popover of a highlight: its Markdown note, its category, removal, and an AI
+   * explanation of the passage that can be added to the note
+   */
+  function showHighlightPopover(span, x, y) {
+    closeHighlightPopover();
+
+    const spans = highlightParts(span);
+    const popover = document.createElement('div');
+    popover.className = 'ai-reading-highlight-popover';
+    popover.innerHTML = `
+      <div class="popover-header">
+        <div class="popover-categories"></div>
+        <button data-action="remove" title="Remove highlight">🗑️</button>
+        <button data-action="close" title="Close (Esc)">&times;</button>
+      </div>
+      <div class="popover-note"></div>
+      <div class="popover-explanation" hidden></div>
+      <div class="popover-footer">
+        <button data-action="explain">✨ Explain with AI</button>
+      </div>
+    `;
+    highlightPopover = popover;
+
+    const categories = popover.querySelector('.popover-categories');
+    const renderCategories = () => {
+      categories.innerHTML = '';
+      highlightCategories.forEach(category => {
+        const swatch = document.createElement('button');
+        swatch.className = 'highlight-swatch';
+        swatch.title = category.name;
+        swatch.dataset.action = 'category';
+        swatch.dataset.category = category.id;
+        swatch.style.backgroundColor = getHighlightColor(category.color);
+        swatch.classList.toggle('active', spans[0].dataset.highlightCategory === category.id);
+        categories.appendChild(swatch);
+      });
+    };
+
+    const note = popover.querySelector('.popover-note');
+    const renderNote = (editing = false) => {
+      const text = highlightNotes.get(spans[0].dataset.highlightId) || '';
+      if (editing) {
+        note.innerHTML = `
+          <textarea rows="4" placeholder="Write a note… (Markdown, Ctrl+Enter to save)"></textarea>
+          <div class="note-buttons">
+            <button data-action="save-note" class="primary">Save</button>
+            <button data-action="cancel-note">Cancel</button>
+          </div>
+        `;
+        const textarea = note.querySelector('textarea');
+        textarea.value = text;
+        textarea.addEventListener('keydown', (event) => {
+          if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+            event.preventDefault();
+            note.querySelector('[data-action="save-note"]').click();
+          }
+        });
+        textarea.focus();
+        return;
+      }
+
+      note.innerHTML = text
+        ? `<div class="note-text">${convertMarkdownToHTML(text)}</div><button data-action="edit-note">Edit note</button>`
+        : '<button data-action="edit-note">+ Add a note</button>';
+      renderFormulas(note);
+    };
+
+    const explanation = popover.querySelector('.popover-explanation');
+
+    popover.addEventListener('click', async (event) => {
+      const button = event.target.closest('button');
+      if (!button) return;
+
+      switch (button.dataset.action) {
+        case 'category': {
+          const category = globalThis.RamiHighlightCategories.findCategory(highlightCategories, button.dataset.category);
+          if (category) {
+            changeHighlightCategory(spans, category);
+            renderCategories();
           }
-          parent.removeChild(span);
+          break;
         }
-      });
-    } catch (e) {
-      console.error('Failed to highlight:', e);
+        case 'remove':
+          deleteHighlight(spans);
+          closeHighlightPopover();
+          break;
+        case 'close':
+          closeHighlightPopover();
+          break;
+        case 'edit-note':
+          renderNote(true);
+          break;
+        case 'cancel-note':
+          renderNote();
+          break;
+        case 'save-note':
+          button.disabled = true;
+          if (await saveHighlightNote(spans, note.querySelector('textarea').value.trim())) {
+            renderNote();
+          } else {
+            button.disabled = false;
+          }
+          break;
+        case 'explain':
+          explainHighlight(spans, explanation, button);
+          break;
+        case 'add-explanation': {
+          const current = highlightNotes.get(spans[0].dataset.highlightId) || '';
+          const added = explanation.querySelector('.explanation-text').dataset.markdown;
+          button.disabled = true;
+          if (await saveHighlightNote(spans, current ? `${current}\n\n${added}` : added)) {
+            button.textContent = '✓ Added to note';
+            renderNote();
+          } else {
+            button.disabled = false;
+          }
+          break;
+        }
+      }
+    });
+
+    renderCategories();
+    renderNote();
+    document.body.appendChild(popover);
+
+    // Keep the popover on screen
+    const { width, height } = popover.getBoundingClientRect();
+    popover.style.left = `${Math.max(8, Math.min(x, window.innerWidth - width - 8))}px`;
+    popover.style.top = `${y + 12 + height > window.innerHeight ? Math.max(8, y - height - 12) : y + 12}px`;
+  }
+
+  function closeHighlightPopover() {
+    highlightPopover?.remove();
+    highlightPopover = null;
+  }
+
+  /**
+   * Save a highlight's note through the background worker
+   * @returns {Promise<boolean>} Whether the note was saved
+   */
+  async function saveHighlightNote(spans, note) {
+    const id = spans[0]?.dataset.highlightId;
+    if (!id) {
+      showNotification('The highlight is still being saved, try again in a moment', 'error');
+      return false;
     }
+
+    const result = await chrome.runtime.sendMessage({ action: 'storage:update-highlight', id, updates: { note } });
+    if (!result?.success) {
+      showNotification('Failed to save note', 'error');
+      return false;
+    }
+
+    highlightNotes.set(id, note);
+    spans.forEach(span => span.classList.toggle('has-note', Boolean(note)));
+    return true;
+  }
+
+  /**
+   * Ask the background worker's AI to explain the highlighted passage, with the
+   * text of the block around it as context
+   */
+  async function explainHighlight(spans, container, button) {
+    const range = document.createRange();
+    range.setStartBefore(spans[0]);
+    range.setEndAfter(spans[spans.length - 1]);
+    const text = range.toString().trim();
+    const block = spans[0].parentElement.closest('p, li, blockquote, dd, td, figcaption, section, article') || spans[0].parentElement;
+
+    button.disabled = true;
+    button.textContent = '⏳ Explaining…';
+    container.hidden = false;
+    container.innerHTML = '<p class="explanation-status">Asking the on-device AI about this passage…</p>';
+
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'explain-passage', text, context: block.textContent });
+    } catch (error) {
+      response = { success: false, error: error.message };
+    }
+
+    button.disabled = false;
+    button.textContent = '✨ Explain again';
+
+    if (!response?.success) {
+      container.innerHTML = '<p class="explanation-status error"></p>';
+      container.querySelector('p').textContent = response?.error || 'The passage could not be explained.';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="explanation-text">${convertMarkdownToHTML(response.explanation)}</div>
+      <button data-action="add-explanation">Add to note</button>
+    `;
+    container.querySelector('.explanation-text').dataset.markdown = response.explanation;
+    renderFormulas(container);
+  }
+
+  /**
+   * Remove a highlight from the page and move the saved one to the trash
+   */
+  async function deleteHighlight(spans) {
+    const id = spans[0]?.dataset.highlightId;
+    removeHighlight(spans);
+    if (!id) return;
+
+    const result = await chrome.runtime.sendMessage({ action: 'storage:trash-highlight', id });
+    if (!result?.success) {
+      showNotification('Failed to remove highlight', 'error');
+    }
+  }
+
+  /**
+   * Move a highlight to another category, on the page and in storage
+   */
+  async function changeHighlightCategory(spans, category) {
+    const id = spans[0]?.dataset.highlightId;
+    recolorHighlight(spans, category.color, category.id);
+    if (!id) return;
+
+    const result = await chrome.runtime.sendMessage({
+      action: 'storage:update-highlight',
+      id,
+      updates: { category: category.id, color: category.color },
+    });
+    if (!result?.success) {
+      showNotification('Failed to change highlight category', 'error');
+    }
+  }
+
+  /**
+   * Paint the highlights saved for this page. Highlights that still can't be found
+   * after the retries are listed in the orphaned-highlights panel.
+   */
+  async function restoreHighlights() {
+    let response;
+    try {
+      response = await chrome.runtime.sendMessage({ action: 'get-page-highlights', url: window.location.href });
+    } catch (error) {
+      console.warn('Rami: Could not load saved highlights:', error);
+      return;
+    }
+
+    (response?.data || []).forEach(highlight => highlightNotes.set(highlight.id, highlight.note || ''));
+
+    let pending = (response?.data || []).filter(highlight => !document.querySelector(`[data-highlight-id="${CSS.escape(highlight.id)}"]`));
+    let searchedText = null;
+    for (const delay of [0, ...RESTORE_RETRY_DELAYS]) {
+      if (pending.length === 0) break;
+      if (delay) await new Promise(resolve => setTimeout(resolve, delay));
+
+      // The search for edited quotes is slow and only worth repeating once the text has changed
+      const text = document.body.textContent;
+      const approximate = text !== searchedText;
+      searchedText = text;
+      pending = pending.filter(highlight => !paintHighlight(highlight, { approximate }));
+    }
+
+    if (pending.length > 0) {
+      console.log(`Rami: ${pending.length} saved highlights not found on this page`);
+      showOrphanedHighlights(pending);
+    }
+  }
+
+  /**
+   * Re-anchor a saved highlight and paint it
+   * @param {Object} options - Passed to RamiAnchoring.anchor()
+   * @returns {boolean} Whether its text was found on the page
+   */
+  function paintHighlight(highlight, options) {
+    // Highlights saved before anchoring only have their text
+    const selectors = highlight.selectors?.length > 0 ? highlight.selectors : [{ type: 'TextQuoteSelector', exact: highlight.text }];
+    const range = globalThis.RamiAnchoring.anchor(selectors, document.body, options);
+    if (!range) return false;
+
+    const color = globalThis.RamiHighlightCategories.highlightColor(highlight, highlightCategories);
+    const spans = highlightRange(range, color, highlight.id, highlight.category);
+    if (highlight.note) spans?.forEach(span => span.classList.add('has-note'));
+    return true;
+  }
+
+  /**
+   * Small panel listing highlights whose text is no longer on the page, each of which can be removed
+   */
+  function showOrphanedHighlights(highlights) {
+    orphanPanel?.remove();
+    orphanPanel = document.createElement('div');
+    orphanPanel.className = 'ai-reading-orphan-panel';
+    orphanPanel.innerHTML = `
+      <div class="orphan-header">
+        <strong data-role="count"></strong>
+        <button data-action="close" title="Dismiss">&times;</button>
+      </div>
+      <p>The page has changed since you made them.</p>
+      <ul></ul>
+    `;
+
+    const list = orphanPanel.querySelector('ul');
+    const updateCount = () => {
+      const count = list.children.length;
+      if (count === 0) {
+        orphanPanel.remove();
+        orphanPanel = null;
+        return;
+      }
+      orphanPanel.querySelector('[data-role="count"]').textContent = `${count} highlight${count === 1 ? '' : 's'} not found on this page`;
+    };
+
+    highlights.forEach(highlight => {
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <blockquote></blockquote>
+        <div class="orphan-note"></div>
+        <button data-action="remove">Remove highlight</button>
+      `;
+      item.querySelector('blockquote').textContent = highlight.text.length > 160 ? `${highlight.text.substring(0, 160)}…` : highlight.text;
+      item.querySelector('.orphan-note').textContent = highlight.note || '';
+      item.querySelector('[data-action="remove"]').addEventListener('click', async () => {
+        const result = await chrome.runtime.sendMessage({ action: 'storage:trash-highlight', id: highlight.id });
+        if (!result?.success) {
+          showNotification('Failed to remove highlight', 'error');
+          return;
+        }
+        item.remove();
+        updateCount();
+      });
+      list.appendChild(item);
+    });
+
+    orphanPanel.querySelector('[data-action="close"]').addEventListener('click', () => {
+      orphanPanel.remove();
+      orphanPanel = null;
+    });
+
+    updateCount();
+    document.body.appendChild(orphanPanel);
   }
 
   /**
@@ -340,15 +1042,10 @@
 
   /**
    * Get highlight color
+   * @param {string} color - Category color, or the color name of an older highlight
    */
   function getHighlightColor(color) {
-    const colors = {
-      yellow: 'rgba(255, 235, 59, 0.4)',
-      green: 'rgba(76, 175, 80, 0.4)',
-      blue: 'rgba(33, 150, 243, 0.4)',
-      purple: 'rgba(156, 39, 176, 0.4)',
-    };
-    return colors[color] || colors.yellow;
+    return globalThis.RamiHighlightCategories.tint(color);
   }
 
   /**
@@ -412,20 +1109,36 @@
 
   /**
    * Convert Markdown to HTML
+   * Used for AI summaries and highlight notes; their text is escaped, so neither can add markup to the page.
    */
   function convertMarkdownToHTML(markdown) {
     if (!markdown) return '';
 
-    let html = markdown;
-
-    // Convert bullet points (* text) to list items
+    // Formulas become [data-math] elements for renderFormulas(), out of reach of the rules below
+    const formulas = [];
+    const formula = (tex, mode) => {
+      const tag = mode === 'display' ? 'div' : 'span';
+      const element = document.createElement(tag);
+      element.dataset.math = mode;
+      element.textContent = tex.trim();
+      formulas.push(element.outerHTML);
+      return `\u0001${formulas.length - 1}\u0001`;
+    };
+    let html = markdown
+      .replace(/\$\$([\s\S]+?)\$\$/g, (_, tex) => formula(tex, 'display'))
+      .replace(/(^|[^\\$\w])\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/g, (_, prefix, tex) => prefix + formula(tex, 'inline'))
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+
+    // Convert bullet points (* text or - text) to list items
     const bulletLines = html.split(/\n/).map(line => line.trim()).filter(line => line);
-    const hasBullets = bulletLines.some(line => line.startsWith('* '));
+    const hasBullets = bulletLines.some(line => /^[*-] /.test(line));
 
     if (hasBullets) {
       const listItems = bulletLines
         .map(line => {
-          if (line.startsWith('* ')) {
+          if (/^[*-] /.test(line)) {
             return `<li>${line.substring(2).trim()}</li>`;
           }
           return line;
@@ -445,7 +1158,7 @@
       html = html.replace(/\n/g, '<br>');
     }
 
-    return html;
+    return html.replace(/\u0001(\d+)\u0001/g, (_, index) => formulas[index]);
   }
 
   /**
@@ -471,6 +1184,7 @@
     `;
 
     document.body.appendChild(dialog);
+    renderFormulas(dialog);
 
     dialog.querySelector('.dialog-close').addEventListener('click', () => {
       dialog.remove();
@@ -492,18 +1206,40 @@
     toolbar.id = 'ai-reading-toolbar';
     toolbar.className = 'ai-reading-toolbar hidden';
     toolbar.innerHTML = `
-      <button data-action="highlight" title="Highlight (Alt+H)">✏️</button>
+      <div class="ai-reading-palette"></div>
       <button data-action="summarize" title="Summarize (Alt+S)">📝</button>
     `;
 
     document.body.appendChild(toolbar);
+    renderHighlightPalette();
 
     // Attach event listeners
-    toolbar.querySelectorAll('button').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const action = e.target.dataset.action;
-        handleToolbarAction(action);
-      });
+    toolbar.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (button) handleToolbarAction(button.dataset.action, button.dataset.category);
+    });
+  }
+
+  /**
+   * Fill the toolbar palette with a button per highlight category
+   */
+  function renderHighlightPalette() {
+    const palette = document.querySelector('#ai-reading-toolbar .ai-reading-palette');
+    if (!palette) return;
+
+    palette.innerHTML = '';
+    highlightCategories.forEach((category, index) => {
+      const button = document.createElement('button');
+      button.dataset.action = 'highlight';
+      button.dataset.category = category.id;
+      const shortcuts = [index === 0 && 'Alt+H', category.shortcut && `Alt+${category.shortcut.toUpperCase()}`].filter(Boolean);
+      button.title = shortcuts.length > 0 ? `${category.name} (${shortcuts.join(', ')})` : category.name;
+
+      const swatch = document.createElement('span');
+      swatch.className = 'palette-swatch';
+      swatch.style.backgroundColor = category.color;
+      button.appendChild(swatch);
+      palette.appendChild(button);
     });
   }
 
@@ -532,10 +1268,10 @@
   /**
    * Handle toolbar actions
    */
-  function handleToolbarAction(action) {
+  function handleToolbarAction(action, categoryId) {
     switch (action) {
       case 'highlight':
-        highlightCurrentSelection();
+        highlightCurrentSelection(globalThis.RamiHighlightCategories.findCategory(highlightCategories, categoryId) || undefined);
         break;
       case 'summarize':
         summarizeCurrentSelection();
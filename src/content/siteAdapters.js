@@ -0,0 +1,340 @@
+/**
+ * Site Adapters
+ * Per-site extraction rules for pages the generic extractor handles poorly.
+ * An adapter is picked by URL pattern and says where the article is and what
+ * to drop from it; extractor.js turns the result into the usual reading shape
+ * (Markdown, blocks, text, metadata).
+ *
+ * Adapter fields:
+ *   id, name
+ *   matches    - RegExps tested against the page URL
+ *   detect     - optional (doc) => boolean for sites recognised by markup instead of URL
+ *   content    - selector, or list of selectors tried in order; every match of the first one found is kept
+ *   build      - (doc) => Element, instead of `content`, for pages assembled from several parts
+ *   remove     - selectors dropped from the content
+ *   title, byline - selectors for the headline and author line (looked up in the
+ *                cleaned content first, then in the page)
+ *   transform  - (root, doc) => void, last clean-up of the copied content
+ *   metadata   - (doc) => fields overriding the page metadata (title, authors, siteName, ...)
+ *
+ * User-defined adapters (Options > Site adapters) are plain selector rules with
+ * a URL pattern such as `*://example.com/blog/*`; they take precedence over built-ins.
+ *
+ * Classic script: listed before extractor.js and exposes globalThis.RamiSiteAdapters.
+ */
+
+(function() {
+  'use strict';
+
+  const MAX_ANSWERS = 3;
+
+  // Trailing sections that are lists of sources rather than article text
+  const WIKIPEDIA_TRAILING_SECTIONS = /^(references|notes|citations|sources|bibliography|footnotes|external links|further reading|see also)$/i;
+
+  // Article containers of common documentation generators
+  const DOCS_CONTENT = [
+    '.theme-doc-markdown', // Docusaurus
+    '.md-content__inner', // MkDocs Material
+    '.rst-content [itemprop="articleBody"]', // Sphinx (Read the Docs theme)
+    'div.body[role="main"]', // Sphinx
+    '.vp-doc', // VitePress
+    '.markdown-section', // Docsify
+    '.main-page-content', // MDN
+    'article.doc',
+  ];
+
+  const BUILT_IN_ADAPTERS = [
+    {
+      id: 'wikipedia',
+      name: 'Wikipedia',
+      matches: [/^https?:\/\/[\w.-]+\.wikipedia\.org\/wiki\//i],
+      content: '#mw-content-text .mw-parser-output',
+      title: '#firstHeading',
+      remove: [
+        '.infobox', '.navbox', '.vertical-navbox', '.sidebar', '.metadata', '.ambox', '.hatnote',
+        '.shortdescription', '.mw-editsection', '.mw-empty-elt', 'sup.reference', 'sup.noprint', '.noprint',
+        '.reflist', '.references', '.mw-references-wrap', '.refbegin', '#toc', '.toc', '.sistersitebox',
+        '.portalbox', '.catlinks', '.mw-jump-link',
+      ],
+      transform: (root) => removeSections(root, WIKIPEDIA_TRAILING_SECTIONS),
+      metadata: () => ({ siteName: 'Wikipedia' }),
+    },
+    {
+      id: 'arxiv',
+      name: 'arXiv',
+      matches: [/^https?:\/\/(www\.|export\.)?arxiv\.org\/abs\//i],
+      build: buildArxivAbstract,
+      metadata: () => ({ siteName: 'arXiv' }),
+    },
+    {
+      id: 'github',
+      name: 'GitHub',
+      matches: [
+        /^https:\/\/github\.com\/[^/]+\/[^/?#]+\/?([?#].*)?$/i,
+        /^https:\/\/github\.com\/[^/]+\/[^/]+\/(blob|tree|wiki)\//i,
+      ],
+      content: ['article.markdown-body', '.markdown-body'],
+      remove: ['a.anchor', '.octicon', 'clipboard-copy', '.zeroclipboard-container'],
+      metadata: (doc) => ({ title: getGithubTitle(doc), siteName: 'GitHub' }),
+    },
+    {
+      id: 'docs',
+      name: 'Documentation sites',
+      matches: [
+        /^https?:\/\/[^/]+\.readthedocs\.(io|org)\//i,
+        /^https?:\/\/docs\.[^/]+\//i,
+        /^https?:\/\/developer\.mozilla\.org\/[^/]+\/docs\//i,
+        /^https?:\/\/[^/]+\/(docs?|documentation|reference|manual|guides?)(\/|$)/i,
+      ],
+      // Generated doc sites are recognisable wherever they're hosted
+      detect: (doc) => /docusaurus|mkdocs|sphinx|vitepress|docsify/i.test(doc.querySelector('meta[name="generator"]')?.content || ''),
+      content: DOCS_CONTENT,
+      title: 'h1',
+      remove: [
+        '.headerlink', '.hash-link', 'a.anchor', '.anchor-link', '.md-content__button', '.theme-edit-this-page',
+        '.theme-doc-footer', '.theme-doc-breadcrumbs', '.theme-doc-toc-mobile', '.pagination-nav', '.breadcrumbs',
+        '.rst-footer-buttons', '.copybutton', '.edit-this-page', '.prev-next', '.visually-hidden',
+      ],
+    },
+    {
+      id: 'stackexchange',
+      name: 'Stack Overflow & Stack Exchange',
+      matches: [/^https?:\/\/([\w-]+\.)?(stackoverflow\.com|superuser\.com|serverfault\.com|askubuntu\.com|mathoverflow\.net|stackexchange\.com)\/questions\/\d+/i],
+      build: buildStackExchangeThread,
+      title: '#question-header h1',
+      remove: ['.js-post-menu', '.post-menu', '.comments', '.s-prose .snippet-ctas'],
+      metadata: (doc) => ({
+        authors: [...doc.querySelectorAll('#question .post-signature.owner .user-details a, #question .post-signature.owner [itemprop="name"]')]
+          .map(el => normalizeSpace(el.textContent))
+          .filter(Boolean)
+          .slice(0, 1),
+        publishedAt: doc.querySelector('#question [itemprop="dateCreated"]')?.getAttribute('datetime')
+          || doc.querySelector('#question time[datetime]')?.getAttribute('datetime'),
+      }),
+    },
+  ];
+
+  /**
+   * The adapter for a page: enabled user adapters first, then built-ins
+   * @param {Document} doc
+   * @param {Array<Object>} customAdapters - User adapter definitions from preferences
+   * @returns {Object|null}
+   */
+  function findAdapter(doc, customAdapters = []) {
+    const url = doc.URL;
+    const adapters = [
+      ...customAdapters.filter(adapter => adapter && adapter.enabled !== false).map(fromCustomAdapter).filter(Boolean),
+      ...BUILT_IN_ADAPTERS,
+    ];
+
+    return adapters.find(adapter => {
+      try {
+        return adapter.matches.some(pattern => pattern.test(url)) || Boolean(adapter.detect?.(doc));
+      } catch {
+        return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Copy out the article an adapter points at
+   * @returns {Object|null} { root, title, byline, metadata }, or null when the page
+   *   doesn't have the expected markup (the generic extractor then takes over)
+   */
+  function runAdapter(adapter, doc) {
+    try {
+      const root = adapter.build ? adapter.build(doc) : copyContent(doc, adapter.content);
+      if (!root || !normalizeSpace(root.textContent)) return null;
+
+      toList(adapter.remove).forEach(selector => {
+        root.querySelectorAll(selector).forEach(el => el.remove());
+      });
+      adapter.transform?.(root, doc);
+
+      const metadata = adapter.metadata?.(doc) || {};
+      return {
+        root,
+        title: metadata.title || selectText(root, adapter.title) || selectText(doc, adapter.title),
+        byline: selectText(root, adapter.byline) || selectText(doc, adapter.byline),
+        metadata,
+      };
+    } catch (error) {
+      console.warn(`⚠️ Site adapter "${adapter.name}" failed:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Turn a saved user adapter into the adapter shape
+   * { id, name, pattern, content, remove, title, byline, enabled }
+   */
+  function fromCustomAdapter(definition) {
+    const matches = String(definition.pattern || '')
+      .split(/[\s,]+/)
+      .map(compileUrlPattern)
+      .filter(Boolean);
+    if (matches.length === 0 || !definition.content) return null;
+
+    return {
+      id: definition.id,
+      name: definition.name || definition.pattern,
+      matches,
+      content: definition.content,
+      remove: definition.remove || [],
+      title: definition.title || null,
+      byline: definition.byline || null,
+      custom: true,
+    };
+  }
+
+  /**
+   * `*://example.com/blog/*` style pattern to a RegExp; the scheme and path are optional
+   */
+  function compileUrlPattern(pattern) {
+    let glob = pattern.trim();
+    if (!glob) return null;
+
+    if (!/^[\w*+.-]+:\/\//.test(glob)) glob = `*://${glob}`;
+    if (!/^[^:]+:\/\/[^/]+\//.test(glob)) glob += '/*';
+
+    const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  function copyContent(doc, selectors) {
+    for (const selector of toList(selectors)) {
+      const matches = [...doc.querySelectorAll(selector)]
+        .filter((el, index, all) => !all.some(other => other !== el && other.contains(el)));
+      if (matches.length === 0) continue;
+      if (matches.length === 1) return matches[0].cloneNode(true);
+
+      const root = doc.createElement('div');
+      matches.forEach(el => root.appendChild(el.cloneNode(true)));
+      return root;
+    }
+    return null;
+  }
+
+  /**
+   * Remove a section (heading and everything up to the next heading of the same
+   * or higher level) whose title matches. Headings may be wrapped, e.g. div.mw-heading.
+   */
+  function removeSections(root, titles) {
+    root.querySelectorAll('h2, h3').forEach(heading => {
+      if (!root.contains(heading) || !titles.test(normalizeSpace(heading.textContent))) return;
+
+      const level = Number(heading.tagName[1]);
+      const start = heading.parentElement?.matches('.mw-heading') ? heading.parentElement : heading;
+      let node = start.nextElementSibling;
+      while (node && !startsSection(node, level)) {
+        const next = node.nextElementSibling;
+        node.remove();
+        node = next;
+      }
+      start.remove();
+    });
+  }
+
+  function startsSection(el, level) {
+    const heading = /^H[1-6]$/.test(el.tagName) ? el : el.matches('.mw-heading') ? el.querySelector('h1, h2, h3, h4, h5, h6') : null;
+    return Boolean(heading) && Number(heading.tagName[1]) <= level;
+  }
+
+  /**
+   * arXiv abstract page: the abstract, comments and subjects, with a link to the full text
+   */
+  function buildArxivAbstract(doc) {
+    const abstract = doc.querySelector('blockquote.abstract');
+    if (!abstract) return null;
+
+    const root = doc.createElement('div');
+    const add = (tag, text) => {
+      const el = doc.createElement(tag);
+      el.textContent = text;
+      root.appendChild(el);
+      return el;
+    };
+
+    const copy = abstract.cloneNode(true);
+    copy.querySelector('.descriptor')?.remove();
+    add('h2', 'Abstract');
+    add('p', normalizeSpace(copy.textContent));
+
+    [['Comments', 'td.comments'], ['Subjects', 'td.subjects'], ['Cite as', 'td.arxivid']].forEach(([label, selector]) => {
+      const value = normalizeSpace(doc.querySelector(selector)?.textContent || '');
+      if (value) add('p', `${label}: ${value}`);
+    });
+
+    const pdfLink = doc.querySelector('a.download-pdf, .full-text a[href*="/pdf/"]');
+    if (pdfLink) {
+      const paragraph = doc.createElement('p');
+      const link = doc.createElement('a');
+      link.href = pdfLink.href;
+      link.textContent = 'Full text (PDF)';
+      paragraph.appendChild(link);
+      root.appendChild(paragraph);
+    }
+
+    return root;
+  }
+
+  /**
+   * Stack Exchange question: the question, then the accepted and best-voted answers
+   */
+  function buildStackExchangeThread(doc) {
+    const question = doc.querySelector('#question');
+    const questionBody = question?.querySelector('.js-post-body, .s-prose, .post-text');
+    if (!questionBody) return null;
+
+    const root = doc.createElement('div');
+    root.appendChild(questionBody.cloneNode(true));
+
+    const answers = [...doc.querySelectorAll('#answers .answer')]
+      .map(el => ({
+        el,
+        accepted: el.classList.contains('accepted-answer'),
+        score: Number(el.dataset.score ?? el.querySelector('.js-vote-count')?.textContent) || 0,
+      }))
+      .sort((a, b) => Number(b.accepted) - Number(a.accepted) || b.score - a.score)
+      .slice(0, MAX_ANSWERS);
+
+    answers.forEach(({ el, accepted, score }) => {
+      const body = el.querySelector('.js-post-body, .s-prose, .post-text');
+      if (!body) return;
+
+      const author = normalizeSpace(el.querySelector('.post-signature:last-of-type .user-details a')?.textContent || '');
+      const heading = doc.createElement('h2');
+      heading.textContent = `${accepted ? 'Accepted answer' : 'Answer'} (${score} ${Math.abs(score) === 1 ? 'vote' : 'votes'})${author ? ` by ${author}` : ''}`;
+      root.append(heading, body.cloneNode(true));
+    });
+
+    return root;
+  }
+
+  /**
+   * "owner/repo" for a repository, "owner/repo: path/file.md" for a file
+   */
+  function getGithubTitle(doc) {
+    const [, owner, repo, kind, , ...path] = new URL(doc.URL).pathname.split('/');
+    if (!owner || !repo) return null;
+
+    const name = `${owner}/${repo}`;
+    return kind === 'blob' && path.length > 0 ? `${name}: ${path.join('/')}` : name;
+  }
+
+  function selectText(scope, selector) {
+    if (!selector) return null;
+    return normalizeSpace(scope.querySelector(selector)?.textContent || '') || null;
+  }
+
+  function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+  }
+
+  function normalizeSpace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  globalThis.RamiSiteAdapters = { BUILT_IN_ADAPTERS, findAdapter, runAdapter, compileUrlPattern };
+})();
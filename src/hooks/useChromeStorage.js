@@ -1,4 +1,8 @@
 import { useState, useEffect } from 'react';
+import { getAllReadings, getTrashedReadings, subscribeToReadings } from '../storage/readingsRepository';
+import { getAllHighlights, getTrashedHighlights, subscribeToHighlights } from '../storage/highlightsRepository';
+import { DEFAULT_TRASH_RETENTION_DAYS } from '../storage/trash';
+import * as storageService from '../storage/storageClient';
 
 /**
  * Custom hook for Chrome storage with React state sync
@@ -46,91 +50,245 @@ export function useChromeStorage(key, defaultValue) {
 
 /**
  * Hook for managing user preferences
+ * Only the keys that changed are sent, so two surfaces editing different
+ * preferences never overwrite each other
  */
 export function usePreferences() {
-  const [preferences, setPreferences, loading] = useChromeStorage('preferences', {
+  const [preferences, , loading] = useChromeStorage('preferences', {
     persona: 'strategist',
     theme: 'light',
     mindmapMode: 'reactflow',
     autoSummarize: true,
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS,
   });
 
+  const setPreferences = async (newPreferences) => {
+    const changes = Object.fromEntries(
+      Object.entries(newPreferences).filter(([key, value]) => preferences?.[key] !== value)
+    );
+    if (Object.keys(changes).length === 0) {
+      return { success: true };
+    }
+
+    return runStorageWrite(() => storageService.updatePreferences(changes), 'Failed to update preferences:');
+  };
+
   return { preferences, setPreferences, loading };
 }
 
 /**
  * Hook for managing saved articles/readings
+ * Thin client of the IndexedDB reading repository; refreshes on changes from any context
  */
 export function useSavedReadings() {
-  const [readings, setReadings, loading] = useChromeStorage('readings', []);
-
-  const addReading = async (reading) => {
-    const newReadings = [
-      {
-        id: Date.now().toString(),
-        timestamp: new Date().toISOString(),
-        ...reading
-      },
-      ...readings
-    ];
-    return await setReadings(newReadings);
-  };
+  const [readings, setReadings] = useState([]);
+  const [loading, setLoading] = useState(true);
 
-  const removeReading = async (id) => {
-    const newReadings = readings.filter(r => r.id !== id);
-    return await setReadings(newReadings);
-  };
+  useEffect(() => {
+    let cancelled = false;
 
-  const updateReading = async (id, updates) => {
-    const newReadings = readings.map(r =>
-      r.id === id ? { ...r, ...updates } : r
-    );
-    return await setReadings(newReadings);
-  };
+    const loadReadings = async () => {
+      try {
+        const allReadings = await getAllReadings();
+        if (!cancelled) {
+          setReadings(allReadings);
+        }
+      } catch (error) {
+        console.error('Failed to load readings:', error);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadReadings();
+    const unsubscribe = subscribeToReadings(loadReadings);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const runWrite = (write) => runStorageWrite(write, 'Failed to update readings:');
+
+  const addReading = (reading) => runWrite(() => storageService.addReading(reading));
+
+  // Moves the reading to the Trash; restoreReading undoes it
+  const removeReading = (id) => runWrite(() => storageService.trashReading(id));
+
+  const restoreReading = (id) => runWrite(() => storageService.restoreReading(id));
+
+  const updateReading = (id, updates) => runWrite(() => storageService.updateReading(id, updates));
+
+  const recordQuizAttempt = (id, attempt) => runWrite(() => storageService.recordQuizAttempt(id, attempt));
 
   return {
     readings,
     addReading,
     removeReading,
+    restoreReading,
     updateReading,
+    recordQuizAttempt,
     loading
   };
 }
 
 /**
  * Hook for managing highlights and notes
+ * Reads the IndexedDB highlight repository; writes go through the storage service
  */
 export function useHighlights() {
-  const [highlights, setHighlights, loading] = useChromeStorage('highlights', []);
+  const [highlights, setHighlights] = useState([]);
+  const [loading, setLoading] = useState(true);
 
-  const addHighlight = async (highlight) => {
-    const newHighlight = {
-      id: Date.now().toString(),
-      timestamp: new Date().toISOString(),
-      ...highlight
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadHighlights = async () => {
+      try {
+        const allHighlights = await getAllHighlights();
+        if (!cancelled) {
+          setHighlights(allHighlights);
+        }
+      } catch (error) {
+        console.error('Failed to load highlights:', error);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
     };
-    const newHighlights = [...highlights, newHighlight];
-    await setHighlights(newHighlights);
-    return newHighlight;
-  };
 
-  const removeHighlight = async (id) => {
-    const newHighlights = highlights.filter(h => h.id !== id);
-    return await setHighlights(newHighlights);
-  };
+    loadHighlights();
+    const unsubscribe = subscribeToHighlights(loadHighlights);
 
-  const updateHighlight = async (id, updates) => {
-    const newHighlights = highlights.map(h =>
-      h.id === id ? { ...h, ...updates } : h
-    );
-    return await setHighlights(newHighlights);
-  };
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const runWrite = (write) => runStorageWrite(write, 'Failed to update highlights:');
+
+  const addHighlight = (highlight) => runWrite(() => storageService.addHighlight(highlight));
+
+  // Moves the highlight to the Trash; restoreHighlight undoes it
+  const removeHighlight = (id) => runWrite(() => storageService.trashHighlight(id));
+
+  const restoreHighlight = (id) => runWrite(() => storageService.restoreHighlight(id));
+
+  const updateHighlight = (id, updates) => runWrite(() => storageService.updateHighlight(id, updates));
 
   return {
     highlights,
     addHighlight,
     removeHighlight,
+    restoreHighlight,
     updateHighlight,
     loading
   };
 }
+
+/**
+ * Hook for the Trash: deleted readings and highlights waiting to be purged
+ */
+export function useTrash() {
+  const [trash, setTrash] = useState({ readings: [], highlights: [] });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTrash = async () => {
+      try {
+        const [readings, highlights] = await Promise.all([getTrashedReadings(), getTrashedHighlights()]);
+        if (!cancelled) {
+          setTrash({ readings, highlights });
+        }
+      } catch (error) {
+        console.error('Failed to load trash:', error);
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    loadTrash();
+    const unsubscribeReadings = subscribeToReadings(loadTrash);
+    const unsubscribeHighlights = subscribeToHighlights(loadTrash);
+
+    return () => {
+      cancelled = true;
+      unsubscribeReadings();
+      unsubscribeHighlights();
+    };
+  }, []);
+
+  const runWrite = (write) => runStorageWrite(write, 'Failed to update trash:');
+
+  return {
+    trashedReadings: trash.readings,
+    trashedHighlights: trash.highlights,
+    restoreReading: (id) => runWrite(() => storageService.restoreReading(id)),
+    restoreHighlight: (id) => runWrite(() => storageService.restoreHighlight(id)),
+    deleteReadingForever: (id) => runWrite(() => storageService.deleteReading(id)),
+    deleteHighlightForever: (id) => runWrite(() => storageService.deleteHighlight(id)),
+    emptyTrash: () => runWrite(() => storageService.emptyTrash()),
+    loading
+  };
+}
+
+/**
+ * Hook for managing collection definitions (manual and smart)
+ */
+export function useCollections() {
+  const [collections, , loading] = useChromeStorage('collections', []);
+
+  const addCollection = async (collection) => {
+    const result = await runStorageWrite(() => storageService.addCollection(collection), 'Failed to add collection:');
+    return result.data;
+  };
+
+  const updateCollection = (id, updates) =>
+    runStorageWrite(() => storageService.updateCollection(id, updates), 'Failed to update collection:');
+
+  // Also removes the collection from every reading in it
+  const removeCollection = (id) =>
+    runStorageWrite(() => storageService.deleteCollection(id), 'Failed to remove collection:');
+
+  return {
+    collections,
+    addCollection,
+    updateCollection,
+    removeCollection,
+    loading
+  };
+}
+
+/**
+ * Hook for the saved prompt chains (stored under `promptChains`, included in backups)
+ */
+export function usePromptChains() {
+  const [promptChains, , loading] = useChromeStorage('promptChains', []);
+
+  const savePromptChain = (chain) =>
+    runStorageWrite(() => storageService.savePromptChain(chain), 'Failed to save prompt chain:');
+
+  return { promptChains, savePromptChain, loading };
+}
+
+/**
+ * Run a storage service write, reporting failure as { success: false, error }
+ */
+async function runStorageWrite(write, failureMessage) {
+  try {
+    const data = await write();
+    return { success: true, data };
+  } catch (error) {
+    console.error(failureMessage, error);
+    return { success: false, error: error.message };
+  }
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect } from 'react';
+import { search } from '../storage/searchIndex';
+import { subscribeToReadings } from '../storage/readingsRepository';
+
+const SEARCH_DEBOUNCE_MS = 200;
+
+/**
+ * Hook for searching the reading library
+ * Debounces the query and re-runs it when readings change
+ */
+export function useLibrarySearch(query) {
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [revision, setRevision] = useState(0);
+
+  useEffect(() => {
+    return subscribeToReadings(() => setRevision((r) => r + 1));
+  }, []);
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+
+    const timer = setTimeout(async () => {
+      try {
+        const found = await search(query);
+        if (!cancelled) {
+          setResults(found);
+        }
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (!cancelled) {
+          setResults([]);
+        }
+      } finally {
+        if (!cancelled) {
+          setSearching(false);
+        }
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, revision]);
+
+  return { results, searching };
+}
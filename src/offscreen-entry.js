@@ -0,0 +1,26 @@
+/**
+ * Offscreen Document
+ * Hidden extension page the background worker opens for work a service worker
+ * can't do itself - currently PDF text extraction, which needs pdf.js and its worker.
+ */
+
+import { extractPdf } from './utils/pdfExtraction';
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+    if (request.target !== 'offscreen') return false;
+
+    switch (request.action) {
+        case 'extract-pdf':
+            extractPdf({ url: request.url })
+                .then(data => sendResponse({ success: true, data }))
+                .catch(error => {
+                    console.error('❌ PDF extraction failed:', error);
+                    sendResponse({ success: false, error: error.message });
+                });
+            return true;
+
+        default:
+            sendResponse({ success: false, error: 'Unknown action' });
+            return false;
+    }
+});
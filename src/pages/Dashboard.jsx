@@ -1,14 +1,24 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Map, List, Brain, FileText, LayoutGrid, Trash2, MessageCircleIcon } from 'lucide-react';
-import { useSavedReadings, usePreferences } from '../hooks/useChromeStorage';
+import { Map, List, Brain, FileText, LayoutGrid, Trash2, MessageCircleIcon, Tag, Archive, ArchiveRestore, Clock } from 'lucide-react';
+import { useSavedReadings, usePreferences, useCollections } from '../hooks/useChromeStorage';
+import { useLibrarySearch } from '../hooks/useLibrarySearch';
 import ReactFlowView, { ReactFlowEmptyState } from '../components/ReactFlowView';
 import MermaidView from '../components/MermaidView';
 import PersonaSelector from '../components/PersonaSelector';
 import NodeDetailPopover from '../components/NodeDetailPopover';
+import SearchResults, { SearchBar } from '../components/SearchResults';
+import CollectionsSidebar from '../components/CollectionsSidebar';
+import TagCollectionPicker from '../components/TagCollectionPicker';
+import TrashView from '../components/TrashView';
+import UndoToast from '../components/UndoToast';
+import ReadingFigures from '../components/ReadingFigures';
+import HighlightNotes from '../components/HighlightNotes';
 import { extractConcepts, PERSONAS } from '../utils/summarize';
 import { FEATURES } from '../config/features';
-import { convertMarkdownToHTML } from '../utils/markdown';
+import { convertMarkdownToHTML, renderMarkdown, markdownToPlainText } from '../utils/markdown';
+import { renderTex } from '../utils/math';
+import { createCollection, filterReadings, getTagCounts } from '../utils/collections';
 
 // Conditionally import work-in-progress features
 import StoryboardView from '../components/StoryboardView';
@@ -16,27 +26,62 @@ import PromptChainEditor from '../components/PromptChainEditor';
 import Quiz from '../components/Quiz';
 
 export default function Dashboard() {
-  const { readings, removeReading } = useSavedReadings();
+  const { readings, removeReading, restoreReading, updateReading, recordQuizAttempt } = useSavedReadings();
   const { preferences, setPreferences } = usePreferences();
+  const { collections, addCollection, removeCollection } = useCollections();
   const [activeTab, setActiveTab] = useState('readings');
   const [selectedReading, setSelectedReading] = useState(null);
   const [concepts, setConcepts] = useState([]);
   const [viewMode, setViewMode] = useState(preferences?.mindmapMode || 'reactflow');
   const [selectedNode, setSelectedNode] = useState(null);
   const [showingSummary, setShowingSummary] = useState(null); // For summary modal
+  const [searchQuery, setSearchQuery] = useState('');
+  const { results: searchResults, searching } = useLibrarySearch(searchQuery);
+  const [activeFilter, setActiveFilter] = useState(null); // { type: 'tag' | 'collection' | 'archived', value }
+  const [undoToast, setUndoToast] = useState(null); // { id, message, onUndo }
 
-  const handleDeleteReading = async (readingId, event) => {
-    event.stopPropagation(); // Prevent selecting the reading when clicking delete
+  const visibleReadings = filterReadings(readings, activeFilter, collections);
+  const tagSuggestions = getTagCounts(readings).map(({ tag }) => tag);
 
-    if (!confirm('Are you sure you want to delete this reading?')) {
+  const handleOrganizeReading = async (readingId, { tags, collections: collectionIds }) => {
+    await updateReading(readingId, { tags, collections: collectionIds });
+  };
+
+  const handleToggleArchived = async (reading) => {
+    await updateReading(reading.id, { archived: !reading.archived });
+  };
+
+  const handleCreateCollection = async (name) => {
+    return addCollection(createCollection(name));
+  };
+
+  const handleRemoveCollection = async (collection) => {
+    if (!confirm(`Delete the collection "${collection.name}"? Readings in it are kept.`)) {
       return;
     }
 
+    await removeCollection(collection.id);
+
+    if (activeFilter?.type === 'collection' && activeFilter.value === collection.id) {
+      setActiveFilter(null);
+    }
+  };
+
+  const handleQuizComplete = async (reading, result) => {
+    await recordQuizAttempt(reading.id, result);
+  };
+
+  const handleDeleteReading = async (readingId, event) => {
+    event.stopPropagation(); // Prevent selecting the reading when clicking delete
+
     try {
-      console.log('🗑️ Deleting reading:', readingId);
+      console.log('🗑️ Moving reading to Trash:', readingId);
 
-      // Use the removeReading function from the hook
-      await removeReading(readingId);
+      // Soft delete - the reading can be restored from the toast or the Trash tab
+      const result = await removeReading(readingId);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
 
       // If deleted reading was selected, clear selection
       if (selectedReading?.id === readingId) {
@@ -44,7 +89,18 @@ export default function Dashboard() {
         setConcepts([]);
       }
 
-      console.log('✅ Reading deleted successfully');
+      setUndoToast({
+        id: readingId,
+        message: 'Reading moved to Trash',
+        onUndo: async () => {
+          const restored = await restoreReading(readingId);
+          if (!restored.success) {
+            console.error('❌ Failed to restore reading:', restored.error);
+            alert('Failed to restore reading. You can still restore it from the Trash.');
+          }
+        },
+      });
+      console.log('✅ Reading moved to Trash');
     } catch (error) {
       console.error('❌ Failed to delete reading:', error);
       alert('Failed to delete reading. Please try again.');
@@ -70,7 +126,7 @@ export default function Dashboard() {
   // Check URL hash on mount and load concepts from latest reading
   useEffect(() => {
     const hash = window.location.hash.replace('#', '');
-    if (hash && ['readings', 'mindmap', 'storyboard', 'prompts'].includes(hash)) {
+    if (hash && ['readings', 'mindmap', 'storyboard', 'prompts', 'trash'].includes(hash)) {
       setActiveTab(hash);
     }
 
@@ -102,10 +158,13 @@ export default function Dashboard() {
     }
 
     console.log('🧠 Generating mindmap for:', readingToUse.title);
-    console.log('📝 Content length:', (readingToUse.content || readingToUse.text || '').length);
+    // Compacted readings keep only their summary
+    const sourceText = readingToUse.content || readingToUse.summary;
+    console.log('📝 Content length:', sourceText.length);
 
-    const result = await extractConcepts(readingToUse.content || readingToUse.text, {
+    const result = await extractConcepts(sourceText, {
       persona: preferences?.persona,
+      figures: readingToUse.figures,
     });
 
     console.log('🔍 Extract concepts result:', result);
@@ -135,6 +194,7 @@ export default function Dashboard() {
     { id: 'storyboard', label: 'Storyboard', icon: <LayoutGrid className="w-4 h-4" />, enabled: FEATURES.storyboard },
     { id: 'prompts', label: 'Prompts', icon: <FileText className="w-4 h-4" />, enabled: FEATURES.prompts },
     { id: 'quiz', label: 'Quiz', icon: <MessageCircleIcon className="w-4 h-4" />, enabled: FEATURES.quiz },
+    { id: 'trash', label: 'Trash', icon: <Trash2 className="w-4 h-4" />, enabled: FEATURES.trash },
   ];
 
   const tabs = allTabs.filter((tab) => tab.enabled);
@@ -178,8 +238,38 @@ export default function Dashboard() {
       <main className="container mx-auto px-6 py-6">
         <AnimatePresence mode="wait">
           {activeTab === 'readings' && (
-            <motion.div key="readings" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-              <ReadingsList readings={readings} onSelect={setSelectedReading} selected={selectedReading} onDelete={handleDeleteReading} onViewSummary={setShowingSummary} onViewMindmap={handleViewMindmap} />
+            <motion.div key="readings" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="flex gap-6">
+              {readings.length > 0 && (
+                <CollectionsSidebar
+                  readings={readings}
+                  collections={collections}
+                  activeFilter={activeFilter}
+                  onFilterChange={setActiveFilter}
+                  onAddCollection={addCollection}
+                  onRemoveCollection={handleRemoveCollection}
+                />
+              )}
+              <div className="flex-1 min-w-0 space-y-4">
+                {readings.length > 0 && <SearchBar value={searchQuery} onChange={setSearchQuery} />}
+                {searchQuery.trim() ? (
+                  <SearchResults results={searchResults} searching={searching} readings={readings} onSelectReading={setSelectedReading} onViewSummary={setShowingSummary} />
+                ) : (
+                  <ReadingsList
+                    readings={visibleReadings}
+                    isFiltered={!!activeFilter}
+                    onSelect={setSelectedReading}
+                    selected={selectedReading}
+                    onDelete={handleDeleteReading}
+                    onViewSummary={setShowingSummary}
+                    onViewMindmap={handleViewMindmap}
+                    collections={collections}
+                    tagSuggestions={tagSuggestions}
+                    onOrganize={handleOrganizeReading}
+                    onCreateCollection={handleCreateCollection}
+                    onToggleArchived={handleToggleArchived}
+                  />
+                )}
+              </div>
             </motion.div>
           )}
 
@@ -270,17 +360,25 @@ export default function Dashboard() {
 
           {FEATURES.quiz && activeTab === 'quiz' && (
             <motion.div key="quiz" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} className="h-[calc(100vh-200px)]">
-              <Quiz readings={readings} preferences={preferences} />
+              <Quiz readings={readings} preferences={preferences} onQuizComplete={handleQuizComplete} />
+            </motion.div>
+          )}
+
+          {FEATURES.trash && activeTab === 'trash' && (
+            <motion.div key="trash" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
+              <TrashView />
             </motion.div>
           )}
         </AnimatePresence>
       </main>
 
       {/* Node Detail Popover */}
-      {selectedNode && <NodeDetailPopover concept={selectedNode} originalText={selectedReading?.content || selectedReading?.text || ''} onClose={handleCloseNodeDetail} allConcepts={concepts} />}
+      {selectedNode && <NodeDetailPopover concept={selectedNode} originalText={selectedReading?.content || ''} onClose={handleCloseNodeDetail} allConcepts={concepts} />}
 
       {/* Summary Modal */}
       {showingSummary && <SummaryModal reading={showingSummary} onClose={() => setShowingSummary(null)} />}
+
+      <UndoToast toast={undoToast} onDismiss={() => setUndoToast(null)} />
     </div>
   );
 }
@@ -289,6 +387,10 @@ export default function Dashboard() {
  * Summary Modal Component
  */
 function SummaryModal({ reading, onClose }) {
+  const [view, setView] = useState('summary'); // 'summary' | 'original' | 'highlights'
+  const showingOriginal = view === 'original' && reading.content;
+  const views = [['summary', 'Summary'], ...(reading.content ? [['original', 'Original text']] : []), ['highlights', 'Highlights']];
+
   return (
     <AnimatePresence>
       {/* Backdrop */}
@@ -333,9 +435,35 @@ function SummaryModal({ reading, onClose }) {
               </div>
             </div>
 
-            <div className="prose dark:prose-invert max-w-none">
-              <div className="text-neutral-800 dark:text-neutral-200 leading-relaxed summary-content" dangerouslySetInnerHTML={{ __html: convertMarkdownToHTML(reading.summary) }} />
+            <div className="flex gap-1 mb-4 text-sm">
+              {views.map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setView(id)}
+                  className={`px-3 py-1 rounded-full ${view === id ? 'bg-primary-100 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300' : 'text-neutral-600 dark:text-neutral-400 hover:bg-neutral-100 dark:hover:bg-neutral-700'}`}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
+
+            {view === 'highlights' ? (
+              <div className="border border-neutral-200 dark:border-neutral-700 rounded-xl">
+                <HighlightNotes reading={reading} />
+              </div>
+            ) : (
+              <>
+                <div className="prose dark:prose-invert max-w-none">
+                  {showingOriginal ? (
+                    <div className="text-neutral-800 dark:text-neutral-200 article-content" dangerouslySetInnerHTML={{ __html: renderMarkdown(reading.content, { renderMath: renderTex }) }} />
+                  ) : (
+                    <div className="text-neutral-800 dark:text-neutral-200 leading-relaxed summary-content" dangerouslySetInnerHTML={{ __html: convertMarkdownToHTML(reading.summary, { renderMath: renderTex }) }} />
+                  )}
+                </div>
+
+                <ReadingFigures reading={reading} />
+              </>
+            )}
           </div>
 
           {/* Footer */}
@@ -355,12 +483,12 @@ function SummaryModal({ reading, onClose }) {
             </div>
             <button
               onClick={() => {
-                navigator.clipboard.writeText(reading.summary);
-                alert('Summary copied to clipboard!');
+                navigator.clipboard.writeText(showingOriginal ? reading.content : reading.summary);
+                alert(showingOriginal ? 'Original text copied to clipboard as Markdown!' : 'Summary copied to clipboard!');
               }}
               className="btn-secondary text-sm"
             >
-              Copy Summary
+              {showingOriginal ? 'Copy Markdown' : 'Copy Summary'}
             </button>
           </div>
         </motion.div>
@@ -369,7 +497,79 @@ function SummaryModal({ reading, onClose }) {
   );
 }
 
-function ReadingsList({ readings, onSelect, selected, onDelete, onViewSummary, onViewMindmap }) {
+/**
+ * Byline for a reading card: authors, site, publish date, language and reading time
+ */
+function ReadingMeta({ reading }) {
+  const authors = reading.authors || [];
+  const byline = authors.length > 2 ? `${authors[0]} et al.` : authors.join(' & ');
+  const published = reading.publishedAt ? new Date(reading.publishedAt) : null;
+
+  const parts = [
+    byline,
+    reading.siteName,
+    published && !isNaN(published) ? published.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : null,
+  ].filter(Boolean);
+
+  const isPdf = reading.contentType === 'pdf';
+
+  const isMultiPage = !isPdf && reading.pageCount > 1;
+  const isClip = reading.captureScope === 'selection';
+
+  if (parts.length === 0 && !reading.readingTime && !reading.language && !isPdf && !isMultiPage && !isClip) {
+    return <div className="mb-2" />;
+  }
+
+  return (
+    <div className="flex items-center flex-wrap gap-x-2 gap-y-1 text-xs text-neutral-500 dark:text-neutral-400 mb-2">
+      {parts.length > 0 && (
+        <span className="line-clamp-1" title={[authors.join(', '), reading.siteName].filter(Boolean).join(' · ')}>
+          {parts.join(' · ')}
+        </span>
+      )}
+      {isPdf && (
+        <span className="px-1.5 rounded bg-red-50 text-red-600 dark:bg-red-900/30 dark:text-red-300" title="Captured from a PDF">
+          PDF{reading.pageCount ? ` · ${reading.pageCount} ${reading.pageCount === 1 ? 'page' : 'pages'}` : ''}
+        </span>
+      )}
+      {isClip && (
+        <span className="px-1.5 rounded bg-amber-50 text-amber-700 dark:bg-amber-900/30 dark:text-amber-300" title="Saved from a text selection">
+          Selection
+        </span>
+      )}
+      {isMultiPage && (
+        <span className="px-1.5 rounded bg-neutral-100 dark:bg-neutral-800" title={`Stitched from ${reading.pageCount} pages`}>
+          {reading.pageCount} pages
+        </span>
+      )}
+      {reading.language && (
+        <span className="px-1.5 rounded bg-neutral-100 dark:bg-neutral-800 uppercase" title={`Language: ${reading.language}`}>
+          {reading.language.split('-')[0]}
+        </span>
+      )}
+      {reading.readingTime > 0 && (
+        <span className="flex items-center gap-1" title={`${reading.wordCount.toLocaleString()} words`}>
+          <Clock className="w-3 h-3" />
+          {reading.readingTime} min read
+        </span>
+      )}
+    </div>
+  );
+}
+
+function ReadingsList({ readings, isFiltered, onSelect, selected, onDelete, onViewSummary, onViewMindmap, collections, tagSuggestions, onOrganize, onCreateCollection, onToggleArchived }) {
+  const [organizingId, setOrganizingId] = useState(null);
+
+  if (readings.length === 0 && isFiltered) {
+    return (
+      <div className="text-center py-20">
+        <div className="text-6xl mb-4">🗂️</div>
+        <h2 className="text-2xl font-semibold mb-2">Nothing here yet</h2>
+        <p className="text-neutral-600 dark:text-neutral-400">No readings match this collection or tag</p>
+      </div>
+    );
+  }
+
   if (readings.length === 0) {
     return (
       <div className="text-center py-20">
@@ -395,8 +595,34 @@ function ReadingsList({ readings, onSelect, selected, onDelete, onViewSummary, o
             <Trash2 className="w-4 h-4" />
           </button>
 
-          <h3 className="font-semibold mb-2 line-clamp-2">{reading.title}</h3>
-          <p className="text-sm text-neutral-600 dark:text-neutral-400 line-clamp-3 mb-3">{reading.excerpt || reading.content?.substring(0, 150)}</p>
+          <h3 className="font-semibold mb-1 line-clamp-2">{reading.title}</h3>
+          <ReadingMeta reading={reading} />
+          <p className="text-sm text-neutral-600 dark:text-neutral-400 line-clamp-3 mb-3">{reading.excerpt || markdownToPlainText(reading.content).substring(0, 150)}</p>
+
+          {/* Tags */}
+          {reading.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-3">
+              {reading.tags.map((tag) => (
+                <span key={tag} className="badge-primary">
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {/* Tag & collection editor */}
+          {organizingId === reading.id && (
+            <div onClick={(e) => e.stopPropagation()} className="mb-3 p-3 rounded-lg bg-neutral-50 dark:bg-neutral-800 border border-neutral-200 dark:border-neutral-700">
+              <TagCollectionPicker
+                tags={reading.tags || []}
+                collectionIds={reading.collections || []}
+                collections={collections}
+                suggestions={tagSuggestions}
+                onChange={(changes) => onOrganize(reading.id, changes)}
+                onCreateCollection={onCreateCollection}
+              />
+            </div>
+          )}
 
           {/* Action buttons */}
           <div className="space-y-2 mb-3">
@@ -430,8 +656,32 @@ function ReadingsList({ readings, onSelect, selected, onDelete, onViewSummary, o
           </div>
 
           <div className="flex items-center justify-between">
-            <div className="text-xs text-neutral-500">{new Date(reading.timestamp).toLocaleDateString()}</div>
-            {reading.usedAI !== undefined && (
+            <div className="flex items-center gap-2">
+              <div className="text-xs text-neutral-500">{new Date(reading.timestamp).toLocaleDateString()}</div>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setOrganizingId(organizingId === reading.id ? null : reading.id);
+                }}
+                className={`p-1 rounded hover:bg-neutral-100 dark:hover:bg-neutral-800 ${organizingId === reading.id ? 'text-primary-500' : 'text-neutral-400'}`}
+                title="Tags & collections"
+              >
+                <Tag className="w-3.5 h-3.5" />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onToggleArchived(reading);
+                }}
+                className={`p-1 rounded hover:bg-neutral-100 dark:hover:bg-neutral-800 ${reading.archived ? 'text-primary-500' : 'text-neutral-400'}`}
+                title={reading.archived ? 'Unarchive' : 'Archive'}
+              >
+                {reading.archived ? <ArchiveRestore className="w-3.5 h-3.5" /> : <Archive className="w-3.5 h-3.5" />}
+              </button>
+              {reading.compactedAt && <span className="text-xs text-neutral-400" title="Full text removed to save space; summary, concepts and highlights are kept">Compacted</span>}
+              {reading.syncedStub && <span className="text-xs text-neutral-400" title="Saved on another device. Save the page again here to fetch its content">Synced</span>}
+            </div>
+            {typeof reading.usedAI === 'boolean' && (
               reading.usedAI && reading.persona && PERSONAS[reading.persona] ? (
                 <div className="relative group/persona inline-block">
                   <span className="text-xs px-2 py-1 rounded-full bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300 cursor-help">
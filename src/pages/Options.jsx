@@ -3,6 +3,12 @@ import { motion } from 'framer-motion';
 import { Moon, Sun, Monitor } from 'lucide-react';
 import { usePreferences } from '../hooks/useChromeStorage';
 import PersonaSelector from '../components/PersonaSelector';
+import BackupRestore from '../components/BackupRestore';
+import StorageUsage from '../components/StorageUsage';
+import SiteAdapters from '../components/SiteAdapters';
+import HighlightCategories from '../components/HighlightCategories';
+import { getCategories } from '../utils/highlightCategories';
+import { TRASH_RETENTION_OPTIONS, DEFAULT_TRASH_RETENTION_DAYS } from '../storage/trash';
 
 // Apply theme to document
 function applyTheme(theme) {
@@ -101,6 +107,67 @@ export default function Options() {
                             />
                         </div>
                     </section>
+
+                    {/* Site Adapters */}
+                    <section className="card">
+                        <h2 className="text-xl font-semibold mb-4 text-neutral-900 dark:text-neutral-100">
+                            Site Adapters
+                        </h2>
+                        <SiteAdapters
+                            adapters={preferences?.siteAdapters || []}
+                            onChange={(siteAdapters) => setPreferences({ ...preferences, siteAdapters })}
+                        />
+                    </section>
+
+                    {/* Highlight Categories */}
+                    <section className="card">
+                        <h2 className="text-xl font-semibold mb-4 text-neutral-900 dark:text-neutral-100">
+                            Highlight Categories
+                        </h2>
+                        <HighlightCategories
+                            categories={getCategories(preferences)}
+                            onChange={(highlightCategories) => setPreferences({ ...preferences, highlightCategories })}
+                        />
+                    </section>
+
+                    {/* Storage */}
+                    <section className="card">
+                        <h2 className="text-xl font-semibold mb-4 text-neutral-900 dark:text-neutral-100">
+                            Storage
+                        </h2>
+                        <StorageUsage />
+                    </section>
+
+                    {/* Trash */}
+                    <section className="card">
+                        <h2 className="text-xl font-semibold mb-4 text-neutral-900 dark:text-neutral-100">
+                            Trash
+                        </h2>
+                        <label className="flex items-center justify-between gap-4">
+                            <span className="text-sm text-neutral-600 dark:text-neutral-400">
+                                Permanently delete readings and highlights after they have been in the Trash for
+                            </span>
+                            <select
+                                value={preferences?.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS}
+                                onChange={(e) => setPreferences({ ...preferences, trashRetentionDays: Number(e.target.value) })}
+                                className="input w-40"
+                            >
+                                {TRASH_RETENTION_OPTIONS.map((days) => (
+                                    <option key={days} value={days}>
+                                        {days ? `${days} days` : 'Never'}
+                                    </option>
+                                ))}
+                            </select>
+                        </label>
+                    </section>
+
+                    {/* Backup & Restore */}
+                    <section className="card">
+                        <h2 className="text-xl font-semibold mb-4 text-neutral-900 dark:text-neutral-100">
+                            Backup & Restore
+                        </h2>
+                        <BackupRestore />
+                    </section>
                 </div>
             </div>
         </div>
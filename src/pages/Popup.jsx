@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { BookOpen, Sparkles, Settings, LayoutDashboard, X, Loader2, Copy, CheckCircle, Network } from 'lucide-react';
-import { usePreferences, useSavedReadings } from '../hooks/useChromeStorage';
+import { BookOpen, Sparkles, Settings, LayoutDashboard, X, Loader2, Copy, CheckCircle, Network, BookmarkPlus, Tag, MousePointerClick } from 'lucide-react';
+import { usePreferences, useSavedReadings, useCollections } from '../hooks/useChromeStorage';
 import { PERSONAS, summarizeText, extractConcepts } from '../utils/summarize';
+import { createCollection, getTagCounts } from '../utils/collections';
+import { resolveCanonicalUrl } from '../storage/urls';
+import { DUPLICATE_ACTIONS } from '../storage/storageClient';
+import TagCollectionPicker from '../components/TagCollectionPicker';
 
 /**
  * Check if a method is an AI-based method
@@ -18,8 +22,15 @@ function isAIMethod(method) {
 export default function Popup() {
   const { preferences, setPreferences } = usePreferences();
   const { readings } = useSavedReadings();
+  const { collections, addCollection } = useCollections();
   const [currentTab, setCurrentTab] = useState(null);
   const [loadingMindmap, setLoadingMindmap] = useState(false);
+  const [savingPage, setSavingPage] = useState(false);
+  const [pageSaved, setPageSaved] = useState(false);
+  const [showOrganizer, setShowOrganizer] = useState(false);
+  const [organization, setOrganization] = useState({ tags: [], collections: [] }); // Applied to the next save
+  const [duplicatePrompt, setDuplicatePrompt] = useState(null); // { reading, resolve } while asking refresh-or-keep
+  const [captureProgress, setCaptureProgress] = useState(null); // { page, totalPages } while fetching a multi-page article
 
   useEffect(() => {
     // Get current tab info
@@ -30,6 +41,38 @@ export default function Popup() {
     });
   }, []);
 
+  // Progress of a multi-page article being fetched for this tab
+  useEffect(() => {
+    if (!currentTab) return;
+
+    const handleMessage = (message) => {
+      if (message.action !== 'page-capture-progress' || message.tabId !== currentTab.id) return;
+      setCaptureProgress(message.done ? null : { page: message.page, totalPages: message.totalPages });
+    };
+    chrome.runtime.onMessage.addListener(handleMessage);
+    return () => chrome.runtime.onMessage.removeListener(handleMessage);
+  }, [currentTab]);
+
+  /**
+   * Let the user point at the article on the page; the Popup closes so the page can be clicked
+   */
+  const pickArticleArea = async () => {
+    if (!currentTab) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'start-element-picker', tabId: currentTab.id });
+      if (!response?.success) throw new Error(response?.error || 'Unknown error');
+      window.close();
+    } catch (error) {
+      console.error('💥 Element picker error:', error);
+      alert('Cannot pick an area on this page: ' + error.message);
+    }
+  };
+
+  const stopPageCapture = (keepPages) => {
+    chrome.runtime.sendMessage({ action: 'cancel-page-capture', tabId: currentTab.id, keepPages });
+  };
+
   const openDashboard = () => {
     chrome.tabs.create({
       url: chrome.runtime.getURL('dashboard.html'),
@@ -40,6 +83,50 @@ export default function Popup() {
     chrome.runtime.openOptionsPage();
   };
 
+  /**
+   * Send a save message; if the page is already saved, ask whether to refresh
+   * its content or keep the old snapshot, then send it again with the answer
+   */
+  const saveWithDuplicateCheck = async (message) => {
+    let response = await chrome.runtime.sendMessage({ ...message, onDuplicate: DUPLICATE_ACTIONS.ASK });
+
+    if (response?.success && response.data?.status === 'duplicate') {
+      const onDuplicate = await new Promise((resolve) => setDuplicatePrompt({ reading: response.data.reading, resolve }));
+      setDuplicatePrompt(null);
+      response = await chrome.runtime.sendMessage({ ...message, onDuplicate });
+    }
+
+    if (response?.cancelled) {
+      throw new DOMException(response.error, 'AbortError');
+    }
+    if (!response?.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    return response.data;
+  };
+
+  const savePage = async () => {
+    if (!currentTab) return;
+
+    setSavingPage(true);
+    try {
+      await saveWithDuplicateCheck({
+        action: 'save-page',
+        tabId: currentTab.id,
+        data: organization,
+      });
+
+      setPageSaved(true);
+      setTimeout(() => setPageSaved(false), 2000);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('💥 Save page error:', error);
+      alert('Failed to save page: ' + error.message);
+    } finally {
+      setSavingPage(false);
+    }
+  };
+
   const generateMindmap = async () => {
     console.log('🧠 =========================');
     console.log('🧠 Generate Mindmap button clicked');
@@ -57,18 +144,18 @@ export default function Popup() {
     try {
       // Get page content
       console.log('📄 Extracting page content...');
-      const [result] = await chrome.scripting.executeScript({
-        target: { tabId: currentTab.id },
-        func: () => {
-          const article = document.querySelector('article') || document.body;
-          return {
-            text: article.innerText.substring(0, 50000),
-            title: document.title,
-          };
-        },
-      });
+      // The background worker reads PDFs with pdf.js and web pages with the article extractor
+      const extraction = await chrome.runtime.sendMessage({ action: 'extract-page', tabId: currentTab.id });
+      if (extraction?.cancelled) {
+        throw new DOMException(extraction.error, 'AbortError');
+      }
+      if (!extraction?.success) {
+        throw new Error(extraction?.error || 'Could not read this page');
+      }
 
-      const pageContent = result.result;
+      const article = extraction.data;
+      // Markdown keeps section boundaries for concept extraction and the saved reading
+      const pageContent = { ...article, text: (article.markdown || article.text).substring(0, 50000) };
       console.log('✅ Page content extracted:', {
         title: pageContent.title,
         textLength: pageContent.text.length,
@@ -79,6 +166,7 @@ export default function Popup() {
       const conceptResult = await extractConcepts(pageContent.text, {
         persona: preferences?.persona || 'architect',
         maxConcepts: 20,
+        figures: pageContent.figures,
       });
 
       console.log('📊 Concept extraction result:', {
@@ -97,25 +185,39 @@ export default function Popup() {
 
         // Save reading with concepts and method info
         const reading = {
-          title: pageContent.title,
+          title: pageContent.title || currentTab.title,
           url: currentTab.url,
+          canonicalUrl: resolveCanonicalUrl({ url: currentTab.url, canonicalLink: pageContent.canonicalLink, ogUrl: pageContent.ogUrl }),
           content: pageContent.text,
+          excerpt: pageContent.excerpt,
+          byline: pageContent.byline,
+          authors: pageContent.authors,
+          publishedAt: pageContent.publishedAt,
+          modifiedAt: pageContent.modifiedAt,
+          siteName: pageContent.siteName,
+          language: pageContent.language,
+          contentType: pageContent.contentType,
+          pageCount: pageContent.pageCount,
+          pageUrls: pageContent.pageUrls,
+          figures: pageContent.figures,
           summary: conceptResult.processedText, // AI-processed summary used for mindmap
           timestamp: new Date().toISOString(),
           concepts: conceptResult.concepts,
           generationMethod: conceptResult.method, // Track how it was generated
           usedAI: conceptResult.method !== 'fallback',
           persona: preferences?.persona || 'architect', // Track which persona was used
+          tags: organization.tags,
+          collections: organization.collections,
         };
 
         console.log('💾 Saving reading with', reading.concepts.length, 'concepts...');
         console.log('🏷️ Generation method:', conceptResult.method);
-        const saveResponse = await chrome.runtime.sendMessage({
+        const saveResult = await saveWithDuplicateCheck({
           action: 'save-reading',
           data: reading,
         });
 
-        console.log('✅ Reading saved:', saveResponse);
+        console.log('✅ Reading saved:', saveResult);
 
         // Show notification based on method
         if (conceptResult.method === 'fallback') {
@@ -132,6 +234,7 @@ export default function Popup() {
         alert('Failed to generate mindmap. No concepts could be extracted from the page.');
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('💥 Mindmap generation error:', error);
       alert('Failed to generate mindmap: ' + error.message);
     } finally {
@@ -214,6 +317,65 @@ export default function Popup() {
         <div className="p-4 space-y-3">
           <QuickAction icon={<LayoutDashboard className="w-5 h-5" />} label="Open Dashboard" description="View all your saved readings" onClick={openDashboard} />
 
+          {duplicatePrompt && <DuplicatePrompt reading={duplicatePrompt.reading} onChoose={duplicatePrompt.resolve} />}
+
+          <QuickAction
+            icon={savingPage ? <Loader2 className="w-5 h-5 animate-spin" /> : pageSaved ? <CheckCircle className="w-5 h-5" /> : <BookmarkPlus className="w-5 h-5" />}
+            label={pageSaved ? 'Saved!' : 'Save Page'}
+            description="Save this page to your reading library"
+            onClick={() => !savingPage && savePage()}
+            disabled={savingPage}
+          />
+
+          <QuickAction
+            icon={<MousePointerClick className="w-5 h-5" />}
+            label="Pick Article Area"
+            description="Point at the part of the page to save"
+            onClick={pickArticleArea}
+          />
+
+          {captureProgress && (
+            <div className="flex items-center gap-2 p-3 rounded-lg bg-primary-50 dark:bg-primary-900/20 text-sm text-neutral-700 dark:text-neutral-300">
+              <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+              <span className="flex-1">
+                Fetching page {captureProgress.page}{captureProgress.totalPages ? ` of ${captureProgress.totalPages}` : ''}…
+              </span>
+              <button onClick={() => stopPageCapture(true)} className="btn-ghost text-xs px-2 py-1">
+                Stop here
+              </button>
+              <button onClick={() => stopPageCapture(false)} className="btn-ghost text-xs px-2 py-1">
+                Cancel
+              </button>
+            </div>
+          )}
+
+          {/* Tags & collections applied when saving */}
+          <div className="rounded-lg border border-neutral-200 dark:border-neutral-700">
+            <button onClick={() => setShowOrganizer(!showOrganizer)} className="w-full flex items-center gap-2 px-3 py-2 text-sm text-neutral-700 dark:text-neutral-300">
+              <Tag className="w-4 h-4" />
+              <span className="flex-1 text-left">
+                {organization.tags.length + organization.collections.length > 0
+                  ? `${organization.tags.length} tag${organization.tags.length === 1 ? '' : 's'}, ${organization.collections.length} collection${organization.collections.length === 1 ? '' : 's'}`
+                  : 'Add tags & collections'}
+              </span>
+              <motion.span animate={{ rotate: showOrganizer ? 180 : 0 }} className="text-xs">
+                ▼
+              </motion.span>
+            </button>
+            {showOrganizer && (
+              <div className="px-3 pb-3">
+                <TagCollectionPicker
+                  tags={organization.tags}
+                  collectionIds={organization.collections}
+                  collections={collections}
+                  suggestions={getTagCounts(readings).map(({ tag }) => tag)}
+                  onChange={setOrganization}
+                  onCreateCollection={(name) => addCollection(createCollection(name))}
+                />
+              </div>
+            )}
+          </div>
+
           <QuickAction
             icon={loadingMindmap ? <Loader2 className="w-5 h-5 animate-spin" /> : <Network className="w-5 h-5" />}
             label="Summarize and Generate Mindmap"
@@ -294,6 +456,28 @@ function QuickAction({ icon, label, description, onClick, disabled = false }) {
   );
 }
 
+/**
+ * Refresh-or-keep prompt for a page that is already saved
+ */
+function DuplicatePrompt({ reading, onChoose }) {
+  return (
+    <div className="p-3 rounded-lg border border-amber-300 dark:border-amber-700 bg-amber-50 dark:bg-amber-900/20">
+      <div className="text-sm font-medium text-neutral-900 dark:text-neutral-100">Already in your library</div>
+      <div className="text-xs text-neutral-600 dark:text-neutral-400 mb-3">
+        "{reading.title}" was saved on {new Date(reading.timestamp).toLocaleDateString()}. Its highlights, quiz history and tags are kept either way.
+      </div>
+      <div className="flex gap-2">
+        <button onClick={() => onChoose(DUPLICATE_ACTIONS.REFRESH)} className="btn-primary text-sm flex-1">
+          Refresh content
+        </button>
+        <button onClick={() => onChoose(DUPLICATE_ACTIONS.KEEP)} className="btn-secondary text-sm flex-1">
+          Keep old snapshot
+        </button>
+      </div>
+    </div>
+  );
+}
+
 /**
  * Recent Reading Item
  */
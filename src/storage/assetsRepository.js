@@ -0,0 +1,50 @@
+/**
+ * Reading Assets Repository
+ * Thumbnails of a reading's figures, stored locally (never synced or exported).
+ * The reading itself keeps the figure list (src, alt, caption); each asset adds
+ * the thumbnail for one figure. Written by the background worker after a save.
+ *
+ * Asset: id, readingId, index (position in reading.figures), src, thumbnail (data URL),
+ *   width, height, timestamp
+ */
+
+import { withTransaction, promisifyRequest, STORES } from './db.js';
+
+/**
+ * Get a reading's assets in figure order
+ */
+export async function getReadingAssets(readingId) {
+    const assets = await withTransaction(STORES.ASSETS, 'readonly', (store) => {
+        return promisifyRequest(store.index('readingId').getAll(String(readingId)));
+    });
+    return assets.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Replace a reading's assets (a refreshed capture may have different figures)
+ * @param {string} readingId - Reading the assets belong to
+ * @param {Object[]} assets - { index, src, thumbnail, width, height }
+ * @returns {Promise<Object[]>} The stored assets
+ */
+export async function saveReadingAssets(readingId, assets) {
+    const id = String(readingId);
+    const timestamp = new Date().toISOString();
+    const records = assets.map(asset => ({ ...asset, id: `${id}:${asset.index}`, readingId: id, timestamp }));
+
+    await withTransaction(STORES.ASSETS, 'readwrite', async (store) => {
+        const keys = await promisifyRequest(store.index('readingId').getAllKeys(id));
+        keys.forEach(key => store.delete(key));
+        records.forEach(record => store.put(record));
+    });
+    return records;
+}
+
+/**
+ * Delete every asset of a reading
+ */
+export async function deleteReadingAssets(readingId) {
+    await withTransaction(STORES.ASSETS, 'readwrite', async (store) => {
+        const keys = await promisifyRequest(store.index('readingId').getAllKeys(String(readingId)));
+        keys.forEach(key => store.delete(key));
+    });
+}
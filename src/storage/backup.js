@@ -0,0 +1,320 @@
+/**
+ * Library Backup and Restore
+ * Exports readings, highlights, preferences, quizzes, collections and prompt chains
+ * into one versioned JSON archive, and imports archives back with validation,
+ * format migration and an explicit conflict policy.
+ */
+
+import { getAllReadings, getReading, addReading } from './readingsRepository.js';
+import { getAllHighlights, getHighlight, addHighlight } from './highlightsRepository.js';
+import { rebuildSearchIndex } from './searchIndex.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { createId } from './ids.js';
+import { updatePreferences } from './preferences.js';
+
+export const BACKUP_FORMAT = 'rami-backup';
+export const BACKUP_VERSION = 1;
+
+/**
+ * How to handle a record whose id already exists in the library
+ */
+export const CONFLICT_POLICIES = {
+    SKIP: 'skip', // Keep the existing record
+    OVERWRITE: 'overwrite', // Replace it with the archived record
+    KEEP_BOTH: 'keep-both', // Import the archived record under a new id
+};
+
+// chrome.storage.local keys holding arrays of records with an `id`
+const STORAGE_COLLECTIONS = ['collections', 'promptChains'];
+
+/**
+ * Archive format migrations, keyed by the version they upgrade from
+ */
+const ARCHIVE_MIGRATIONS = {
+    // Version 0: a raw chrome.storage.local dump ({ readings, highlights, preferences, ... })
+    0: (archive) => ({
+        format: BACKUP_FORMAT,
+        version: 1,
+        exportedAt: archive.exportedAt || null,
+        data: {
+            readings: archive.readings || [],
+            highlights: archive.highlights || [],
+            preferences: archive.preferences || null,
+            collections: archive.collections || [],
+            promptChains: archive.promptChains || [],
+            quizzes: [],
+        },
+    }),
+};
+
+/**
+ * Build a backup archive of the whole library
+ * @returns {Promise<Object>} Archive ready to be serialized with JSON.stringify
+ */
+export async function exportLibrary() {
+    // Items in the Trash too, with their `deletedAt`: they come back in the Trash on restore
+    const readings = await getAllReadings({ includeTrashed: true });
+    const highlights = await getAllHighlights({ includeTrashed: true });
+    const stored = await chrome.storage.local.get(['preferences', ...STORAGE_COLLECTIONS]);
+
+    // Quiz history is exported as its own section and re-attached on import
+    const quizzes = readings.flatMap(reading =>
+        (reading.quizHistory || []).map(entry => ({ ...entry, readingId: reading.id }))
+    );
+
+    return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        exportedAt: new Date().toISOString(),
+        schemaVersion: SCHEMA_VERSION,
+        extensionVersion: chrome.runtime.getManifest?.().version,
+        data: {
+            readings: readings.map(({ quizHistory, ...reading }) => reading),
+            highlights,
+            preferences: stored.preferences || null,
+            collections: stored.collections || [],
+            promptChains: stored.promptChains || [],
+            quizzes,
+        },
+    };
+}
+
+/**
+ * Bring an archive up to the current format version
+ * @throws {Error} If the archive comes from a newer version of Rami
+ */
+export function migrateArchive(archive) {
+    let migrated = archive;
+    let version = isLegacyDump(archive) ? 0 : archive.version;
+
+    if (version > BACKUP_VERSION) {
+        throw new Error(`Backup version ${version} is newer than this version of Rami supports (${BACKUP_VERSION}). Update the extension first.`);
+    }
+
+    while (version < BACKUP_VERSION) {
+        const migrate = ARCHIVE_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration available for backup version ${version}`);
+        }
+        migrated = migrate(migrated);
+        version = migrated.version;
+    }
+
+    return migrated;
+}
+
+/**
+ * Validate and migrate a parsed archive
+ * @returns {{ archive: Object, counts: Object }} The migrated archive and per-section record counts
+ * @throws {Error} Describing every problem found
+ */
+export function validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+        throw new Error('Backup file is not a Rami archive');
+    }
+
+    if (!isLegacyDump(archive)) {
+        if (archive.format !== BACKUP_FORMAT) {
+            throw new Error('Backup file is not a Rami archive');
+        }
+        if (!Number.isInteger(archive.version)) {
+            throw new Error('Backup file has no format version');
+        }
+    }
+
+    const migrated = migrateArchive(archive);
+    const { data } = migrated;
+    const problems = [];
+
+    if (!data || typeof data !== 'object') {
+        throw new Error('Backup file has no data section');
+    }
+
+    ['readings', 'highlights', 'collections', 'promptChains', 'quizzes'].forEach(section => {
+        // Sections an older exporter didn't know about are simply empty
+        if (data[section] === undefined) {
+            data[section] = [];
+        }
+        if (!Array.isArray(data[section])) {
+            problems.push(`"${section}" must be a list`);
+            return;
+        }
+        const missingIds = data[section].filter(record => !record || (typeof record.id !== 'string' && typeof record.id !== 'number')).length;
+        if (missingIds > 0) {
+            problems.push(`${missingIds} ${section} without an id`);
+        }
+    });
+
+    if (Array.isArray(data.readings)) {
+        const invalid = data.readings.filter(r => r && !r.title && !r.url && !r.content && !r.text).length;
+        if (invalid > 0) {
+            problems.push(`${invalid} readings with no title, url or content`);
+        }
+    }
+
+    if (data.preferences !== null && data.preferences !== undefined && typeof data.preferences !== 'object') {
+        problems.push('"preferences" must be an object');
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Backup file is invalid: ${problems.join('; ')}`);
+    }
+
+    return {
+        archive: migrated,
+        counts: {
+            readings: data.readings.length,
+            highlights: data.highlights.length,
+            collections: data.collections.length,
+            promptChains: data.promptChains.length,
+            quizzes: data.quizzes.length,
+            preferences: data.preferences ? 1 : 0,
+        },
+    };
+}
+
+/**
+ * Import an archive into the library
+ * @param {Object} rawArchive - Parsed JSON archive (any supported version)
+ * @param {Object} options - { conflictPolicy: 'skip' | 'overwrite' | 'keep-both' }
+ * @returns {Promise<Object>} Per-section summary: { added, skipped, overwritten, duplicated }
+ */
+export async function importLibrary(rawArchive, options = {}) {
+    const { conflictPolicy = CONFLICT_POLICIES.SKIP } = options;
+    if (!Object.values(CONFLICT_POLICIES).includes(conflictPolicy)) {
+        throw new Error(`Unknown conflict policy: ${conflictPolicy}`);
+    }
+
+    const { archive } = validateArchive(rawArchive);
+    const { data } = archive;
+    const summary = {};
+
+    // Readings first, so highlights and quizzes can follow any id changes
+    const readingIdMap = new Map();
+    const quizzesByReading = groupBy(data.quizzes, quiz => String(quiz.readingId));
+    summary.readings = createCounter();
+
+    // Archived field times are dropped: restoring counts as a change made now, so it syncs out
+    for (const { fieldTimes, ...archived } of data.readings) {
+        const id = String(archived.id);
+        const quizHistory = (quizzesByReading.get(id) || []).map(({ readingId, ...entry }) => entry);
+        const newId = await importRecord({ ...archived, id, quizHistory }, getReading, addReading, conflictPolicy, summary.readings);
+        if (newId) readingIdMap.set(id, newId);
+    }
+
+    // Highlights follow their reading when it was imported as a copy
+    summary.highlights = createCounter();
+    for (const archived of data.highlights) {
+        const readingId = archived.readingId ? String(archived.readingId) : archived.readingId;
+        const record = { ...archived, id: String(archived.id), readingId: readingIdMap.get(readingId) || readingId };
+        await importRecord(record, getHighlight, addHighlight, conflictPolicy, summary.highlights);
+    }
+
+    // Collections and prompt chains live in chrome.storage.local
+    const stored = await chrome.storage.local.get(STORAGE_COLLECTIONS);
+    const updates = {};
+
+    STORAGE_COLLECTIONS.forEach(key => {
+        const result = mergeRecords(stored[key] || [], data[key], conflictPolicy);
+        updates[key] = result.records;
+        summary[key] = result.counter;
+    });
+
+    await chrome.storage.local.set(updates);
+
+    // Preferences can't be duplicated: overwrite lets the archive win per key,
+    // otherwise current values win and the archive only fills gaps.
+    // Keys the import changes get a new change time, like any other edit.
+    const { preferences: currentPreferences = {} } = await chrome.storage.local.get('preferences');
+    if (data.preferences) {
+        const changed = Object.fromEntries(Object.entries(data.preferences).filter(([key, value]) => {
+            if (!(key in currentPreferences)) return true;
+            return conflictPolicy === CONFLICT_POLICIES.OVERWRITE && JSON.stringify(value) !== JSON.stringify(currentPreferences[key]);
+        }));
+        await updatePreferences(changed);
+        summary.preferences = conflictPolicy === CONFLICT_POLICIES.OVERWRITE ? 'overwritten' : 'merged';
+    }
+
+    await rebuildSearchIndex();
+
+    summary.quizzes = data.quizzes.length;
+    return summary;
+}
+
+/**
+ * Write one archived record to a repository under a conflict policy
+ * @returns {Promise<string|null>} The new id when the record was imported as a copy
+ */
+async function importRecord(record, getExisting, add, conflictPolicy, counter) {
+    const existing = await getExisting(record.id);
+
+    if (!existing) {
+        await add(record);
+        counter.added++;
+    } else if (conflictPolicy === CONFLICT_POLICIES.OVERWRITE) {
+        await add(record);
+        counter.overwritten++;
+    } else if (conflictPolicy === CONFLICT_POLICIES.KEEP_BOTH) {
+        const newId = createImportId(record.id);
+        await add({ ...record, id: newId });
+        counter.duplicated++;
+        return newId;
+    } else {
+        counter.skipped++;
+    }
+    return null;
+}
+
+/**
+ * Merge archived records into existing ones by id under a conflict policy
+ */
+function mergeRecords(existing, incoming, conflictPolicy) {
+    const records = [...existing];
+    const indexById = new Map(records.map((record, i) => [String(record.id), i]));
+    const counter = createCounter();
+
+    incoming.forEach(record => {
+        const id = String(record.id);
+        const index = indexById.get(id);
+
+        if (index === undefined) {
+            records.push({ ...record, id });
+            indexById.set(id, records.length - 1);
+            counter.added++;
+        } else if (conflictPolicy === CONFLICT_POLICIES.OVERWRITE) {
+            records[index] = { ...record, id };
+            counter.overwritten++;
+        } else if (conflictPolicy === CONFLICT_POLICIES.KEEP_BOTH) {
+            records.push({ ...record, id: createImportId(id) });
+            counter.duplicated++;
+        } else {
+            counter.skipped++;
+        }
+    });
+
+    return { records, counter };
+}
+
+/**
+ * A raw storage dump has top-level arrays instead of a versioned envelope
+ */
+function isLegacyDump(archive) {
+    return archive.format === undefined && archive.version === undefined && Array.isArray(archive.readings);
+}
+
+function createCounter() {
+    return { added: 0, skipped: 0, overwritten: 0, duplicated: 0 };
+}
+
+function createImportId(id) {
+    return createId(`${id}-import`);
+}
+
+function groupBy(items, getKey) {
+    const groups = new Map();
+    items.forEach(item => {
+        const key = getKey(item);
+        groups.set(key, [...(groups.get(key) || []), item]);
+    });
+    return groups;
+}
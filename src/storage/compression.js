@@ -0,0 +1,74 @@
+/**
+ * Reading Field Compression
+ * Large text fields are stored gzip-compressed (CompressionStream) and expanded
+ * again on read, so nothing outside the storage layer sees the packed form.
+ * A packed field is { encoding: 'gzip', data: ArrayBuffer, length }.
+ */
+
+const ENCODING = 'gzip';
+
+// Fields worth compressing; short values are left as plain strings
+const COMPRESSED_FIELDS = ['content', 'summary'];
+const MIN_COMPRESSED_LENGTH = 2048;
+
+/**
+ * Whether a stored field value is in packed form
+ */
+export function isCompressed(value) {
+    return Boolean(value) && typeof value === 'object' && value.encoding === ENCODING && value.data instanceof ArrayBuffer;
+}
+
+/**
+ * Gzip a string
+ * @returns {Promise<Object>} { encoding, data, length }
+ */
+export async function compressText(text) {
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream(ENCODING));
+    const data = await new Response(stream).arrayBuffer();
+    return { encoding: ENCODING, data, length: text.length };
+}
+
+/**
+ * Expand a packed value back to its string
+ */
+export async function decompressText(value) {
+    const stream = new Blob([value.data]).stream().pipeThrough(new DecompressionStream(value.encoding));
+    return new Response(stream).text();
+}
+
+/**
+ * Prepare a reading for storage, compressing large text fields
+ * Values that would not get smaller are kept as plain text
+ */
+export async function packReading(reading) {
+    const packed = { ...reading };
+
+    for (const field of COMPRESSED_FIELDS) {
+        const value = reading[field];
+        if (typeof value !== 'string' || value.length < MIN_COMPRESSED_LENGTH) continue;
+
+        const compressed = await compressText(value);
+        if (compressed.data.byteLength < new TextEncoder().encode(value).byteLength) {
+            packed[field] = compressed;
+        }
+    }
+
+    return packed;
+}
+
+/**
+ * Expand a stored reading's packed fields; readings without any are returned as-is
+ */
+export async function unpackReading(record) {
+    if (!record || !COMPRESSED_FIELDS.some(field => isCompressed(record[field]))) {
+        return record;
+    }
+
+    const reading = { ...record };
+    for (const field of COMPRESSED_FIELDS) {
+        if (isCompressed(record[field])) {
+            reading[field] = await decompressText(record[field]);
+        }
+    }
+    return reading;
+}
@@ -0,0 +1,143 @@
+/**
+ * IndexedDB Access Layer
+ * One database shared by the background worker and every extension page
+ */
+
+export const DB_NAME = 'rami';
+export const DB_VERSION = 6;
+
+export const STORES = {
+    READINGS: 'readings',
+    HIGHLIGHTS: 'highlights',
+    SEARCH_DOCS: 'searchDocs',
+    SEARCH_TERMS: 'searchTerms',
+    ASSETS: 'assets',
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the extension database
+ * The connection is cached per context and reopened after a version change
+ */
+export function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            upgradeDatabase(request.result, event.oldVersion, request.transaction);
+        };
+
+        request.onsuccess = () => {
+            const db = request.result;
+
+            // Another context is upgrading the schema - release our handle
+            db.onversionchange = () => {
+                db.close();
+                dbPromise = null;
+            };
+
+            resolve(db);
+        };
+
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Create object stores and indexes, one block per schema version
+ */
+function upgradeDatabase(db, oldVersion, transaction) {
+    if (oldVersion < 1) {
+        const readings = db.createObjectStore(STORES.READINGS, { keyPath: 'id' });
+        readings.createIndex('url', 'url');
+        readings.createIndex('timestamp', 'timestamp');
+        readings.createIndex('tags', 'tags', { multiEntry: true });
+    }
+
+    if (oldVersion < 2) {
+        // Full-text search: per-document metadata plus an inverted index of terms
+        db.createObjectStore(STORES.SEARCH_DOCS, { keyPath: 'id' });
+        db.createObjectStore(STORES.SEARCH_TERMS, { keyPath: 'term' });
+    }
+
+    if (oldVersion < 3) {
+        const highlights = db.createObjectStore(STORES.HIGHLIGHTS, { keyPath: 'id' });
+        highlights.createIndex('url', 'url');
+        highlights.createIndex('readingId', 'readingId');
+        highlights.createIndex('timestamp', 'timestamp');
+    }
+
+    if (oldVersion < 4) {
+        // Duplicate detection; existing readings get the field from schema migration 3
+        transaction.objectStore(STORES.READINGS).createIndex('canonicalUrl', 'canonicalUrl');
+    }
+
+    if (oldVersion < 5) {
+        // Figure thumbnails, kept out of the reading records so listing the library stays light
+        const assets = db.createObjectStore(STORES.ASSETS, { keyPath: 'id' });
+        assets.createIndex('readingId', 'readingId');
+    }
+
+    if (oldVersion < 6) {
+        // Highlights of a page under any of its URLs; existing highlights get the field from schema migration 6
+        transaction.objectStore(STORES.HIGHLIGHTS).createIndex('canonicalUrl', 'canonicalUrl');
+    }
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a callback inside a transaction and resolve once it commits
+ * @param {string|string[]} storeNames - Store(s) the transaction covers
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {Function} callback - Receives the store (or a map of stores) and may return a value or promise
+ * @returns {Promise<*>} The callback's result, after the transaction completes
+ */
+export async function withTransaction(storeNames, mode, callback) {
+    const db = await openDatabase();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const transaction = db.transaction(names, mode);
+
+    const stores = Array.isArray(storeNames)
+        ? Object.fromEntries(names.map(name => [name, transaction.objectStore(name)]))
+        : transaction.objectStore(storeNames);
+
+    const done = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+
+    let result;
+    try {
+        result = await callback(stores);
+    } catch (error) {
+        // Roll back the writes the callback already issued; its error is the one to report
+        done.catch(() => {});
+        try {
+            transaction.abort();
+        } catch {
+            // Already committed or aborted
+        }
+        throw error;
+    }
+
+    await done;
+    return result;
+}
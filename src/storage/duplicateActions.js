@@ -0,0 +1,11 @@
+/**
+ * Duplicate Actions
+ * What to do when a saved page is already in the library. Shared by the storage
+ * service and its clients; kept apart so UI bundles don't pull in the service.
+ */
+
+export const DUPLICATE_ACTIONS = {
+    ASK: 'ask', // Save nothing and report the existing reading so the caller can ask
+    REFRESH: 'refresh', // Replace the stored content with the new capture
+    KEEP: 'keep', // Keep the old snapshot; only add new tags and collections
+};
@@ -0,0 +1,198 @@
+/**
+ * Highlight Repository
+ * IndexedDB-backed store for highlights and notes. Writes are made by the background
+ * storage service; pages read directly and refresh on broadcast changes.
+ */
+
+import { withTransaction, promisifyRequest, STORES } from './db.js';
+import { indexHighlight, removeHighlightFromIndex } from './searchIndex.js';
+import { normalizeHighlight } from './schema.js';
+import { createId } from './ids.js';
+import { canonicalizeUrl } from './urls.js';
+
+const CHANGE_CHANNEL = 'rami-highlights';
+
+// Listeners in this context (BroadcastChannel does not echo to the sender)
+const localListeners = new Set();
+
+/**
+ * Get all highlights, oldest first
+ * @param {Object} options - { includeTrashed: also return highlights in the Trash }
+ */
+export async function getAllHighlights({ includeTrashed = false } = {}) {
+    const highlights = await withTransaction(STORES.HIGHLIGHTS, 'readonly', (store) => {
+        return promisifyRequest(store.index('timestamp').getAll());
+    });
+    return highlights.filter(highlight => includeTrashed || !highlight.deletedAt);
+}
+
+/**
+ * Get highlights in the Trash, most recently deleted first
+ */
+export async function getTrashedHighlights() {
+    const trashed = (await getAllHighlights({ includeTrashed: true })).filter(highlight => highlight.deletedAt);
+    return trashed.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Get a single highlight by id (including one in the Trash)
+ */
+export async function getHighlight(id) {
+    return withTransaction(STORES.HIGHLIGHTS, 'readonly', (store) => {
+        return promisifyRequest(store.get(id));
+    });
+}
+
+/**
+ * Find highlights made on a page
+ */
+export async function findHighlightsByUrl(url) {
+    const highlights = await withTransaction(STORES.HIGHLIGHTS, 'readonly', (store) => {
+        return promisifyRequest(store.index('url').getAll(url));
+    });
+    return highlights.filter(highlight => !highlight.deletedAt);
+}
+
+/**
+ * Find highlights made on a page under any of its URLs (fragments and tracking parameters ignored)
+ */
+export async function findHighlightsForPage(url) {
+    const highlights = await withTransaction(STORES.HIGHLIGHTS, 'readonly', (store) => {
+        return promisifyRequest(store.index('canonicalUrl').getAll(canonicalizeUrl(url)));
+    });
+    // Oldest first, like getAllHighlights, so overlapping highlights are painted in order
+    return highlights
+        .filter(highlight => !highlight.deletedAt)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Find highlights attached to a reading
+ */
+export async function findHighlightsByReading(readingId) {
+    const highlights = await withTransaction(STORES.HIGHLIGHTS, 'readonly', (store) => {
+        return promisifyRequest(store.index('readingId').getAll(readingId));
+    });
+    return highlights.filter(highlight => !highlight.deletedAt);
+}
+
+/**
+ * Add a new highlight
+ * @param {Object} data - Highlight fields; id and timestamp are filled in when missing
+ * @returns {Promise<Object>} The stored highlight
+ */
+export async function addHighlight(data) {
+    const highlight = normalizeHighlight({
+        id: createId(),
+        timestamp: new Date().toISOString(),
+        ...data,
+    });
+
+    await withTransaction(STORES.HIGHLIGHTS, 'readwrite', (store) => {
+        store.put(highlight);
+    });
+
+    await updateSearchIndex(() => indexHighlight(highlight));
+    notifyChange('add', [highlight.id]);
+    return highlight;
+}
+
+/**
+ * Merge updates into an existing highlight
+ * @param {string} id - Highlight id
+ * @param {Object|Function} updates - Fields to merge, or a function of the current highlight returning them
+ * @returns {Promise<Object|null>} The updated highlight, or null if it does not exist
+ */
+export async function updateHighlight(id, updates) {
+    const updated = await withTransaction(STORES.HIGHLIGHTS, 'readwrite', async (store) => {
+        const existing = await promisifyRequest(store.get(id));
+        if (!existing) return null;
+
+        const changes = typeof updates === 'function' ? updates(existing) : updates;
+        const highlight = normalizeHighlight({ ...existing, ...changes, id });
+        store.put(highlight);
+        return highlight;
+    });
+
+    if (updated) {
+        await updateSearchIndex(() => indexHighlight(updated));
+        notifyChange('update', [id]);
+    }
+    return updated;
+}
+
+/**
+ * Move a highlight to the Trash
+ */
+export async function trashHighlight(id) {
+    return updateHighlight(id, { deletedAt: new Date().toISOString() });
+}
+
+/**
+ * Bring a highlight back from the Trash
+ */
+export async function restoreHighlight(id) {
+    return updateHighlight(id, { deletedAt: null });
+}
+
+/**
+ * Delete a highlight permanently
+ */
+export async function deleteHighlight(id) {
+    const removed = await withTransaction(STORES.HIGHLIGHTS, 'readwrite', async (store) => {
+        const existing = await promisifyRequest(store.get(id));
+        store.delete(id);
+        return existing;
+    });
+
+    if (removed) {
+        await updateSearchIndex(() => removeHighlightFromIndex(removed));
+    }
+    notifyChange('delete', [id]);
+}
+
+/**
+ * Subscribe to highlight changes made in any extension context
+ * @param {Function} callback - Called with { type, ids }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToHighlights(callback) {
+    const channel = new BroadcastChannel(CHANGE_CHANNEL);
+    channel.onmessage = (event) => callback(event.data);
+    localListeners.add(callback);
+
+    return () => {
+        channel.close();
+        localListeners.delete(callback);
+    };
+}
+
+/**
+ * Keep the search index in step with a write; indexing failures never fail the write
+ */
+async function updateSearchIndex(update) {
+    try {
+        await update();
+    } catch (error) {
+        console.error('Failed to update search index:', error);
+    }
+}
+
+/**
+ * Tell this context and every other extension context that highlights changed
+ */
+function notifyChange(type, ids) {
+    const message = { type, ids };
+
+    localListeners.forEach((listener) => {
+        try {
+            listener(message);
+        } catch (error) {
+            console.error('Highlight listener failed:', error);
+        }
+    });
+
+    const channel = new BroadcastChannel(CHANGE_CHANNEL);
+    channel.postMessage(message);
+    channel.close();
+}
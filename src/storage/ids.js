@@ -0,0 +1,14 @@
+/**
+ * Record Id Generation
+ * Random UUIDs, so records created in parallel (two tabs, Popup and Dashboard,
+ * an import) can never collide the way millisecond timestamps did.
+ */
+
+/**
+ * Create a new unique record id
+ * @param {string} prefix - Optional prefix, e.g. 'col' for collections
+ */
+export function createId(prefix = '') {
+    const uuid = crypto.randomUUID();
+    return prefix ? `${prefix}-${uuid}` : uuid;
+}
@@ -0,0 +1,151 @@
+/**
+ * Storage Schema Migrations
+ * The schema version lives next to the data in chrome.storage.local (`schemaVersion`).
+ * On extension update the background worker runs every migration newer than the
+ * stored version, in order, recording progress after each one.
+ */
+
+import { withTransaction, promisifyRequest, STORES } from './db.js';
+import { normalizeReading, normalizeHighlight } from './schema.js';
+import { packReading, unpackReading } from './compression.js';
+
+/**
+ * Ordered list of migrations; append new ones with the next version number
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize readings and highlights to the canonical shape',
+        migrate: async () => {
+            const migrated = await withTransaction(STORES.READINGS, 'readwrite', async (store) => {
+                const readings = await promisifyRequest(store.getAll());
+                readings.forEach(reading => store.put(normalizeReading(reading)));
+                return readings.length;
+            });
+
+            const { highlights = [] } = await chrome.storage.local.get('highlights');
+            await chrome.storage.local.set({ highlights: highlights.map(normalizeHighlight) });
+
+            return `${migrated} readings, ${highlights.length} highlights`;
+        },
+    },
+    {
+        version: 2,
+        description: 'Move highlights from chrome.storage.local into IndexedDB',
+        migrate: async () => {
+            const { highlights = [] } = await chrome.storage.local.get('highlights');
+
+            await withTransaction(STORES.HIGHLIGHTS, 'readwrite', (store) => {
+                highlights.forEach(highlight => store.put(normalizeHighlight(highlight)));
+            });
+            await chrome.storage.local.remove('highlights');
+
+            return `${highlights.length} highlights`;
+        },
+    },
+    {
+        version: 3,
+        description: 'Give every reading a canonical URL for duplicate detection',
+        migrate: async () => {
+            return withTransaction(STORES.READINGS, 'readwrite', async (store) => {
+                const readings = await promisifyRequest(store.getAll());
+                readings.forEach(reading => store.put(normalizeReading(reading)));
+                return `${readings.length} readings`;
+            });
+        },
+    },
+    {
+        version: 4,
+        description: 'Compress large reading fields',
+        migrate: async () => {
+            const readings = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+                return promisifyRequest(store.getAll());
+            });
+
+            // Compression is async, so pack everything before opening the write transaction
+            const records = await Promise.all(readings.map(async (reading) => packReading(normalizeReading(await unpackReading(reading)))));
+            await withTransaction(STORES.READINGS, 'readwrite', (store) => {
+                records.forEach(record => store.put(record));
+            });
+
+            return `${records.length} readings`;
+        },
+    },
+    {
+        version: 5,
+        description: 'Measure word count and reading time of saved readings',
+        migrate: async () => {
+            const readings = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+                return promisifyRequest(store.getAll());
+            });
+
+            // Content has to be unpacked to be measured; normalizeReading fills in the counts
+            const records = await Promise.all(readings.map(async (reading) => packReading(normalizeReading(await unpackReading(reading)))));
+            await withTransaction(STORES.READINGS, 'readwrite', (store) => {
+                records.forEach(record => store.put(record));
+            });
+
+            return `${records.length} readings`;
+        },
+    },
+    {
+        version: 6,
+        description: 'Give every highlight a canonical URL for finding the highlights of a page',
+        migrate: async () => {
+            return withTransaction(STORES.HIGHLIGHTS, 'readwrite', async (store) => {
+                const highlights = await promisifyRequest(store.getAll());
+                highlights.forEach(highlight => store.put(normalizeHighlight(highlight)));
+                return `${highlights.length} highlights`;
+            });
+        },
+    },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+let runningMigrations = null;
+
+/**
+ * Read the stored schema version (0 for data written before versioning existed)
+ */
+export async function getSchemaVersion() {
+    const { schemaVersion = 0 } = await chrome.storage.local.get('schemaVersion');
+    return schemaVersion;
+}
+
+/**
+ * Mark freshly installed storage as already current
+ */
+export async function initializeSchemaVersion() {
+    await chrome.storage.local.set({ schemaVersion: SCHEMA_VERSION });
+}
+
+/**
+ * Run all pending migrations in order
+ * Concurrent calls share one run; a failed migration stops the run and is retried next time
+ * @returns {Promise<number>} The schema version after running
+ */
+export function runMigrations() {
+    if (!runningMigrations) {
+        runningMigrations = runPendingMigrations().finally(() => {
+            runningMigrations = null;
+        });
+    }
+    return runningMigrations;
+}
+
+async function runPendingMigrations() {
+    let version = await getSchemaVersion();
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= version) continue;
+
+        console.log(`🔧 Running storage migration ${migration.version}: ${migration.description}`);
+        const result = await migration.migrate();
+        await chrome.storage.local.set({ schemaVersion: migration.version });
+        version = migration.version;
+        console.log(`✅ Migration ${migration.version} complete${result ? ` (${result})` : ''}`);
+    }
+
+    return version;
+}
@@ -0,0 +1,24 @@
+/**
+ * Preferences
+ * User preferences live in chrome.storage.local (`preferences`), with the time each
+ * key last changed in `preferenceTimes` so sync can resolve conflicts per key.
+ * Every local change goes through updatePreferences.
+ */
+
+/**
+ * Merge changed preference keys into the stored preferences
+ * Each key's change time is kept in `preferenceTimes` for sync conflict resolution
+ */
+export async function updatePreferences(updates) {
+    const { preferences = {}, preferenceTimes = {} } = await chrome.storage.local.get(['preferences', 'preferenceTimes']);
+    const merged = { ...preferences, ...updates };
+    const now = Date.now();
+
+    const times = { ...preferenceTimes };
+    Object.keys(updates).forEach(key => {
+        times[key] = now;
+    });
+
+    await chrome.storage.local.set({ preferences: merged, preferenceTimes: times });
+    return merged;
+}
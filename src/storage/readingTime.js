@@ -0,0 +1,28 @@
+/**
+ * Word Count and Reading Time
+ * CJK scripts have no spaces between words, so their characters are counted
+ * (and read) separately from space-separated words.
+ */
+
+const WORDS_PER_MINUTE = 230;
+const CJK_CHARACTERS_PER_MINUTE = 500;
+
+const CJK_CHARACTER = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’_-]*/gu;
+
+/**
+ * Count words and estimate reading time for plain text
+ * @returns {Object} { wordCount, readingTime } with readingTime in whole minutes (0 for no text)
+ */
+export function measureText(text) {
+    if (!text) return { wordCount: 0, readingTime: 0 };
+
+    const cjkCharacters = (text.match(CJK_CHARACTER) || []).length;
+    const words = (text.replace(CJK_CHARACTER, ' ').match(WORD) || []).length;
+
+    const minutes = words / WORDS_PER_MINUTE + cjkCharacters / CJK_CHARACTERS_PER_MINUTE;
+    return {
+        wordCount: words + cjkCharacters,
+        readingTime: words + cjkCharacters > 0 ? Math.max(1, Math.round(minutes)) : 0,
+    };
+}
@@ -0,0 +1,253 @@
+/**
+ * Reading Repository
+ * IndexedDB-backed store for the reading library, shared by the background
+ * worker, Popup and Dashboard. Every write is broadcast so open pages refresh.
+ * Large text fields are compressed on write and expanded on read (compression.js).
+ */
+
+import { withTransaction, promisifyRequest, STORES } from './db.js';
+import { indexReading, removeReadingFromIndex } from './searchIndex.js';
+import { normalizeReading } from './schema.js';
+import { packReading, unpackReading } from './compression.js';
+import { stampFieldTimes, recordTombstone } from './syncMetadata.js';
+import { createId } from './ids.js';
+import { deleteReadingAssets } from './assetsRepository.js';
+
+const CHANGE_CHANNEL = 'rami-readings';
+
+// Listeners in this context (BroadcastChannel does not echo to the sender)
+const localListeners = new Set();
+
+/**
+ * Get all readings, newest first
+ * @param {Object} options - { includeTrashed: also return readings in the Trash }
+ */
+export async function getAllReadings({ includeTrashed = false } = {}) {
+    const records = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return new Promise((resolve, reject) => {
+            const readings = [];
+            const request = store.index('timestamp').openCursor(null, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    readings.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(readings);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    });
+    return Promise.all(records.filter(record => includeTrashed || !record.deletedAt).map(unpackReading));
+}
+
+/**
+ * Get readings in the Trash, most recently deleted first
+ */
+export async function getTrashedReadings() {
+    const trashed = (await getAllReadings({ includeTrashed: true })).filter(reading => reading.deletedAt);
+    return trashed.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Get a single reading by id (including one in the Trash)
+ */
+export async function getReading(id) {
+    const record = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return promisifyRequest(store.get(id));
+    });
+    return unpackReading(record);
+}
+
+/**
+ * Find readings saved from a URL
+ */
+export async function findReadingsByUrl(url) {
+    const records = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return promisifyRequest(store.index('url').getAll(url));
+    });
+    return Promise.all(records.filter(record => !record.deletedAt).map(unpackReading));
+}
+
+/**
+ * Find the reading saved for a canonical URL, if any (the newest when older duplicates exist)
+ * Saved selections are clips of the page and don't count.
+ * @param {string} canonicalUrl - Output of canonicalizeUrl()
+ */
+export async function findReadingByCanonicalUrl(canonicalUrl) {
+    const matches = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return promisifyRequest(store.index('canonicalUrl').getAll(canonicalUrl));
+    });
+    const newest = matches.filter(record => !record.deletedAt && record.captureScope !== 'selection').sort((a, b) => b.timestamp.localeCompare(a.timestamp))[0];
+    return newest ? unpackReading(newest) : null;
+}
+
+/**
+ * Find readings carrying a tag
+ */
+export async function findReadingsByTag(tag) {
+    const records = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return promisifyRequest(store.index('tags').getAll(tag));
+    });
+    return Promise.all(records.filter(record => !record.deletedAt).map(unpackReading));
+}
+
+/**
+ * Add a new reading
+ * @param {Object} data - Reading fields; id and timestamp are filled in when missing
+ * @returns {Promise<Object>} The stored reading
+ */
+export async function addReading(data) {
+    const fields = normalizeReading({
+        id: createId(),
+        timestamp: new Date().toISOString(),
+        ...data,
+    });
+    const reading = { ...fields, fieldTimes: stampFieldTimes(null, fields, data.fieldTimes) };
+    const record = await packReading(reading);
+
+    await withTransaction(STORES.READINGS, 'readwrite', (store) => {
+        store.put(record);
+    });
+
+    await updateSearchIndex(() => indexReading(reading));
+    notifyChange('add', [reading.id]);
+    return reading;
+}
+
+/**
+ * Merge updates into an existing reading
+ * Compression can't run inside an IndexedDB transaction, so the read and the write
+ * are separate; the background storage service queue keeps them from interleaving.
+ * @param {string} id - Reading id
+ * @param {Object|Function} updates - Fields to merge, or a function of the current reading returning them
+ * @returns {Promise<Object|null>} The updated reading, or null if it does not exist
+ */
+export async function updateReading(id, updates) {
+    const existing = await getReading(id);
+    if (!existing) return null;
+
+    const changes = typeof updates === 'function' ? updates(existing) : updates;
+    const merged = normalizeReading({ ...existing, ...changes, id });
+    const updated = { ...merged, fieldTimes: stampFieldTimes(existing, merged, changes.fieldTimes) };
+    const record = await packReading(updated);
+
+    await withTransaction(STORES.READINGS, 'readwrite', (store) => {
+        store.put(record);
+    });
+
+    await updateSearchIndex(() => indexReading(updated));
+    notifyChange('update', [id]);
+    return updated;
+}
+
+/**
+ * Move a reading to the Trash
+ */
+export async function trashReading(id) {
+    return updateReading(id, { deletedAt: new Date().toISOString() });
+}
+
+/**
+ * Bring a reading back from the Trash
+ */
+export async function restoreReading(id) {
+    return updateReading(id, { deletedAt: null });
+}
+
+/**
+ * Delete a reading permanently, with its figure thumbnails
+ * A tombstone keeps sync from bringing it back from another machine.
+ */
+export async function deleteReading(id) {
+    await withTransaction(STORES.READINGS, 'readwrite', (store) => {
+        store.delete(id);
+    });
+    await deleteReadingAssets(id);
+    await recordTombstone(id);
+
+    await updateSearchIndex(() => removeReadingFromIndex(id));
+    notifyChange('delete', [id]);
+}
+
+/**
+ * Move readings from the legacy chrome.storage.local `readings` array into IndexedDB
+ * Safe to call repeatedly - records already present are left untouched
+ * @returns {Promise<number>} Number of readings imported
+ */
+export async function importLegacyReadings() {
+    const { readings: legacyReadings } = await chrome.storage.local.get('readings');
+    if (!Array.isArray(legacyReadings)) return 0;
+
+    const records = await Promise.all(
+        legacyReadings.filter(reading => reading?.id).map(reading => packReading(normalizeReading(reading)))
+    );
+
+    const imported = await withTransaction(STORES.READINGS, 'readwrite', async (store) => {
+        let count = 0;
+        for (const record of records) {
+            const existing = await promisifyRequest(store.get(record.id));
+            if (!existing) {
+                store.put(record);
+                count++;
+            }
+        }
+        return count;
+    });
+
+    await chrome.storage.local.remove('readings');
+
+    if (imported > 0) {
+        console.log(`📦 Imported ${imported} readings into IndexedDB`);
+        notifyChange('import', legacyReadings.map(r => r.id));
+    }
+    return imported;
+}
+
+/**
+ * Subscribe to reading changes made in any extension context
+ * @param {Function} callback - Called with { type, ids }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToReadings(callback) {
+    const channel = new BroadcastChannel(CHANGE_CHANNEL);
+    channel.onmessage = (event) => callback(event.data);
+    localListeners.add(callback);
+
+    return () => {
+        channel.close();
+        localListeners.delete(callback);
+    };
+}
+
+/**
+ * Keep the search index in step with a write; indexing failures never fail the write
+ */
+async function updateSearchIndex(update) {
+    try {
+        await update();
+    } catch (error) {
+        console.error('Failed to update search index:', error);
+    }
+}
+
+/**
+ * Tell this context and every other extension context that readings changed
+ */
+function notifyChange(type, ids) {
+    const message = { type, ids };
+
+    localListeners.forEach((listener) => {
+        try {
+            listener(message);
+        } catch (error) {
+            console.error('Reading listener failed:', error);
+        }
+    });
+
+    const channel = new BroadcastChannel(CHANGE_CHANNEL);
+    channel.postMessage(message);
+    channel.close();
+}
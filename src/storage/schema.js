@@ -0,0 +1,101 @@
+/**
+ * Canonical Record Shapes
+ * Every reading and highlight is written in one shape, so readers of the data
+ * never need to check for older field names (`text`, `aiSummary`, ...).
+ *
+ * Reading:
+ *   id, title, url, canonicalUrl, excerpt, byline, content, summary, concepts[], tags[], collections[],
+ *   quizHistory[], persona, generationMethod, usedAI, archived, compactedAt, deletedAt,
+ *   fieldTimes, timestamp
+ *   Page metadata: authors[], publishedAt, modifiedAt, siteName, language,
+ *   wordCount, readingTime (minutes)
+ *   Source: contentType ('html' | 'pdf'), pageCount, pageUrls[] (articles stitched from several pages),
+ *   captureScope ('page' | 'selection')
+ *   figures[] ({ src, alt, caption }; thumbnails live in the assets store, see assetsRepository.js)
+ *
+ * Highlight:
+ *   id, readingId, url, canonicalUrl, text, note, category, color, selectors[], deletedAt, timestamp
+ *   `selectors` locate the text on the page (TextQuote, TextPosition and Range selectors, see utils/anchoring.js)
+ *   `category` is the id of a highlight category (see utils/highlightCategories.js), null for older highlights
+ *
+ * `deletedAt` is set while a record is in the Trash. `fieldTimes` holds when each
+ * synced field last changed (see syncMetadata.js). `wordCount` and `readingTime`
+ * are measured from the content when not supplied, and survive compaction.
+ */
+
+import { canonicalizeUrl } from './urls.js';
+import { measureText } from './readingTime.js';
+import { markdownToPlainText } from '../utils/markdown.js';
+
+/**
+ * Normalize a reading to the canonical shape
+ * Unknown extra fields are kept so newer features can add their own
+ */
+export function normalizeReading(reading) {
+    const { text, aiSummary, ...rest } = reading;
+
+    const generationMethod = rest.generationMethod ?? (rest.usedAI === false ? 'fallback' : null);
+    const usedAI = typeof rest.usedAI === 'boolean'
+        ? rest.usedAI
+        : generationMethod ? generationMethod !== 'fallback' : null;
+
+    // Packed (compressed) content is measured once it has been unpacked
+    const content = rest.content || text || '';
+    const measured = rest.wordCount || typeof content !== 'string' ? null : measureText(markdownToPlainText(content));
+
+    return {
+        ...rest,
+        id: String(rest.id),
+        title: rest.title || '',
+        url: rest.url || '',
+        canonicalUrl: canonicalizeUrl(rest.canonicalUrl || rest.url),
+        excerpt: rest.excerpt || '',
+        byline: rest.byline || '',
+        content,
+        summary: rest.summary || aiSummary || '',
+        concepts: Array.isArray(rest.concepts) ? rest.concepts : [],
+        tags: Array.isArray(rest.tags) ? rest.tags : [],
+        collections: Array.isArray(rest.collections) ? rest.collections : [],
+        quizHistory: Array.isArray(rest.quizHistory) ? rest.quizHistory : [],
+        persona: rest.persona || null,
+        generationMethod,
+        usedAI,
+        archived: Boolean(rest.archived),
+        compactedAt: rest.compactedAt || null, // Set once compaction dropped the full text
+        deletedAt: rest.deletedAt || null,
+        fieldTimes: rest.fieldTimes || {},
+        authors: Array.isArray(rest.authors) ? rest.authors : [],
+        publishedAt: rest.publishedAt || null,
+        modifiedAt: rest.modifiedAt || null,
+        siteName: rest.siteName || '',
+        language: rest.language || null,
+        contentType: rest.contentType || 'html',
+        pageCount: rest.pageCount || null,
+        pageUrls: Array.isArray(rest.pageUrls) ? rest.pageUrls : [],
+        captureScope: rest.captureScope || 'page',
+        figures: Array.isArray(rest.figures) ? rest.figures : [],
+        wordCount: rest.wordCount || measured?.wordCount || 0,
+        readingTime: rest.readingTime || measured?.readingTime || 0,
+        timestamp: rest.timestamp || new Date().toISOString(),
+    };
+}
+
+/**
+ * Normalize a highlight to the canonical shape
+ */
+export function normalizeHighlight(highlight) {
+    return {
+        ...highlight,
+        id: String(highlight.id),
+        readingId: highlight.readingId ? String(highlight.readingId) : null,
+        url: highlight.url || '',
+        canonicalUrl: canonicalizeUrl(highlight.url),
+        text: highlight.text || '',
+        note: highlight.note || '',
+        category: highlight.category || null,
+        color: highlight.color || 'yellow',
+        selectors: Array.isArray(highlight.selectors) ? highlight.selectors : [],
+        deletedAt: highlight.deletedAt || null,
+        timestamp: highlight.timestamp || new Date().toISOString(),
+    };
+}
@@ -0,0 +1,549 @@
+/**
+ * Library Search Index
+ * Local inverted index over readings (title, content, summary, concept labels, tags)
+ * and highlights (text and notes). Documents are updated incrementally whenever a
+ * reading or highlight changes, so queries never scan the whole library: only the
+ * documents listed under the query's terms are read. (A query of tag: and site:
+ * filters alone has no terms to start from and goes through the document list.)
+ *
+ * Query syntax:
+ *   word word        - all words must match (last word also matches as a prefix)
+ *   "exact phrase"   - phrase must appear verbatim in one field
+ *   tag:name         - reading carries the tag (quote multi-word tags: tag:"deep work")
+ *   site:example.com - reading was saved from that domain or a subdomain
+ *   title:word       - word must match in a specific field
+ *                      (title, content, summary, concepts, tags, highlights, notes)
+ */
+
+import { withTransaction, promisifyRequest, STORES } from './db.js';
+import { unpackReading } from './compression.js';
+import { canonicalizeUrl } from './urls.js';
+import { markdownToPlainText } from '../utils/markdown.js';
+
+// Relevance multiplier per field
+const FIELD_WEIGHTS = {
+    title: 4,
+    concepts: 2.5,
+    tags: 2,
+    highlights: 2,
+    notes: 2,
+    summary: 1.5,
+    content: 1,
+};
+
+const FILTER_KEYS = ['tag', 'site'];
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this',
+    'to', 'was', 'were', 'will', 'with',
+]);
+
+const SNIPPET_RADIUS = 80;
+const HIGHLIGHT_DOC_PREFIX = 'highlight:';
+
+/**
+ * Split text into normalized index terms
+ */
+export function tokenize(text) {
+    if (!text) return [];
+
+    return normalizeText(text)
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Lowercase and strip diacritics so "Café" and "cafe" match
+ */
+function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Parse a query string into terms, phrases, field terms and filters
+ */
+export function parseQuery(query) {
+    const parsed = { terms: [], phrases: [], fieldTerms: [], filters: { tag: [], site: [] }, prefix: null };
+    const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+        const key = (match[1] || match[3] || '').toLowerCase();
+        const value = match[2] ?? match[4];
+
+        if (key && FILTER_KEYS.includes(key)) {
+            parsed.filters[key].push(value.toLowerCase());
+        } else if (key && FIELD_WEIGHTS[key]) {
+            tokenize(value).forEach(term => parsed.fieldTerms.push({ field: key, term }));
+        } else if (match[5] !== undefined) {
+            const phrase = normalizeText(match[5]).replace(/\s+/g, ' ').trim();
+            if (phrase) {
+                parsed.phrases.push(phrase);
+                parsed.terms.push(...tokenize(phrase));
+            }
+        } else {
+            parsed.terms.push(...tokenize(match[0]));
+        }
+    }
+
+    // While typing, the final bare word is matched as a prefix
+    const endsWithWord = /[\p{L}\p{N}]$/u.test(query || '') && !/"[^"]*$|:\S*$/.test(query);
+    if (endsWithWord && parsed.terms.length > 0) {
+        parsed.prefix = parsed.terms.pop();
+    }
+
+    parsed.terms = [...new Set(parsed.terms)];
+    return parsed;
+}
+
+/**
+ * Search the library
+ * @param {string} query - Query string (see module docs for syntax)
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Ranked results with snippet context
+ */
+export async function search(query, options = {}) {
+    const { limit = 50 } = options;
+    const parsed = parseQuery(query);
+
+    const hasTerms = parsed.terms.length > 0 || parsed.fieldTerms.length > 0 || parsed.prefix;
+    const hasFilters = parsed.filters.tag.length > 0 || parsed.filters.site.length > 0;
+    if (!hasTerms && !hasFilters) return [];
+
+    const { docs, scores } = await withTransaction(
+        [STORES.SEARCH_DOCS, STORES.SEARCH_TERMS],
+        'readonly',
+        (stores) => scoreDocuments(stores, parsed, hasTerms)
+    );
+
+    let candidates = [...scores.entries()]
+        .map(([id, score]) => ({ doc: docs.get(id), score }))
+        .filter(({ doc }) => doc && matchesFilters(doc, parsed.filters));
+
+    if (candidates.length === 0) return [];
+
+    // Phrases need the source text, so verify them before ranking
+    const needsSources = parsed.phrases.length > 0;
+    if (!needsSources) {
+        candidates.sort((a, b) => b.score - a.score);
+        candidates = candidates.slice(0, limit);
+    }
+
+    const sources = await loadSources(candidates.map(({ doc }) => doc));
+    const matchTerms = [...parsed.phrases, ...parsed.terms, ...parsed.fieldTerms.map(ft => ft.term)];
+    if (parsed.prefix) matchTerms.push(parsed.prefix);
+
+    const results = [];
+    for (const { doc, score } of candidates) {
+        const fields = sources.get(doc.id);
+        if (!fields) continue;
+
+        if (needsSources) {
+            const normalizedFields = Object.values(fields).map(text => normalizeText(text).replace(/\s+/g, ' '));
+            const hasAllPhrases = parsed.phrases.every(phrase =>
+                normalizedFields.some(text => text.includes(phrase))
+            );
+            if (!hasAllPhrases) continue;
+        }
+
+        results.push({
+            id: doc.id,
+            type: doc.type,
+            readingId: doc.readingId || null,
+            highlightId: doc.highlightId || null,
+            title: doc.title,
+            url: doc.url,
+            site: doc.site,
+            tags: doc.tags,
+            score,
+            snippet: buildSnippet(fields, matchTerms),
+            matches: matchTerms,
+        });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+}
+
+/**
+ * Score documents against the parsed query using the inverted index
+ */
+async function scoreDocuments(stores, parsed, hasTerms) {
+    const docsStore = stores[STORES.SEARCH_DOCS];
+    const scores = new Map();
+
+    if (!hasTerms) {
+        const allDocs = await promisifyRequest(docsStore.getAll());
+        allDocs.forEach(doc => scores.set(doc.id, 0));
+        return { docs: new Map(allDocs.map(doc => [doc.id, doc])), scores };
+    }
+
+    const totalDocs = Math.max(await promisifyRequest(docsStore.count()), 1);
+    const termsStore = stores[STORES.SEARCH_TERMS];
+
+    // Each requirement yields the postings that satisfy it; documents must satisfy all of them
+    const requirements = [
+        ...parsed.terms.map(term => ({ term, field: null })),
+        ...parsed.fieldTerms,
+    ];
+
+    const postingLists = await Promise.all(requirements.map(async ({ term, field }) => {
+        const entry = await promisifyRequest(termsStore.get(term));
+        const postings = entry?.postings || {};
+        if (!field) return postings;
+
+        return Object.fromEntries(
+            Object.entries(postings).filter(([, fieldCounts]) => fieldCounts[field])
+        );
+    }));
+
+    if (parsed.prefix) {
+        const range = IDBKeyRange.bound(parsed.prefix, parsed.prefix + '\uffff');
+        const entries = await promisifyRequest(termsStore.getAll(range));
+        const merged = {};
+        entries.forEach(entry => {
+            Object.entries(entry.postings).forEach(([docId, fieldCounts]) => {
+                merged[docId] = merged[docId] || {};
+                Object.entries(fieldCounts).forEach(([fieldName, count]) => {
+                    merged[docId][fieldName] = (merged[docId][fieldName] || 0) + count;
+                });
+            });
+        });
+        postingLists.push(merged);
+    }
+
+    const [first, ...rest] = postingLists;
+    const candidateIds = Object.keys(first).filter(id => rest.every(postings => postings[id]));
+
+    candidateIds.forEach(id => {
+        let score = 0;
+        postingLists.forEach(postings => {
+            const docFrequency = Object.keys(postings).length;
+            const idf = Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+
+            Object.entries(postings[id]).forEach(([field, count]) => {
+                // Saturate term frequency so long documents don't dominate
+                score += idf * (FIELD_WEIGHTS[field] || 1) * (count / (count + 1.2));
+            });
+        });
+        scores.set(id, score);
+    });
+
+    const candidateDocs = await Promise.all(candidateIds.map(id => promisifyRequest(docsStore.get(id))));
+    const docs = new Map(candidateDocs.filter(Boolean).map(doc => [doc.id, doc]));
+    return { docs, scores };
+}
+
+/**
+ * Apply tag: and site: filters to a document
+ */
+function matchesFilters(doc, filters) {
+    const tags = (doc.tags || []).map(tag => tag.toLowerCase());
+    const tagsMatch = filters.tag.every(tag => tags.includes(tag));
+    const siteMatch = filters.site.every(site => doc.site === site || doc.site?.endsWith('.' + site));
+    return tagsMatch && siteMatch;
+}
+
+/**
+ * Build a snippet around the first match in the most relevant field
+ */
+function buildSnippet(fields, matchTerms) {
+    const orderedFields = Object.keys(FIELD_WEIGHTS)
+        .filter(field => field !== 'title' && fields[field])
+        .sort((a, b) => FIELD_WEIGHTS[b] - FIELD_WEIGHTS[a]);
+
+    for (const field of orderedFields) {
+        const text = fields[field];
+        const normalized = normalizeText(text);
+
+        for (const term of matchTerms) {
+            const index = normalized.indexOf(term);
+            if (index === -1) continue;
+
+            let start = Math.max(0, index - SNIPPET_RADIUS);
+            let end = Math.min(text.length, index + term.length + SNIPPET_RADIUS);
+
+            // Snap to word boundaries
+            if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+            if (end < text.length) end = text.lastIndexOf(' ', end) > index ? text.lastIndexOf(' ', end) : end;
+
+            const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+            return {
+                field,
+                text: `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`,
+            };
+        }
+    }
+
+    const fallback = fields.summary || fields.content || fields.highlights || '';
+    return {
+        field: fields.summary ? 'summary' : 'content',
+        text: fallback.slice(0, SNIPPET_RADIUS * 2).replace(/\s+/g, ' ').trim(),
+    };
+}
+
+/**
+ * Index (or re-index) a reading together with its highlights
+ * Accepts the reading as stored; compressed fields are expanded first
+ */
+export async function indexReading(storedReading) {
+    if (!storedReading?.id) return;
+
+    const reading = await unpackReading(storedReading);
+    if (reading.deletedAt) {
+        // Readings in the Trash are not searchable
+        await removeReadingFromIndex(reading.id);
+        return;
+    }
+    const highlights = await withTransaction(STORES.HIGHLIGHTS, 'readonly', (store) => findReadingHighlights(store, reading));
+    const fields = getReadingFields(reading, highlights);
+
+    await writeDocument({
+        id: reading.id,
+        type: 'reading',
+        readingId: reading.id,
+        title: reading.title || '',
+        url: reading.url || '',
+        site: getSite(reading.url),
+        tags: reading.tags || [],
+    }, fields);
+
+    // Highlights folded into the reading no longer need their own documents
+    await Promise.all(highlights.map(h => writeDocument({ id: HIGHLIGHT_DOC_PREFIX + h.id }, null)));
+}
+
+/**
+ * Remove a reading from the index
+ */
+export async function removeReadingFromIndex(readingId) {
+    await writeDocument({ id: readingId }, null);
+}
+
+/**
+ * Index a highlight, either as part of its reading or on its own
+ */
+export async function indexHighlight(highlight) {
+    if (!highlight?.id) return;
+    if (highlight.deletedAt) {
+        await removeHighlightFromIndex(highlight);
+        return;
+    }
+
+    const reading = await findReadingForHighlight(highlight);
+    if (reading) {
+        await indexReading(reading);
+        return;
+    }
+
+    await writeDocument({
+        id: HIGHLIGHT_DOC_PREFIX + highlight.id,
+        type: 'highlight',
+        highlightId: highlight.id,
+        readingId: highlight.readingId || null,
+        title: highlight.text?.slice(0, 80) || '',
+        url: highlight.url || '',
+        site: getSite(highlight.url),
+        tags: [],
+    }, getHighlightFields(highlight));
+}
+
+/**
+ * Remove a highlight from the index (call after it has been removed from storage)
+ */
+export async function removeHighlightFromIndex(highlight) {
+    if (!highlight?.id) return;
+
+    await writeDocument({ id: HIGHLIGHT_DOC_PREFIX + highlight.id }, null);
+
+    const reading = await findReadingForHighlight(highlight);
+    if (reading) {
+        await indexReading(reading);
+    }
+}
+
+/**
+ * Drop the whole index and rebuild it from stored readings and highlights
+ */
+export async function rebuildSearchIndex() {
+    await withTransaction([STORES.SEARCH_DOCS, STORES.SEARCH_TERMS], 'readwrite', (stores) => {
+        stores[STORES.SEARCH_DOCS].clear();
+        stores[STORES.SEARCH_TERMS].clear();
+    });
+
+    const readings = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return promisifyRequest(store.getAll());
+    });
+    const highlights = await withTransaction(STORES.HIGHLIGHTS, 'readonly', async (store) => {
+        return (await promisifyRequest(store.getAll())).filter(highlight => !highlight.deletedAt);
+    });
+
+    for (const reading of readings) {
+        await indexReading(reading);
+    }
+
+    const libraryReadings = readings.filter(reading => !reading.deletedAt);
+    const readingIds = new Set(libraryReadings.map(reading => reading.id));
+    const readingUrls = new Set(libraryReadings.map(reading => reading.canonicalUrl).filter(Boolean));
+    const orphanHighlights = highlights.filter(h => !readingIds.has(h.readingId) && !readingUrls.has(h.canonicalUrl));
+    for (const highlight of orphanHighlights) {
+        await indexHighlight(highlight);
+    }
+
+    console.log(`🔎 Search index rebuilt: ${readings.length} readings, ${orphanHighlights.length} standalone highlights`);
+}
+
+/**
+ * Write a document and update its postings; pass null fields to delete it
+ */
+async function writeDocument(meta, fields) {
+    const termFrequencies = fields ? getTermFrequencies(fields) : {};
+    const newTerms = Object.keys(termFrequencies);
+
+    await withTransaction([STORES.SEARCH_DOCS, STORES.SEARCH_TERMS], 'readwrite', async (stores) => {
+        const docsStore = stores[STORES.SEARCH_DOCS];
+        const termsStore = stores[STORES.SEARCH_TERMS];
+
+        const existing = await promisifyRequest(docsStore.get(meta.id));
+        if (!existing && !fields) return;
+
+        const affectedTerms = [...new Set([...(existing?.terms || []), ...newTerms])];
+        const entries = await Promise.all(affectedTerms.map(term => promisifyRequest(termsStore.get(term))));
+
+        affectedTerms.forEach((term, i) => {
+            const postings = entries[i]?.postings || {};
+            delete postings[meta.id];
+
+            if (termFrequencies[term]) {
+                postings[meta.id] = termFrequencies[term];
+            }
+
+            if (Object.keys(postings).length > 0) {
+                termsStore.put({ term, postings });
+            } else {
+                termsStore.delete(term);
+            }
+        });
+
+        if (fields) {
+            docsStore.put({ ...meta, terms: newTerms });
+        } else {
+            docsStore.delete(meta.id);
+        }
+    });
+}
+
+/**
+ * Count term occurrences per field: { term: { field: count } }
+ */
+function getTermFrequencies(fields) {
+    const frequencies = {};
+
+    Object.entries(fields).forEach(([field, text]) => {
+        tokenize(text).forEach(term => {
+            frequencies[term] = frequencies[term] || {};
+            frequencies[term][field] = (frequencies[term][field] || 0) + 1;
+        });
+    });
+
+    return frequencies;
+}
+
+function getReadingFields(reading, highlights) {
+    return {
+        title: reading.title || '',
+        content: markdownToPlainText(reading.content), // Index the words, not link targets or syntax
+        summary: reading.summary || '',
+        concepts: (reading.concepts || []).map(c => c.label).filter(Boolean).join('\n'),
+        tags: (reading.tags || []).join('\n'),
+        highlights: highlights.map(h => h.text).filter(Boolean).join('\n'),
+        notes: highlights.map(h => h.note).filter(Boolean).join('\n'),
+    };
+}
+
+function getHighlightFields(highlight) {
+    return {
+        highlights: highlight.text || '',
+        notes: highlight.note || '',
+    };
+}
+
+/**
+ * Load the source text for result documents (needed for phrases and snippets)
+ */
+async function loadSources(docs) {
+    const sources = new Map();
+    const readingIds = docs.filter(doc => doc.type === 'reading').map(doc => doc.id);
+
+    const highlightDocs = docs.filter(doc => doc.type === 'highlight');
+
+    const readings = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return Promise.all(readingIds.map(id => promisifyRequest(store.get(id))));
+    });
+    const unpacked = await Promise.all(readings.filter(Boolean).map(unpackReading));
+
+    await withTransaction(STORES.HIGHLIGHTS, 'readonly', async (store) => {
+        const [related, highlights] = await Promise.all([
+            Promise.all(unpacked.map(reading => findReadingHighlights(store, reading))),
+            Promise.all(highlightDocs.map(doc => promisifyRequest(store.get(doc.highlightId)))),
+        ]);
+
+        unpacked.forEach((reading, i) => {
+            sources.set(reading.id, getReadingFields(reading, related[i]));
+        });
+        highlightDocs.forEach((doc, i) => {
+            if (highlights[i]) {
+                sources.set(doc.id, getHighlightFields(highlights[i]));
+            }
+        });
+    });
+
+    return sources;
+}
+
+/**
+ * Highlights of a reading, through the highlight store's readingId and canonicalUrl indexes
+ * (highlights made on another URL of the same page count too)
+ * @param {IDBObjectStore} store - The highlights store, in an open transaction
+ * @returns {Promise<Array>} Highlights not in the Trash, oldest first
+ */
+async function findReadingHighlights(store, reading) {
+    const [byReading, byUrl] = await Promise.all([
+        promisifyRequest(store.index('readingId').getAll(reading.id)),
+        reading.canonicalUrl ? promisifyRequest(store.index('canonicalUrl').getAll(reading.canonicalUrl)) : [],
+    ]);
+
+    const highlights = new Map([...byReading, ...byUrl].map(highlight => [highlight.id, highlight]));
+    return [...highlights.values()]
+        .filter(highlight => !highlight.deletedAt)
+        .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * The reading a highlight is folded into: its own, else one saved from the same page
+ * Readings in the Trash are not searchable, so they don't take highlights either.
+ */
+async function findReadingForHighlight(highlight) {
+    return withTransaction(STORES.READINGS, 'readonly', async (store) => {
+        if (highlight.readingId) {
+            const reading = await promisifyRequest(store.get(highlight.readingId));
+            if (reading && !reading.deletedAt) return reading;
+        }
+        if (highlight.url) {
+            const matches = await promisifyRequest(store.index('canonicalUrl').getAll(canonicalizeUrl(highlight.url)));
+            return matches.find(reading => !reading.deletedAt) || null;
+        }
+        return null;
+    });
+}
+
+function getSite(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch {
+        return '';
+    }
+}
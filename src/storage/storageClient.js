@@ -0,0 +1,144 @@
+/**
+ * Storage Client
+ * Message wrappers used by UI surfaces to write through the background storage
+ * service. Reads go straight to the repositories; writes always come here.
+ */
+
+import { DUPLICATE_ACTIONS } from './duplicateActions.js';
+
+export { DUPLICATE_ACTIONS };
+
+/**
+ * Send a `storage:*` message and unwrap the response
+ * @throws {Error} If the service reports a failure
+ */
+async function callStorageService(action, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ action, ...payload });
+
+    if (!response?.success) {
+        throw new Error(response?.error || `Storage action ${action} failed`);
+    }
+    return response.data;
+}
+
+export function addReading(data) {
+    return callStorageService('storage:add-reading', { data });
+}
+
+/**
+ * Save a captured page, deduplicated by canonical URL
+ * @param {Object} data - Reading fields
+ * @param {string} onDuplicate - One of DUPLICATE_ACTIONS
+ * @returns {Promise<Object>} { status: 'created' | 'duplicate' | 'refreshed' | 'kept', reading }
+ */
+export function saveReading(data, onDuplicate = DUPLICATE_ACTIONS.ASK) {
+    return callStorageService('storage:save-reading', { data, onDuplicate });
+}
+
+export function updateReading(id, updates) {
+    return callStorageService('storage:update-reading', { id, updates });
+}
+
+/**
+ * Move a reading to the Trash
+ */
+export function trashReading(id) {
+    return callStorageService('storage:trash-reading', { id });
+}
+
+export function restoreReading(id) {
+    return callStorageService('storage:restore-reading', { id });
+}
+
+/**
+ * Delete a reading permanently, skipping the Trash
+ */
+export function deleteReading(id) {
+    return callStorageService('storage:delete-reading', { id });
+}
+
+/**
+ * Append a quiz attempt to a reading's history
+ * @param {Object} attempt - { mode, persona, score, total, timeElapsed, questions, answers }
+ */
+export function recordQuizAttempt(id, attempt) {
+    return callStorageService('storage:record-quiz-attempt', { id, attempt });
+}
+
+export function addHighlight(data) {
+    return callStorageService('storage:add-highlight', { data });
+}
+
+export function updateHighlight(id, updates) {
+    return callStorageService('storage:update-highlight', { id, updates });
+}
+
+/**
+ * Move a highlight to the Trash
+ */
+export function trashHighlight(id) {
+    return callStorageService('storage:trash-highlight', { id });
+}
+
+export function restoreHighlight(id) {
+    return callStorageService('storage:restore-highlight', { id });
+}
+
+/**
+ * Delete a highlight permanently, skipping the Trash
+ */
+export function deleteHighlight(id) {
+    return callStorageService('storage:delete-highlight', { id });
+}
+
+/**
+ * Permanently delete everything in the Trash
+ * @returns {Promise<Object>} { readings, highlights } - number of items deleted
+ */
+export function emptyTrash() {
+    return callStorageService('storage:empty-trash');
+}
+
+/**
+ * Merge changed keys into the stored preferences
+ */
+export function updatePreferences(updates) {
+    return callStorageService('storage:update-preferences', { updates });
+}
+
+export function addCollection(data) {
+    return callStorageService('storage:add-collection', { data });
+}
+
+export function updateCollection(id, updates) {
+    return callStorageService('storage:update-collection', { id, updates });
+}
+
+export function deleteCollection(id) {
+    return callStorageService('storage:delete-collection', { id });
+}
+
+/**
+ * Add or replace a prompt chain
+ * @param {Object} chain - { id, name, steps[] }
+ */
+export function savePromptChain(chain) {
+    return callStorageService('storage:save-prompt-chain', { chain });
+}
+
+/**
+ * Import a backup archive
+ * @param {Object} archive - Parsed archive
+ * @param {Object} options - { conflictPolicy }
+ */
+export function importLibrary(archive, options) {
+    return callStorageService('storage:import-library', { archive, options });
+}
+
+/**
+ * Drop the full text of archived readings, keeping summaries, concepts and highlights
+ * @returns {Promise<Object>} { compacted, freedBytes }
+ */
+export function compactArchivedReadings() {
+    return callStorageService('storage:compact-archived');
+}
@@ -0,0 +1,236 @@
+/**
+ * Storage Service
+ * Runs in the background worker and is the single writer for the library.
+ * Every mutation goes through one queue, so writes from the Popup, Dashboard,
+ * Options and content scripts apply one at a time and never overwrite each other.
+ * UI surfaces call it with `storage:*` messages (see storageClient.js).
+ */
+
+import {
+    getAllReadings,
+    findReadingByCanonicalUrl,
+    addReading,
+    updateReading,
+    trashReading,
+    restoreReading,
+    deleteReading,
+} from './readingsRepository.js';
+import { addHighlight, updateHighlight, trashHighlight, restoreHighlight, deleteHighlight } from './highlightsRepository.js';
+import { saveReadingAssets } from './assetsRepository.js';
+import { importLibrary } from './backup.js';
+import { compactArchivedReadings } from './storageUsage.js';
+import { emptyTrash } from './trash.js';
+import { createId } from './ids.js';
+import { DUPLICATE_ACTIONS } from './duplicateActions.js';
+import { canonicalizeUrl } from './urls.js';
+import { updatePreferences } from './preferences.js';
+
+// Fields a refreshed capture replaces; everything else (quiz history, tags, id) is kept
+const REFRESHED_FIELDS = [
+    'title', 'url', 'excerpt', 'byline', 'content', 'summary', 'concepts', 'generationMethod', 'usedAI', 'persona',
+    'authors', 'publishedAt', 'modifiedAt', 'siteName', 'language', 'contentType', 'pageCount', 'pageUrls',
+    'figures',
+];
+
+let queueTail = Promise.resolve();
+
+/**
+ * Run a mutation after every mutation queued before it
+ * @returns {Promise<*>} The mutation's result
+ */
+export function enqueueMutation(mutation) {
+    const run = queueTail.then(mutation);
+    // A failed mutation must not block the ones queued after it
+    queueTail = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Message actions handled by the service, keyed by action name
+ */
+const OPERATIONS = {
+    'storage:add-reading': ({ data }) => addReading(data),
+    'storage:save-reading': ({ data, onDuplicate }) => saveReading(data, onDuplicate),
+    'storage:update-reading': ({ id, updates }) => updateReading(id, updates),
+    'storage:trash-reading': ({ id }) => trashReading(id),
+    'storage:restore-reading': ({ id }) => restoreReading(id),
+    'storage:delete-reading': ({ id }) => deleteReading(id),
+    'storage:record-quiz-attempt': ({ id, attempt }) => recordQuizAttempt(id, attempt),
+    'storage:save-reading-assets': ({ readingId, assets }) => saveReadingAssets(readingId, assets),
+
+    'storage:add-highlight': ({ data }) => addHighlight(data),
+    'storage:update-highlight': ({ id, updates }) => updateHighlight(id, updates),
+    'storage:trash-highlight': ({ id }) => trashHighlight(id),
+    'storage:restore-highlight': ({ id }) => restoreHighlight(id),
+    'storage:delete-highlight': ({ id }) => deleteHighlight(id),
+    'storage:empty-trash': () => emptyTrash(),
+
+    'storage:update-preferences': ({ updates }) => updatePreferences(updates),
+    'storage:save-site-adapter': ({ adapter }) => saveSiteAdapter(adapter),
+
+    'storage:add-collection': ({ data }) => addCollection(data),
+    'storage:update-collection': ({ id, updates }) => updateCollection(id, updates),
+    'storage:delete-collection': ({ id }) => deleteCollection(id),
+
+    'storage:save-prompt-chain': ({ chain }) => savePromptChain(chain),
+
+    'storage:import-library': ({ archive, options }) => importLibrary(archive, options),
+    'storage:compact-archived': () => compactArchivedReadings(),
+};
+
+/**
+ * Whether a runtime message is addressed to the storage service
+ */
+export function isStorageMessage(request) {
+    return Object.prototype.hasOwnProperty.call(OPERATIONS, request?.action);
+}
+
+/**
+ * Handle a `storage:*` message
+ * @returns {Promise<Object>} { success, data } or { success: false, error }
+ */
+export async function handleStorageMessage(request) {
+    const operation = OPERATIONS[request.action];
+    if (!operation) {
+        return { success: false, error: `Unknown storage action: ${request.action}` };
+    }
+
+    try {
+        const data = await enqueueMutation(() => operation(request));
+        return { success: true, data };
+    } catch (error) {
+        console.error(`❌ Storage action ${request.action} failed:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Save a captured page, updating the existing reading in place when the page
+ * (by canonical URL) is already saved. Highlights stay attached because the id is kept.
+ * @param {Object} data - Reading fields
+ * @param {string} onDuplicate - One of DUPLICATE_ACTIONS
+ * @returns {Promise<Object>} { status: 'created' | 'duplicate' | 'refreshed' | 'kept', reading }
+ */
+async function saveReading(data, onDuplicate = DUPLICATE_ACTIONS.ASK) {
+    const canonicalUrl = canonicalizeUrl(data.canonicalUrl || data.url);
+
+    // A saved selection is a clip of the page, never a duplicate of the page or of other clips
+    if (data.captureScope === 'selection') {
+        return { status: 'created', reading: await addReading({ ...data, canonicalUrl }) };
+    }
+
+    const existing = canonicalUrl ? await findReadingByCanonicalUrl(canonicalUrl) : null;
+
+    if (!existing) {
+        return { status: 'created', reading: await addReading({ ...data, canonicalUrl }) };
+    }
+    // A reading synced from another machine has no content yet, so there is nothing to keep
+    if (existing.syncedStub) {
+        onDuplicate = DUPLICATE_ACTIONS.REFRESH;
+    }
+    if (onDuplicate === DUPLICATE_ACTIONS.ASK) {
+        return { status: 'duplicate', reading: existing };
+    }
+
+    const refresh = onDuplicate === DUPLICATE_ACTIONS.REFRESH;
+    const reading = await updateReading(existing.id, (current) => {
+        const changes = {
+            tags: [...new Set([...current.tags, ...(data.tags || [])])],
+            collections: [...new Set([...current.collections, ...(data.collections || [])])],
+        };
+
+        if (refresh) {
+            REFRESHED_FIELDS.forEach(field => {
+                const value = data[field];
+                const provided = Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && value !== '';
+                if (provided) changes[field] = value;
+            });
+            changes.refreshedAt = new Date().toISOString();
+            if (changes.content) {
+                // New text: drop the compaction marker and measure the new length
+                changes.compactedAt = null;
+                changes.wordCount = 0;
+                changes.readingTime = 0;
+            }
+            changes.syncedStub = false;
+        }
+        return changes;
+    });
+
+    return { status: refresh ? 'refreshed' : 'kept', reading };
+}
+
+/**
+ * Append a quiz attempt to a reading's history against its current value
+ */
+function recordQuizAttempt(id, attempt) {
+    const entry = {
+        id: createId('quiz'),
+        timestamp: new Date().toISOString(),
+        ...attempt,
+    };
+
+    return updateReading(id, (reading) => ({
+        quizHistory: [...(reading.quizHistory || []), entry],
+    }));
+}
+
+/**
+ * Add a user site adapter, replacing the one with the same id
+ * (an area picked again on the same site replaces the earlier pick)
+ */
+async function saveSiteAdapter(adapter) {
+    const { preferences = {} } = await chrome.storage.local.get('preferences');
+    const others = (preferences.siteAdapters || []).filter(existing => existing.id !== adapter.id);
+    await updatePreferences({ siteAdapters: [...others, adapter] });
+    return adapter;
+}
+
+async function addCollection(data) {
+    const { collections = [] } = await chrome.storage.local.get('collections');
+    const collection = { ...data, id: data.id || createId('col') };
+    await chrome.storage.local.set({ collections: [...collections, collection] });
+    return collection;
+}
+
+async function updateCollection(id, updates) {
+    const { collections = [] } = await chrome.storage.local.get('collections');
+    const existing = collections.find(c => c.id === id);
+    if (!existing) return null;
+
+    const collection = { ...existing, ...updates, id };
+    await chrome.storage.local.set({ collections: collections.map(c => (c.id === id ? collection : c)) });
+    return collection;
+}
+
+/**
+ * Add or replace a prompt chain (matched by id); only its steps' definitions are kept,
+ * not the output of the last run
+ */
+async function savePromptChain(chain) {
+    const { promptChains = [] } = await chrome.storage.local.get('promptChains');
+    const saved = {
+        id: chain.id || createId('chain'),
+        name: chain.name || 'Prompt chain',
+        steps: (chain.steps || []).map(({ id, type, label, prompt }) => ({ id, type, label, prompt })),
+        updatedAt: new Date().toISOString(),
+    };
+    const others = promptChains.filter(existing => existing.id !== saved.id);
+    await chrome.storage.local.set({ promptChains: [...others, saved] });
+    return saved;
+}
+
+/**
+ * Delete a collection and drop it from every reading that was in it
+ */
+async function deleteCollection(id) {
+    const { collections = [] } = await chrome.storage.local.get('collections');
+    await chrome.storage.local.set({ collections: collections.filter(c => c.id !== id) });
+
+    const members = (await getAllReadings({ includeTrashed: true })).filter(reading => reading.collections.includes(id));
+    for (const reading of members) {
+        await updateReading(reading.id, (current) => ({
+            collections: current.collections.filter(collectionId => collectionId !== id),
+        }));
+    }
+}
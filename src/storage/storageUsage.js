@@ -0,0 +1,131 @@
+/**
+ * Storage Usage and Compaction
+ * Measures what each reading costs on disk (after compression) and frees space
+ * by dropping the full text of archived readings. Summaries, concepts, quiz
+ * history and highlights are always kept.
+ */
+
+import { withTransaction, promisifyRequest, STORES } from './db.js';
+import { updateReading } from './readingsRepository.js';
+import { isCompressed } from './compression.js';
+
+// Fields listed separately in the breakdown; everything else is counted as metadata
+const MEASURED_FIELDS = ['content', 'summary', 'concepts', 'quizHistory'];
+
+const encoder = new TextEncoder();
+
+/**
+ * Measure library storage
+ * @returns {Promise<Object>} {
+ *   estimate: { usage, quota } | null,
+ *   readings: [{ id, title, url, archived, compactedAt, fields: { content, summary, concepts, quizHistory, metadata, highlights }, total }],
+ *   totals: { content, summary, concepts, quizHistory, metadata, highlights, total },
+ *   compactable: { count, bytes }
+ * }
+ */
+export async function getStorageUsage() {
+    const [records, highlights] = await withTransaction([STORES.READINGS, STORES.HIGHLIGHTS], 'readonly', (stores) => {
+        return Promise.all([
+            promisifyRequest(stores[STORES.READINGS].getAll()),
+            promisifyRequest(stores[STORES.HIGHLIGHTS].getAll()),
+        ]);
+    });
+
+    const highlightBytes = new Map();
+    highlights.forEach(highlight => {
+        const key = highlight.readingId || findReadingIdByUrl(records, highlight.url);
+        if (key) {
+            highlightBytes.set(key, (highlightBytes.get(key) || 0) + measureValue(highlight));
+        }
+    });
+
+    const readings = records.map(record => {
+        const fields = { metadata: 0, highlights: highlightBytes.get(record.id) || 0 };
+        MEASURED_FIELDS.forEach(field => {
+            fields[field] = measureValue(record[field]);
+        });
+
+        const metadata = { ...record };
+        MEASURED_FIELDS.forEach(field => delete metadata[field]);
+        fields.metadata = measureValue(metadata);
+
+        return {
+            id: record.id,
+            title: record.title,
+            url: record.url,
+            archived: Boolean(record.archived),
+            compactedAt: record.compactedAt || null,
+            fields,
+            total: Object.values(fields).reduce((sum, bytes) => sum + bytes, 0),
+        };
+    }).sort((a, b) => b.total - a.total);
+
+    const totals = { content: 0, summary: 0, concepts: 0, quizHistory: 0, metadata: 0, highlights: 0, total: 0 };
+    readings.forEach(reading => {
+        Object.entries(reading.fields).forEach(([field, bytes]) => {
+            totals[field] += bytes;
+        });
+        totals.total += reading.total;
+    });
+
+    const compactable = readings.filter(reading => reading.archived && reading.fields.content > 0);
+
+    return {
+        estimate: await getStorageEstimate(),
+        readings,
+        totals,
+        compactable: {
+            count: compactable.length,
+            bytes: compactable.reduce((sum, reading) => sum + reading.fields.content, 0),
+        },
+    };
+}
+
+/**
+ * Drop the full text of every archived reading
+ * @returns {Promise<Object>} { compacted, freedBytes }
+ */
+export async function compactArchivedReadings() {
+    const records = await withTransaction(STORES.READINGS, 'readonly', (store) => {
+        return promisifyRequest(store.getAll());
+    });
+    const archived = records.filter(record => record.archived && measureValue(record.content) > 0);
+    let freedBytes = 0;
+
+    for (const record of archived) {
+        freedBytes += measureValue(record.content);
+        await updateReading(record.id, (reading) => ({
+            content: '',
+            contentLength: reading.content.length,
+            compactedAt: new Date().toISOString(),
+        }));
+    }
+
+    console.log(`🗜️ Compacted ${archived.length} archived readings`);
+    return { compacted: archived.length, freedBytes };
+}
+
+/**
+ * Bytes a stored value takes, using the compressed size for packed fields
+ */
+function measureValue(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    if (isCompressed(value)) return value.data.byteLength;
+    if (Array.isArray(value) && value.length === 0) return 0;
+    return encoder.encode(typeof value === 'string' ? value : JSON.stringify(value)).byteLength;
+}
+
+function findReadingIdByUrl(records, url) {
+    return url ? records.find(record => record.url === url)?.id : undefined;
+}
+
+async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage, quota };
+    } catch {
+        return null;
+    }
+}
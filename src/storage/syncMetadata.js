@@ -0,0 +1,82 @@
+/**
+ * Synced Field Clocks
+ * Fields that sync between machines carry the time they were last changed
+ * (`fieldTimes`), so concurrent edits resolve last-writer-wins per field.
+ */
+
+// Reading fields mirrored to chrome.storage.sync; `status` is derived from archived/deletedAt
+export const SYNCED_READING_FIELDS = ['title', 'url', 'tags', 'status'];
+
+// chrome.storage.local: { [readingId]: when it was permanently deleted (ms) }
+export const TOMBSTONES_KEY = 'readingTombstones';
+
+/**
+ * A reading's library status: 'active', 'archived' or 'trashed'
+ */
+export function getReadingStatus(reading) {
+    if (reading.deletedAt) return 'trashed';
+    return reading.archived ? 'archived' : 'active';
+}
+
+/**
+ * Reading fields that produce a status
+ * @param {string} status - 'active' | 'archived' | 'trashed'
+ * @param {Object} current - The reading the status is applied to
+ * @param {number} changedAt - When the status changed (ms)
+ */
+export function statusToFields(status, current, changedAt) {
+    if (status === 'trashed') {
+        return { deletedAt: current.deletedAt || new Date(changedAt).toISOString() };
+    }
+    return { archived: status === 'archived', deletedAt: null };
+}
+
+/**
+ * Work out per-field change times after a write
+ * @param {Object|null} previous - The reading before the write (null for a new one)
+ * @param {Object} next - The reading after the write
+ * @param {Object} explicit - Times supplied by the caller (e.g. from a sync merge), which win
+ * @returns {Object} fieldTimes for `next`
+ */
+export function stampFieldTimes(previous, next, explicit = {}) {
+    const now = Date.now();
+    const times = { ...(previous?.fieldTimes || {}) };
+
+    SYNCED_READING_FIELDS.forEach(field => {
+        if (explicit[field]) {
+            times[field] = explicit[field];
+        } else if (!previous || !sameValue(readField(previous, field), readField(next, field))) {
+            times[field] = now;
+        }
+    });
+
+    return times;
+}
+
+/**
+ * Remember that a reading was permanently deleted, so sync doesn't bring it back
+ * An existing tombstone keeps its time; it may have come from another machine.
+ */
+export async function recordTombstone(id, deletedAt = Date.now()) {
+    const { [TOMBSTONES_KEY]: tombstones = {} } = await chrome.storage.local.get(TOMBSTONES_KEY);
+    if (tombstones[id]) return;
+    await chrome.storage.local.set({ [TOMBSTONES_KEY]: { ...tombstones, [id]: deletedAt } });
+}
+
+/**
+ * Latest change time of any synced field
+ */
+export function lastFieldChange(fieldTimes = {}) {
+    return Math.max(0, ...Object.values(fieldTimes));
+}
+
+/**
+ * Current value of a synced field
+ */
+export function readField(reading, field) {
+    return field === 'status' ? getReadingStatus(reading) : reading[field];
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
@@ -0,0 +1,373 @@
+/**
+ * Library Sync
+ * Mirrors preferences and lightweight reading metadata (title, url, tags, status)
+ * to chrome.storage.sync so they follow the user across machines. Full content,
+ * summaries, concepts and highlights stay local.
+ *
+ * Conflicts resolve last-writer-wins per field using the change times kept in
+ * `preferenceTimes` and each reading's `fieldTimes`. Readings that exist only on
+ * another machine arrive as stubs (`syncedStub`) until the page is saved here.
+ *
+ * Permanently deleted readings leave a tombstone (`{ i: id, d: deletedAt }`) in
+ * the index for TOMBSTONE_TTL_MS. A tombstone beats every change made before the
+ * deletion, on any machine; a reading edited after it was deleted elsewhere stays.
+ *
+ * Runs in the background worker, inside the storage service queue.
+ */
+
+import { getAllReadings, addReading, updateReading, deleteReading, subscribeToReadings } from './readingsRepository.js';
+import { enqueueMutation } from './storageService.js';
+import { SYNCED_READING_FIELDS, TOMBSTONES_KEY, readField, statusToFields, lastFieldChange } from './syncMetadata.js';
+
+const PREFERENCES_KEY = 'prefs';
+const INDEX_KEY_PREFIX = 'idx.';
+
+// Short keys keep each synced entry small
+const FIELD_KEYS = { title: 't', url: 'u', tags: 'g', status: 's' };
+
+const TITLE_LIMIT = 150;
+const URL_LIMIT = 1000;
+
+// Headroom under the chrome.storage.sync quotas for keys and JSON overhead
+const ITEM_MARGIN_BYTES = 256;
+const TOTAL_MARGIN_BYTES = 2048;
+
+const SYNC_DELAY_MS = 5000;
+
+// Machines offline for longer than this may bring a deleted reading back
+const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+
+let syncTimer = null;
+let syncing = false;
+
+/**
+ * Start syncing: run shortly after the worker starts and after any local or remote change
+ */
+export function startLibrarySync() {
+    subscribeToReadings(() => scheduleSync());
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync' || (areaName === 'local' && changes.preferences)) {
+            scheduleSync();
+        }
+    });
+
+    scheduleSync();
+}
+
+/**
+ * Debounce sync runs; changes made by a sync run itself are ignored
+ */
+function scheduleSync(delay = SYNC_DELAY_MS) {
+    if (syncing) return;
+
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => {
+        enqueueMutation(syncLibrary).catch((error) => {
+            console.error('❌ Library sync failed:', error);
+        });
+    }, delay);
+}
+
+/**
+ * Merge remote changes into local storage, then publish the merged state
+ */
+export async function syncLibrary() {
+    syncing = true;
+    try {
+        const remote = await chrome.storage.sync.get(null);
+        const writes = {};
+
+        const preferencesItem = fitPreferencesItem(await syncPreferences(remote[PREFERENCES_KEY]));
+        if (JSON.stringify(preferencesItem) !== JSON.stringify(remote[PREFERENCES_KEY])) {
+            writes[PREFERENCES_KEY] = preferencesItem;
+        }
+
+        const { entries, tombstones: remoteTombstones } = readRemoteIndex(remote);
+        const tombstones = await syncTombstones(remoteTombstones);
+        await applyRemoteReadings(entries, tombstones);
+
+        const budget = getQuota('QUOTA_BYTES', 102400) - measureItem(PREFERENCES_KEY, preferencesItem) - TOTAL_MARGIN_BYTES;
+        const chunks = buildIndexChunks(await getAllReadings({ includeTrashed: true }), tombstones, budget);
+
+        chunks.forEach((chunk, index) => {
+            const key = INDEX_KEY_PREFIX + index;
+            if (JSON.stringify(chunk) !== JSON.stringify(remote[key])) {
+                writes[key] = chunk;
+            }
+        });
+        const staleKeys = Object.keys(remote).filter(key => key.startsWith(INDEX_KEY_PREFIX) && Number(key.slice(INDEX_KEY_PREFIX.length)) >= chunks.length);
+
+        if (Object.keys(writes).length > 0) {
+            await chrome.storage.sync.set(writes);
+        }
+        if (staleKeys.length > 0) {
+            await chrome.storage.sync.remove(staleKeys);
+        }
+
+        if (Object.keys(writes).length + staleKeys.length > 0) {
+            console.log(`🔄 Synced library metadata (${Object.keys(writes).length} items written)`);
+        }
+    } finally {
+        syncing = false;
+    }
+}
+
+/**
+ * Merge synced preferences with local ones, newest change per key winning
+ * @returns {Promise<Object>} The merged item to store in sync: { v: values, c: change times }
+ */
+async function syncPreferences(remoteItem = { v: {}, c: {} }) {
+    const { preferences = {}, preferenceTimes = {} } = await chrome.storage.local.get(['preferences', 'preferenceTimes']);
+    const values = { ...preferences };
+    const times = { ...preferenceTimes };
+    let changed = false;
+
+    Object.entries(remoteItem.v || {}).forEach(([key, value]) => {
+        const remoteTime = remoteItem.c?.[key] || 0;
+        if (remoteTime > (times[key] || 0)) {
+            values[key] = value;
+            times[key] = remoteTime;
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        await chrome.storage.local.set({ preferences: values, preferenceTimes: times });
+    }
+    return { v: values, c: times };
+}
+
+/**
+ * Merge synced tombstones with local ones, dropping those past TOMBSTONE_TTL_MS
+ * @returns {Promise<Object>} { [readingId]: deletedAt (ms) }
+ */
+async function syncTombstones(remoteTombstones) {
+    const { [TOMBSTONES_KEY]: localTombstones = {} } = await chrome.storage.local.get(TOMBSTONES_KEY);
+    const cutoff = Date.now() - TOMBSTONE_TTL_MS;
+    const tombstones = {};
+
+    [localTombstones, remoteTombstones].forEach(source => {
+        Object.entries(source).forEach(([id, deletedAt]) => {
+            if (deletedAt > cutoff && deletedAt > (tombstones[id] || 0)) {
+                tombstones[id] = deletedAt;
+            }
+        });
+    });
+
+    if (JSON.stringify(tombstones) !== JSON.stringify(localTombstones)) {
+        await chrome.storage.local.set({ [TOMBSTONES_KEY]: tombstones });
+    }
+    return tombstones;
+}
+
+/**
+ * Leave the largest preferences out of the synced item until it fits QUOTA_BYTES_PER_ITEM
+ * They stay set locally; other machines keep their own value.
+ */
+function fitPreferencesItem(item) {
+    const itemLimit = getQuota('QUOTA_BYTES_PER_ITEM', 8192) - ITEM_MARGIN_BYTES;
+    const values = { ...item.v };
+    const times = { ...item.c };
+
+    const bySize = Object.keys(values).sort((a, b) => measureValue(values[b]) - measureValue(values[a]));
+    const omitted = [];
+    while (measureItem(PREFERENCES_KEY, { v: values, c: times }) > itemLimit && bySize.length > 0) {
+        const key = bySize.shift();
+        delete values[key];
+        delete times[key];
+        omitted.push(key);
+    }
+
+    if (omitted.length > 0) {
+        console.warn(`⚠️ Sync quota reached: not syncing preferences ${omitted.join(', ')}`);
+    }
+    return { v: values, c: times };
+}
+
+/**
+ * Apply synced reading fields that are newer than the local ones, and deletions
+ * Tombstones outlived by a later change are dropped from `tombstones`.
+ */
+async function applyRemoteReadings(entries, tombstones) {
+    const readings = await getAllReadings({ includeTrashed: true });
+    const local = new Map(readings.map(reading => [reading.id, reading]));
+    const revived = [];
+
+    for (const reading of readings) {
+        if (!tombstones[reading.id]) continue;
+
+        if (tombstones[reading.id] >= lastFieldChange(reading.fieldTimes)) {
+            await deleteReading(reading.id);
+            local.delete(reading.id);
+        } else {
+            revived.push(reading.id);
+        }
+    }
+
+    for (const entry of entries) {
+        const reading = local.get(entry.id);
+
+        if (tombstones[entry.id]) {
+            if (tombstones[entry.id] >= lastFieldChange(entry.times)) continue;
+            revived.push(entry.id);
+        }
+
+        if (!reading) {
+            // Don't resurrect readings another machine has already thrown away
+            if (entry.values.status === 'trashed') continue;
+
+            await addReading({
+                id: entry.id,
+                title: entry.values.title,
+                url: entry.values.url,
+                tags: entry.values.tags,
+                ...statusToFields(entry.values.status, {}, entry.times.status),
+                syncedStub: true,
+                fieldTimes: entry.times,
+            });
+            continue;
+        }
+
+        const changes = {};
+        const fieldTimes = {};
+        SYNCED_READING_FIELDS.forEach(field => {
+            const remoteTime = entry.times[field] || 0;
+            if (remoteTime <= (reading.fieldTimes?.[field] || 0)) return;
+
+            if (field === 'status') {
+                Object.assign(changes, statusToFields(entry.values.status, reading, remoteTime));
+            } else {
+                changes[field] = entry.values[field];
+            }
+            fieldTimes[field] = remoteTime;
+        });
+
+        if (Object.keys(fieldTimes).length > 0) {
+            await updateReading(reading.id, { ...changes, fieldTimes });
+        }
+    }
+
+    if (revived.length > 0) {
+        revived.forEach(id => delete tombstones[id]);
+        await chrome.storage.local.set({ [TOMBSTONES_KEY]: tombstones });
+    }
+}
+
+/**
+ * Pack tombstones, then reading metadata newest first, into sync items until the budget runs out
+ * @returns {Array<Array>} One array of entries per `idx.N` item
+ */
+function buildIndexChunks(readings, tombstones, budget) {
+    const itemLimit = getQuota('QUOTA_BYTES_PER_ITEM', 8192) - ITEM_MARGIN_BYTES;
+    const byRecency = [...readings].sort((a, b) => lastChange(b) - lastChange(a));
+
+    const included = [];
+    let used = 0;
+    Object.entries(tombstones)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([id, deletedAt]) => {
+            const entry = { i: id, d: deletedAt };
+            const size = measureValue(entry) + 1;
+            if (used + size > budget) return;
+
+            included.push(entry);
+            used += size;
+        });
+
+    const tombstoneCount = included.length;
+    for (const reading of byRecency) {
+        if (!reading.url || reading.url.length > URL_LIMIT) continue;
+
+        const entry = encodeEntry(reading);
+        const size = measureValue(entry) + 1;
+        if (used + size > budget) break;
+
+        included.push(entry);
+        used += size;
+    }
+
+    // Stable order so unchanged readings stay in the same item between runs
+    included.sort((a, b) => a.i.localeCompare(b.i));
+
+    const chunks = [];
+    let current = [];
+    let currentSize = 2;
+    included.forEach(entry => {
+        const size = measureValue(entry) + 1;
+        if (current.length > 0 && currentSize + size > itemLimit) {
+            chunks.push(current);
+            current = [];
+            currentSize = 2;
+        }
+        current.push(entry);
+        currentSize += size;
+    });
+    if (current.length > 0) chunks.push(current);
+
+    if (included.length - tombstoneCount < readings.length) {
+        console.warn(`⚠️ Sync quota reached: syncing metadata for ${included.length - tombstoneCount} of ${readings.length} readings`);
+    }
+    return chunks;
+}
+
+function encodeEntry(reading) {
+    const entry = { i: reading.id, c: {} };
+
+    SYNCED_READING_FIELDS.forEach(field => {
+        let value = readField(reading, field);
+        if (field === 'title') value = (value || '').slice(0, TITLE_LIMIT);
+
+        entry[FIELD_KEYS[field]] = value;
+        entry.c[FIELD_KEYS[field]] = reading.fieldTimes?.[field] || 0;
+    });
+
+    return entry;
+}
+
+/**
+ * @returns {{ entries: Array, tombstones: Object }} Synced reading entries, and deletion times by reading id
+ */
+function readRemoteIndex(remote) {
+    const items = Object.keys(remote)
+        .filter(key => key.startsWith(INDEX_KEY_PREFIX))
+        .flatMap(key => (Array.isArray(remote[key]) ? remote[key] : []));
+
+    const tombstones = {};
+    items.filter(item => item.i && item.d).forEach(item => {
+        tombstones[item.i] = Math.max(item.d, tombstones[item.i] || 0);
+    });
+
+    const entries = items
+        .filter(item => !item.d)
+        .map(entry => {
+            const values = {};
+            const times = {};
+            SYNCED_READING_FIELDS.forEach(field => {
+                values[field] = entry[FIELD_KEYS[field]];
+                times[field] = entry.c?.[FIELD_KEYS[field]] || 0;
+            });
+            return { id: entry.i, values, times };
+        })
+        .filter(entry => entry.id);
+
+    return { entries, tombstones };
+}
+
+function lastChange(reading) {
+    return Math.max(new Date(reading.timestamp).getTime() || 0, ...Object.values(reading.fieldTimes || {}));
+}
+
+function measureValue(value) {
+    return encoder.encode(JSON.stringify(value)).byteLength;
+}
+
+function measureItem(key, value) {
+    return encoder.encode(key).byteLength + measureValue(value);
+}
+
+function getQuota(name, fallback) {
+    return chrome.storage.sync[name] ?? fallback;
+}
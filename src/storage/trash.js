@@ -0,0 +1,66 @@
+/**
+ * Trash
+ * Deleting a reading or highlight moves it to the Trash (`deletedAt` is set), where
+ * it can be restored until it is purged. The background worker purges expired items
+ * once a day from a chrome.alarms alarm; the retention period is a preference.
+ */
+
+import { getTrashedReadings, deleteReading } from './readingsRepository.js';
+import { getTrashedHighlights, deleteHighlight } from './highlightsRepository.js';
+
+export const TRASH_PURGE_ALARM = 'purge-trash';
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Choices offered in Options; 0 keeps items until the Trash is emptied by hand
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, 0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days left before a trashed item is purged, or null if it is kept indefinitely
+ */
+export function daysUntilPurge(deletedAt, retentionDays) {
+    if (!retentionDays) return null;
+
+    const purgeAt = new Date(deletedAt).getTime() + retentionDays * DAY_MS;
+    return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+}
+
+/**
+ * Permanently delete trashed items older than the retention period
+ * @param {number} retentionDays - Days to keep trashed items; 0 disables purging
+ * @returns {Promise<Object>} { readings, highlights } - number of items purged
+ */
+export async function purgeExpiredTrash(retentionDays = DEFAULT_TRASH_RETENTION_DAYS) {
+    if (!retentionDays) return { readings: 0, highlights: 0 };
+
+    const cutoff = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    const purged = await purgeTrash(item => item.deletedAt <= cutoff);
+
+    if (purged.readings + purged.highlights > 0) {
+        console.log(`🗑️ Purged ${purged.readings} readings and ${purged.highlights} highlights from the Trash`);
+    }
+    return purged;
+}
+
+/**
+ * Permanently delete everything in the Trash
+ * @returns {Promise<Object>} { readings, highlights } - number of items deleted
+ */
+export async function emptyTrash() {
+    return purgeTrash(() => true);
+}
+
+async function purgeTrash(shouldPurge) {
+    const readings = (await getTrashedReadings()).filter(shouldPurge);
+    const highlights = (await getTrashedHighlights()).filter(shouldPurge);
+
+    for (const reading of readings) {
+        await deleteReading(reading.id);
+    }
+    for (const highlight of highlights) {
+        await deleteHighlight(highlight.id);
+    }
+
+    return { readings: readings.length, highlights: highlights.length };
+}
@@ -0,0 +1,89 @@
+/**
+ * Canonical URLs
+ * The same article is reachable under many URLs (tracking parameters, fragments,
+ * trailing slashes, AMP/mobile copies declaring a canonical). Readings are
+ * deduplicated on one canonical form of their URL.
+ */
+
+// Query parameters that only track where a visit came from
+const TRACKING_PARAMS = new Set([
+    'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid', 'twclid', 'igshid',
+    'mc_cid', 'mc_eid', '_hsenc', '_hsmkt', 'mkt_tok', 'ref', 'ref_src', 'ref_url',
+    'spm', 'si', 'vero_id', 'oly_anon_id', 'oly_enc_id', 'rb_clickid', 's_cid', 'cmpid',
+]);
+
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hsa_'];
+
+/**
+ * Reduce a URL to the form used to detect duplicate readings
+ * @param {string} url - Any absolute URL
+ * @returns {string} The canonical URL, or the input unchanged if it can't be parsed
+ */
+export function canonicalizeUrl(url) {
+    if (!url) return '';
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return parsed.href;
+    }
+
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase();
+
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !isTrackingParam(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+        parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+
+    return parsed.href;
+}
+
+/**
+ * Pick the canonical URL for a captured page
+ * Prefers <link rel="canonical">, then og:url, then the address bar URL. A declared
+ * canonical is ignored when it points to another site or collapses an article to
+ * its home page, which some sites get wrong.
+ * @param {Object} page - { url, canonicalLink, ogUrl }
+ */
+export function resolveCanonicalUrl({ url, canonicalLink, ogUrl }) {
+    const candidate = [canonicalLink, ogUrl].find(declared => isTrustworthyCanonical(declared, url));
+    return canonicalizeUrl(candidate || url);
+}
+
+function isTrackingParam(key) {
+    const lower = key.toLowerCase();
+    return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+function isTrustworthyCanonical(declared, pageUrl) {
+    if (!declared) return false;
+
+    try {
+        const canonical = new URL(declared, pageUrl);
+        const page = new URL(pageUrl);
+
+        if (canonical.protocol !== 'http:' && canonical.protocol !== 'https:') return false;
+        if (registrableHost(canonical.hostname) !== registrableHost(page.hostname)) return false;
+        if (canonical.pathname === '/' && page.pathname !== '/') return false;
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Host without a leading www. or m., so amp/mobile copies match their desktop page
+ */
+function registrableHost(hostname) {
+    return hostname.toLowerCase().replace(/^(www|m|amp)\./, '');
+}
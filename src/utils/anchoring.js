@@ -0,0 +1,319 @@
+/**
+ * Highlight Anchoring
+ * Describes a highlighted range with W3C Web Annotation style selectors and finds
+ * it again later, after the page has been re-rendered or slightly edited:
+ *
+ *   { type: 'RangeSelector', startContainer, startOffset, endContainer, endOffset }
+ *       Path to the start and end elements (e.g. "/article[1]/p[3]") and text offsets in them
+ *   { type: 'TextPositionSelector', start, end }
+ *       Offsets in the text of the whole page
+ *   { type: 'TextQuoteSelector', exact, prefix, suffix }
+ *       The highlighted text and up to 32 characters either side of it
+ *
+ * Anchoring tries the path, then the position, and checks both against the quote.
+ * When they no longer hold the quote, the quote is searched for, exactly and then
+ * approximately (edit distance), and the match whose context fits best wins.
+ *
+ * Highlight wrappers (`.ai-reading-highlight`) are ignored in paths, so a page
+ * with highlights applied describes the same way as the original page.
+ *
+ * Content scripts reach it through globalThis.RamiAnchoring (content/anchoring.js).
+ */
+
+const HIGHLIGHT_CLASS = 'ai-reading-highlight';
+const CONTEXT_LENGTH = 32;
+
+// Share of the quote that must survive edits for an approximate match
+const MIN_SIMILARITY = 0.75;
+const MAX_CANDIDATES = 20;
+// Longer quotes are matched by their first and last words instead of edit distance
+const MAX_FUZZY_LENGTH = 2000;
+
+// Candidate scoring: how well the quote, its context and its old position match
+const WEIGHTS = { quote: 50, prefix: 20, suffix: 20, position: 2 };
+
+/**
+ * Selectors for a range
+ * @param {Range} range - Highlighted range
+ * @param {Element} root - Element the offsets count from (the page body)
+ * @returns {Array<Object>} RangeSelector, TextPositionSelector and TextQuoteSelector
+ */
+export function describeRange(range, root = document.body) {
+  const text = root.textContent;
+  const start = textOffset(root, range.startContainer, range.startOffset);
+  const end = textOffset(root, range.endContainer, range.endOffset);
+
+  const startElement = anchorElement(range.startContainer, root);
+  const endElement = anchorElement(range.endContainer, root);
+
+  return [
+    {
+      type: 'RangeSelector',
+      startContainer: pathTo(startElement, root),
+      startOffset: textOffset(startElement, range.startContainer, range.startOffset),
+      endContainer: pathTo(endElement, root),
+      endOffset: textOffset(endElement, range.endContainer, range.endOffset),
+    },
+    { type: 'TextPositionSelector', start, end },
+    {
+      type: 'TextQuoteSelector',
+      exact: text.slice(start, end),
+      prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+      suffix: text.slice(end, end + CONTEXT_LENGTH),
+    },
+  ];
+}
+
+/**
+ * Find a described range in the page
+ * @param {Array<Object>} selectors - As returned by describeRange()
+ * @param {Element} root - Element the selectors were described against
+ * @param {Object} options - { approximate: also look for edited versions of the quote (the slow part) }
+ * @returns {Range|null} null when the text can no longer be found (an orphaned highlight)
+ */
+export function anchor(selectors = [], root = document.body, options = {}) {
+  const find = (type) => selectors.find(selector => selector.type === type);
+  const quote = find('TextQuoteSelector');
+  const position = find('TextPositionSelector');
+  const path = find('RangeSelector');
+
+  const fromPath = path ? rangeFromPath(path, root) : null;
+  if (fromPath && (!quote || fromPath.toString() === quote.exact)) return fromPath;
+
+  const text = root.textContent;
+  if (position && (!quote || text.slice(position.start, position.end) === quote.exact)) {
+    return rangeFromOffsets(root, position.start, position.end);
+  }
+  if (!quote?.exact) return null;
+
+  const match = findQuote(text, quote, position?.start, options);
+  return match ? rangeFromOffsets(root, match.start, match.end) : null;
+}
+
+/**
+ * Best place for a quote in the text, or null when no place is similar enough
+ * @param {string} text - Text to search
+ * @param {Object} quote - { exact, prefix, suffix }
+ * @param {number} hint - Where the quote used to start, if known
+ * @param {Object} options - { approximate: false to only look for the exact quote }
+ * @returns {Object|null} { start, end, errors }
+ */
+export function findQuote(text, quote, hint, { approximate = true } = {}) {
+  const { exact, prefix = '', suffix = '' } = quote;
+
+  let candidates = occurrences(text, exact).map(start => ({ start, end: start + exact.length, errors: 0 }));
+  if (candidates.length === 0 && approximate) {
+    candidates = findApproximate(text, quote, hint);
+  }
+  if (candidates.length === 0) return null;
+
+  const score = ({ start, end, errors }) => {
+    const before = text.slice(Math.max(0, start - prefix.length), start);
+    const after = text.slice(end, end + suffix.length);
+    return WEIGHTS.quote * (1 - errors / exact.length)
+      + (prefix ? WEIGHTS.prefix * similarity(prefix, before) : 0)
+      + (suffix ? WEIGHTS.suffix * similarity(suffix, after) : 0)
+      + (hint !== undefined ? WEIGHTS.position * (1 - Math.min(1, Math.abs(start - hint) / Math.max(1, text.length))) : 0);
+  };
+
+  return candidates.reduce((best, candidate) => (score(candidate) > score(best) ? candidate : best));
+}
+
+/**
+ * Places where an edited version of the quote may be: after its prefix, before its
+ * suffix, at its first or last words, or at its old position
+ */
+function findApproximate(text, { exact, prefix = '', suffix = '' }, hint) {
+  const maxErrors = Math.floor(exact.length * (1 - MIN_SIMILARITY));
+  const key = exact.slice(0, Math.min(CONTEXT_LENGTH, Math.ceil(exact.length / 3)));
+  const tail = exact.slice(-key.length);
+
+  const starts = new Set(occurrences(text, key));
+  const ends = new Set(occurrences(text, tail).map(index => index + tail.length));
+  if (prefix) occurrences(text, prefix).forEach(index => starts.add(index + prefix.length));
+  if (suffix) occurrences(text, suffix).forEach(index => ends.add(index));
+  if (hint !== undefined && hint <= text.length) starts.add(hint);
+
+  const candidates = [];
+  if (exact.length > MAX_FUZZY_LENGTH) {
+    // Pair each start with an end that leaves about the quote's length between them
+    starts.forEach(start => ends.forEach(end => {
+      const errors = Math.abs(end - start - exact.length);
+      if (end > start && errors <= maxErrors) candidates.push({ start, end, errors });
+    }));
+    return candidates.slice(0, MAX_CANDIDATES);
+  }
+
+  [...starts].slice(0, MAX_CANDIDATES).forEach(start => {
+    const match = alignQuote(exact, text.slice(start, start + exact.length + maxErrors), maxErrors);
+    if (match) candidates.push({ start, end: start + match.length, errors: match.errors });
+  });
+
+  const reversedQuote = reverse(exact);
+  [...ends].slice(0, MAX_CANDIDATES).forEach(end => {
+    const window = reverse(text.slice(Math.max(0, end - exact.length - maxErrors), end));
+    const match = alignQuote(reversedQuote, window, maxErrors);
+    if (match) candidates.push({ start: end - match.length, end, errors: match.errors });
+  });
+
+  return candidates;
+}
+
+/**
+ * Edit distance between a quote and the start of a window of text, with the
+ * end of the match left free
+ * Only cells within maxErrors of the diagonal can stay within maxErrors, so only
+ * that band is computed: quote length × (2 × maxErrors + 1) cells at most.
+ * @returns {Object|null} { length (of the matched text), errors }, or null beyond maxErrors
+ */
+function alignQuote(quote, window, maxErrors) {
+  const width = Math.min(window.length, quote.length + maxErrors);
+  const outside = maxErrors + 1; // Any cost beyond maxErrors
+  let previous = new Int32Array(width + 2).fill(outside);
+  let current = new Int32Array(width + 2).fill(outside);
+  for (let j = 0; j <= Math.min(width, maxErrors); j++) previous[j] = j;
+
+  for (let i = 1; i <= quote.length; i++) {
+    const from = Math.max(1, i - maxErrors);
+    const to = Math.min(width, i + maxErrors);
+    // The cells just outside the band are read by this row and the next one
+    current[from - 1] = from === 1 && i <= maxErrors ? i : outside;
+    current[to + 1] = outside;
+
+    let rowBest = current[from - 1];
+    for (let j = from; j <= to; j++) {
+      const cost = quote[i - 1] === window[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost, outside);
+      rowBest = Math.min(rowBest, current[j]);
+    }
+    if (rowBest > maxErrors) return null;
+    [previous, current] = [current, previous];
+  }
+
+  let length = -1;
+  for (let j = Math.max(0, quote.length - maxErrors); j <= Math.min(width, quote.length + maxErrors); j++) {
+    if (length === -1 || previous[j] < previous[length]) length = j;
+  }
+  return length !== -1 && previous[length] <= maxErrors ? { length, errors: previous[length] } : null;
+}
+
+/**
+ * 1 for identical strings, 0 for nothing in common
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 1;
+  const match = alignQuote(a, b, longest);
+  return 1 - (match.errors + Math.abs(b.length - match.length)) / longest;
+}
+
+function occurrences(text, search) {
+  const found = [];
+  if (!search) return found;
+  for (let index = text.indexOf(search); index !== -1 && found.length < MAX_CANDIDATES; index = text.indexOf(search, index + 1)) {
+    found.push(index);
+  }
+  return found;
+}
+
+function reverse(text) {
+  return [...text].reverse().join('');
+}
+
+/**
+ * Length of the text between the start of an element and a boundary point in it
+ */
+function textOffset(element, container, offset) {
+  const range = element.ownerDocument.createRange();
+  range.setStart(element, 0);
+  range.setEnd(container, offset);
+  return range.toString().length;
+}
+
+/**
+ * Range covering text offsets of an element
+ */
+function rangeFromOffsets(root, start, end) {
+  const walker = root.ownerDocument.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const range = root.ownerDocument.createRange();
+  let seen = 0;
+  let started = false;
+  let node;
+
+  while ((node = walker.nextNode())) {
+    const length = node.data.length;
+    if (!started && start < seen + length) {
+      range.setStart(node, start - seen);
+      started = true;
+    }
+    if (started && end <= seen + length) {
+      range.setEnd(node, end - seen);
+      return range;
+    }
+    seen += length;
+  }
+  return null;
+}
+
+function rangeFromPath(selector, root) {
+  const startElement = resolvePath(selector.startContainer, root);
+  const endElement = resolvePath(selector.endContainer, root);
+  if (!startElement || !endElement) return null;
+  if (selector.startOffset > startElement.textContent.length || selector.endOffset > endElement.textContent.length) return null;
+
+  const start = textOffset(root, startElement, 0) + selector.startOffset;
+  const end = textOffset(root, endElement, 0) + selector.endOffset;
+  return end > start ? rangeFromOffsets(root, start, end) : null;
+}
+
+/**
+ * Nearest element around a boundary point that is part of the page (not a highlight wrapper)
+ */
+function anchorElement(container, root) {
+  let element = container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+  while (element && element !== root && isHighlight(element)) {
+    element = element.parentElement;
+  }
+  return element && root.contains(element) ? element : root;
+}
+
+/**
+ * Path from the root to an element, e.g. "/article[1]/p[3]"; empty for the root itself
+ */
+function pathTo(element, root) {
+  const steps = [];
+  for (let node = element; node && node !== root; node = pageParent(node, root)) {
+    const siblings = pageChildren(pageParent(node, root)).filter(sibling => sibling.localName === node.localName);
+    steps.unshift(`${node.localName}[${siblings.indexOf(node) + 1}]`);
+  }
+  return steps.length > 0 ? `/${steps.join('/')}` : '';
+}
+
+function resolvePath(path, root) {
+  let element = root;
+  for (const step of (path || '').split('/').filter(Boolean)) {
+    const [, name, index] = step.match(/^([^[]+)\[(\d+)\]$/) || [];
+    element = pageChildren(element).filter(child => child.localName === name)[Number(index) - 1];
+    if (!element) return null;
+  }
+  return element;
+}
+
+function pageParent(element, root) {
+  let parent = element.parentElement;
+  while (parent && parent !== root && isHighlight(parent)) {
+    parent = parent.parentElement;
+  }
+  return parent;
+}
+
+/**
+ * Child elements as on the original page: the contents of highlight wrappers count as their parent's
+ */
+function pageChildren(element) {
+  return [...element.children].flatMap(child => (isHighlight(child) ? pageChildren(child) : [child]));
+}
+
+function isHighlight(element) {
+  return element.classList?.contains(HIGHLIGHT_CLASS);
+}
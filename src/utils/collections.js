@@ -0,0 +1,169 @@
+/**
+ * Tags, Collections and Smart Collections
+ * Readings carry `tags` (strings) and `collections` (collection ids). Collection
+ * definitions live in chrome.storage.local under `collections`; smart collections
+ * hold rules instead of members and are evaluated against each reading.
+ */
+
+import { createId } from '../storage/ids.js';
+
+/**
+ * Rule fields a smart collection can use, for building the editor UI
+ */
+export const SMART_RULE_FIELDS = {
+    domain: { label: 'Domain', placeholder: 'e.g. arxiv.org' },
+    dateFrom: { label: 'Saved after', type: 'date' },
+    dateTo: { label: 'Saved before', type: 'date' },
+    hasQuiz: { label: 'Quiz taken', options: [{ value: true, label: 'Yes' }, { value: false, label: 'No' }] },
+    persona: { label: 'Persona used' },
+    generationMethod: { label: 'Generated by', options: [{ value: 'ai', label: 'AI' }, { value: 'fallback', label: 'Fallback' }] },
+};
+
+/**
+ * Normalize a user-entered tag: trimmed, lowercase, single spaces, no leading #
+ */
+export function normalizeTag(tag) {
+    return String(tag || '')
+        .replace(/^#+/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Parse a comma-separated tag list into unique normalized tags
+ */
+export function parseTags(input) {
+    return [...new Set(String(input || '').split(',').map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Create a collection definition
+ * @param {string} name - Display name
+ * @param {Object|null} rules - Smart collection rules, or null for a manual collection
+ */
+export function createCollection(name, rules = null) {
+    return {
+        id: createId('col'),
+        name: name.trim(),
+        type: rules ? 'smart' : 'manual',
+        rules: rules || undefined,
+        createdAt: new Date().toISOString(),
+    };
+}
+
+/**
+ * Count how often each tag is used, most used first
+ * @returns {Array<{tag: string, count: number}>}
+ */
+export function getTagCounts(readings) {
+    const counts = new Map();
+    readings.forEach(reading => {
+        (reading.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Check whether a reading belongs to a collection (manual membership or smart rules)
+ */
+export function isInCollection(reading, collection) {
+    if (collection.type === 'smart') {
+        return matchesSmartRules(reading, collection.rules || {});
+    }
+    return (reading.collections || []).includes(collection.id);
+}
+
+/**
+ * Filter readings by the active sidebar selection
+ * @param {Array} readings - All readings
+ * @param {Object|null} filter - { type: 'tag' | 'collection', value } or null for all
+ * @param {Array} collections - Collection definitions
+ */
+export function filterReadings(readings, filter, collections = []) {
+    if (!filter) return readings;
+
+    if (filter.type === 'tag') {
+        return readings.filter(reading => (reading.tags || []).includes(filter.value));
+    }
+
+    if (filter.type === 'collection') {
+        const collection = collections.find(c => c.id === filter.value);
+        return collection ? readings.filter(reading => isInCollection(reading, collection)) : [];
+    }
+
+    if (filter.type === 'archived') {
+        return readings.filter(reading => reading.archived);
+    }
+
+    return readings;
+}
+
+/**
+ * Midnight in the user's time zone of a YYYY-MM-DD date (as from <input type="date">),
+ * which `new Date()` would otherwise read as midnight UTC
+ * @param {number} addDays - Days to move forward, e.g. 1 for the end of that day
+ * @returns {number} Milliseconds since the epoch
+ */
+function startOfLocalDay(value, addDays = 0) {
+    const [year, month, day] = String(value).split('-').map(Number);
+    if (!year || !month || !day) return new Date(value).getTime();
+    return new Date(year, month - 1, day + addDays).getTime();
+}
+
+/**
+ * Evaluate smart collection rules; every rule that is set must match
+ */
+export function matchesSmartRules(reading, rules) {
+    if (rules.domain) {
+        const hostname = getHostname(reading.url);
+        const domain = rules.domain.toLowerCase().replace(/^www\./, '');
+        if (hostname !== domain && !hostname.endsWith('.' + domain)) return false;
+    }
+
+    const savedAt = new Date(reading.timestamp).getTime();
+    if (rules.dateFrom && !(savedAt >= startOfLocalDay(rules.dateFrom))) return false;
+    // dateTo is inclusive of the whole day
+    if (rules.dateTo && !(savedAt < startOfLocalDay(rules.dateTo, 1))) return false;
+
+    if (rules.hasQuiz !== undefined && rules.hasQuiz !== null) {
+        const hasQuiz = (reading.quizHistory || []).length > 0;
+        if (hasQuiz !== rules.hasQuiz) return false;
+    }
+
+    if (rules.persona && reading.persona !== rules.persona) return false;
+
+    if (rules.generationMethod) {
+        const usedFallback = reading.generationMethod === 'fallback' || reading.usedAI === false;
+        const usedAI = !usedFallback && (reading.usedAI === true || !!reading.generationMethod);
+        if (rules.generationMethod === 'fallback' && !usedFallback) return false;
+        if (rules.generationMethod === 'ai' && !usedAI) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Describe smart rules in one line, e.g. "arxiv.org · AI · quiz taken"
+ */
+export function describeSmartRules(rules = {}, personas = {}) {
+    const parts = [];
+    if (rules.domain) parts.push(rules.domain);
+    if (rules.dateFrom || rules.dateTo) parts.push(`${rules.dateFrom || '…'} → ${rules.dateTo || '…'}`);
+    if (rules.hasQuiz === true) parts.push('quiz taken');
+    if (rules.hasQuiz === false) parts.push('no quiz');
+    if (rules.persona) parts.push(personas[rules.persona]?.name || rules.persona);
+    if (rules.generationMethod) parts.push(rules.generationMethod === 'ai' ? 'AI' : 'fallback');
+    return parts.join(' · ') || 'All readings';
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch {
+        return '';
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Highlight Categories
+ * What a highlight marks: a definition, a question, a piece of evidence...
+ * Each category has a color and a key; Alt+key highlights the selection with it.
+ *
+ * Category fields:
+ *   id, name
+ *   color     - hex color, e.g. "#facc15"
+ *   shortcut  - single letter or digit, used with Alt
+ *
+ * User-defined categories (Options > Highlight categories) replace the defaults.
+ * A highlight keeps its category's id and color; highlights made before categories
+ * have a color name (yellow, green, blue, purple) and no category.
+ *
+ * Content scripts reach it through globalThis.RamiHighlightCategories (content/highlightCategories.js).
+ */
+
+export const DEFAULT_CATEGORIES = [
+  { id: 'definition', name: 'Definition', color: '#facc15', shortcut: '1' },
+  { id: 'question', name: 'Question', color: '#60a5fa', shortcut: '2' },
+  { id: 'evidence', name: 'Evidence', color: '#4ade80', shortcut: '3' },
+  { id: 'idea', name: 'Idea', color: '#c084fc', shortcut: '4' },
+];
+
+// Colors of highlights saved before categories
+const NAMED_COLORS = {
+  yellow: '#ffeb3b',
+  green: '#4caf50',
+  blue: '#2196f3',
+  purple: '#9c27b0',
+};
+
+// Alt+R, Alt+H and Alt+S are taken by reader mode, highlight and summarize
+const RESERVED_SHORTCUTS = ['r', 'h', 's'];
+
+/**
+ * The user's categories, or the defaults when none are set
+ */
+export function getCategories(preferences) {
+  const categories = preferences?.highlightCategories;
+  return Array.isArray(categories) && categories.length > 0 ? categories : DEFAULT_CATEGORIES;
+}
+
+export function findCategory(categories, id) {
+  return id ? categories.find(category => category.id === id) || null : null;
+}
+
+/**
+ * Category whose shortcut is a key, ignoring case
+ */
+export function findByShortcut(categories, key) {
+  const pressed = String(key || '').toLowerCase();
+  return pressed ? categories.find(category => category.shortcut?.toLowerCase() === pressed) || null : null;
+}
+
+/**
+ * Color a highlight is painted with: its category's current color, else its own
+ */
+export function highlightColor(highlight, categories) {
+  return findCategory(categories, highlight.category)?.color || toHex(highlight.color);
+}
+
+/**
+ * Hex color of a color name or hex value
+ */
+export function toHex(color) {
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+  return /^#[0-9a-f]{6}$/i.test(color || '') ? color : NAMED_COLORS.yellow;
+}
+
+/**
+ * Translucent version of a color, for painting over text
+ * @param {string} color - Color name or hex value
+ * @param {number} alpha - Opacity, 0 to 1
+ */
+export function tint(color, alpha = 0.4) {
+  const hex = toHex(color);
+  const [r, g, b] = [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16));
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * @returns {string|null} What is wrong with the category, or null when it can be saved
+ */
+export function validateCategory(category, categories) {
+  const others = categories.filter(other => other.id !== category.id);
+  const shortcut = (category.shortcut || '').toLowerCase();
+
+  if (!category.name?.trim()) return 'Enter a name for the category.';
+  if (others.some(other => other.name.trim().toLowerCase() === category.name.trim().toLowerCase())) {
+    return `There already is a category named "${category.name.trim()}".`;
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(category.color || '')) return 'Pick a color for the category.';
+  if (shortcut) {
+    if (!/^[a-z0-9]$/.test(shortcut)) return 'The shortcut must be a single letter or digit.';
+    if (RESERVED_SHORTCUTS.includes(shortcut)) return `Alt+${shortcut.toUpperCase()} is already used by Rami.`;
+    const taken = others.find(other => other.shortcut?.toLowerCase() === shortcut);
+    if (taken) return `Alt+${shortcut.toUpperCase()} is already used by "${taken.name}".`;
+  }
+  return null;
+}
@@ -1,11 +1,18 @@
+// Formulas: $$…$$ (display) and $…$ (inline). An inline formula has no space just inside
+// its dollars and no digit after the closing one, so "$5 and $10" stays as text.
+const DISPLAY_MATH = /\$\$([\s\S]+?)\$\$/g;
+const INLINE_MATH = /(^|[^\\$\w])\$(?![\s$])((?:\\.|[^\\$\n])+?)(?<!\s)\$(?!\d)/g;
+
 /**
  * Convert Markdown to HTML
- * Supports: bullet points (*), bold (**), italic (*), and line breaks
+ * Supports: bullet points (*), bold (**), italic (*), line breaks and $…$ formulas
+ * @param {Object} options - { renderMath(tex, displayMode): HTML for a formula; shows the TeX by default }
  */
-export function convertMarkdownToHTML(markdown) {
+export function convertMarkdownToHTML(markdown, options = {}) {
   if (!markdown) return '';
 
-  let html = markdown;
+  const formulas = [];
+  let html = extractMath(markdown, formulas, options.renderMath || renderTexSource);
 
   // Convert bullet points (* text) to list items
   const bulletLines = html.split(/\n/).map(line => line.trim()).filter(line => line);
@@ -34,5 +41,276 @@ export function convertMarkdownToHTML(markdown) {
     html = html.replace(/\n/g, '<br>');
   }
 
+  return restoreMath(html, formulas);
+}
+
+/**
+ * Split Markdown into sections at its headings
+ * Text before the first heading becomes a section with an empty title.
+ * @returns {Array<Object>} [{ title, level, text }] where text includes the heading line
+ */
+export function splitMarkdownSections(markdown) {
+  if (!markdown) return [];
+
+  const sections = [];
+  let current = { title: '', level: 0, lines: [] };
+  let fence = null;
+
+  markdown.split('\n').forEach(line => {
+    const fenceMatch = line.match(/^(```|~~~)/);
+    if (fenceMatch) {
+      fence = fence === fenceMatch[1] ? null : fence || fenceMatch[1];
+    }
+
+    const heading = !fence && line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      if (current.lines.join('').trim()) sections.push(current);
+      current = { title: heading[2].trim(), level: heading[1].length, lines: [] };
+    }
+    current.lines.push(line);
+  });
+  if (current.lines.join('').trim()) sections.push(current);
+
+  return sections.map(({ title, level, lines }) => ({ title, level, text: lines.join('\n').trim() }));
+}
+
+/**
+ * Strip Markdown syntax, keeping the words (for search and sentence-based fallbacks)
+ */
+export function markdownToPlainText(markdown) {
+  if (!markdown) return '';
+
+  return markdown
+    .replace(/^<!-- page \d+ -->$/gm, '')
+    .replace(/^\$\$$/gm, '')
+    .replace(DISPLAY_MATH, (_, tex) => tex.trim())
+    .replace(INLINE_MATH, '$1$2')
+    .replace(/^(```|~~~)[^\n]*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/^#{1,6}\s+/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*([-*+]|\d+\.)\s+/gm, '')
+    .replace(/^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/gm, '')
+    .replace(/^\|\s?|\s?\|$/gm, '')
+    .replace(/\s\|\s/g, ' ')
+    .replace(/\\\|/g, '|')
+    .replace(/^-{3,}$/gm, '')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, '$1$2')
+    .replace(/`+([^`]+)`+/g, '$1')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Render article Markdown (as produced by the extractor) to HTML
+ * Supports headings, paragraphs, nested lists, fenced code, quotes, tables,
+ * images, rules, formulas, and inline bold/italic/code/links. Input is escaped first.
+ * `<!-- page N -->` markers from PDF captures become page anchors (`#page-N`).
+ * @param {Object} options - { renderMath(tex, displayMode): HTML for a formula; shows the TeX by default }
+ */
+export function renderMarkdown(markdown, options = {}) {
+  if (!markdown) return '';
+
+  const renderMath = options.renderMath || renderTexSource;
+  const lines = markdown.split('\n');
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(/^(```|~~~)(.*)$/);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const language = fence[2].trim();
+      html.push(`<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ''}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const displayMath = line.trim().match(/^\$\$(.*?)(\$\$)?$/);
+    if (displayMath && (displayMath[2] ? displayMath[1].trim() : !displayMath[1].trim())) {
+      const tex = [displayMath[1]];
+      i++;
+      if (!displayMath[2]) {
+        while (i < lines.length && lines[i].trim() !== '$$') {
+          tex.push(lines[i]);
+          i++;
+        }
+        i++;
+      }
+      html.push(renderMath(tex.join('\n').trim(), true));
+      continue;
+    }
+
+    const page = line.match(/^<!-- page (\d+) -->$/);
+    if (page) {
+      html.push(`<div class="page-anchor" id="page-${page[1]}">Page ${page[1]}</div>`);
+      i++;
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      html.push(`<h${level}>${renderInline(heading[2], renderMath)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^-{3,}$/.test(line.trim())) {
+      html.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (line.startsWith('>')) {
+      const quoted = [];
+      while (i < lines.length && lines[i].startsWith('>')) {
+        quoted.push(lines[i].replace(/^>\s?/, ''));
+        i++;
+      }
+      html.push(`<blockquote>${renderMarkdown(quoted.join('\n'), options)}</blockquote>`);
+      continue;
+    }
+
+    if (/^\s*([-*+]|\d+\.)\s+/.test(line)) {
+      const items = [];
+      while (i < lines.length && /^\s*([-*+]|\d+\.)\s+/.test(lines[i])) {
+        const [, indent, marker, text] = lines[i].match(/^(\s*)([-*+]|\d+\.)\s+(.*)$/);
+        items.push({ depth: Math.floor(indent.length / 2), ordered: /\d/.test(marker), text });
+        i++;
+      }
+      html.push(renderList(items, renderMath));
+      continue;
+    }
+
+    if (line.startsWith('|') && /^\|?\s*:?-{3,}/.test(lines[i + 1] || '')) {
+      const rows = [];
+      while (i < lines.length && lines[i].startsWith('|')) {
+        rows.push(lines[i]);
+        i++;
+      }
+      const cells = (row) => row.replace(/^\|\s?|\s?\|$/g, '').split(/\s\|\s/).map(cell => renderInline(cell.replace(/\\\|/g, '|'), renderMath));
+      const [header, , ...body] = rows;
+      html.push(`<table><thead><tr>${cells(header).map(c => `<th>${c}</th>`).join('')}</tr></thead><tbody>${body.map(row => `<tr>${cells(row).map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && !/^(#{1,6}\s|```|~~~|>|\s*([-*+]|\d+\.)\s|\||<!-- page \d+ -->$|\$\$)/.test(lines[i]) && !/^-{3,}$/.test(lines[i].trim())) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    if (paragraph.length === 0) {
+      // A line that only looked like the start of a block
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(`<p>${paragraph.map(text => renderInline(text, renderMath)).join('<br>')}</p>`);
+  }
+
+  return html.join('\n');
+}
+
+function renderList(items, renderMath) {
+  let html = '';
+  const open = [];
+
+  items.forEach(item => {
+    while (open.length > item.depth + 1) {
+      html += `</li></${open.pop()}>`;
+    }
+    if (open.length === item.depth + 1) {
+      html += '</li>';
+    }
+    while (open.length < item.depth + 1) {
+      const tag = item.ordered ? 'ol' : 'ul';
+      html += `<${tag}>`;
+      open.push(tag);
+    }
+    html += `<li>${renderInline(item.text, renderMath)}`;
+  });
+
+  while (open.length > 0) {
+    html += `</li></${open.pop()}>`;
+  }
   return html;
 }
+
+function renderInline(text, renderMath = renderTexSource) {
+  const codeSpans = [];
+  const formulas = [];
+
+  const html = escapeHtml(text)
+    .replace(/`+([^`]+)`+/g, (_, code) => {
+      codeSpans.push(code.trim());
+      return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+  return extractMath(html, formulas, (tex, displayMode) => renderMath(unescapeHtml(tex), displayMode))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (_, alt, src) => (isSafeUrl(src) ? `<img src="${src}" alt="${alt}">` : alt))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, href) => (isSafeUrl(href) ? `<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>` : label))
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+    .replace(/\u0000(\d+)\u0000/g, (_, index) => `<code>${codeSpans[index]}</code>`)
+    .replace(/\u0001(\d+)\u0001/g, (_, index) => formulas[index]);
+}
+
+/**
+ * Swap formulas for rendered placeholders, so the other Markdown rules leave the TeX alone
+ */
+function extractMath(text, formulas, renderMath) {
+  const placeholder = (html) => {
+    formulas.push(html);
+    return `\u0001${formulas.length - 1}\u0001`;
+  };
+
+  return text
+    .replace(DISPLAY_MATH, (_, tex) => placeholder(renderMath(tex.trim(), true)))
+    .replace(INLINE_MATH, (_, prefix, tex) => prefix + placeholder(renderMath(tex, false)));
+}
+
+function restoreMath(html, formulas) {
+  return html.replace(/\u0001(\d+)\u0001/g, (_, index) => formulas[index]);
+}
+
+/**
+ * Formula shown as its TeX source, for pages without a math renderer
+ */
+function renderTexSource(tex, displayMode) {
+  const code = `<code class="math">${escapeHtml(tex)}</code>`;
+  return displayMode ? `<span class="math-display">${code}</span>` : code;
+}
+
+function isSafeUrl(url) {
+  return /^(https?:|mailto:|data:image\/)/i.test(url.replace(/&amp;/g, '&'));
+}
+
+function unescapeHtml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,28 @@
+/**
+ * Formula Rendering
+ * Renders the $…$ and $$…$$ formulas in readings and summaries with the bundled
+ * KaTeX. Pass `renderTex` as the `renderMath` option of renderMarkdown() or
+ * convertMarkdownToHTML() (markdown.js stays dependency-free for the background worker).
+ *
+ * Extension pages only; reader mode loads the copy in dist/vendor/katex instead.
+ */
+
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+/**
+ * Render one formula to HTML
+ * @param {string} tex - TeX source
+ * @param {boolean} displayMode - Block formula rather than inline
+ */
+export function renderTex(tex, displayMode = false) {
+    try {
+        return katex.renderToString(tex, { displayMode, throwOnError: false });
+    } catch (error) {
+        console.warn('⚠️ Could not render formula:', error.message);
+        const code = document.createElement('code');
+        code.className = 'math';
+        code.textContent = tex;
+        return code.outerHTML;
+    }
+}
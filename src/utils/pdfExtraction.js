@@ -0,0 +1,271 @@
+/**
+ * PDF Text Extraction
+ * Turns a PDF into the same shape the article extractor produces (Markdown, plain
+ * text, title, authors, dates), using the bundled pdf.js.
+ *
+ * Text items are grouped into lines and paragraphs by position; headings are
+ * inferred from font size relative to the body text. Each page starts with a
+ * `<!-- page N -->` anchor so readers and summaries can point back to the page.
+ *
+ * Runs in an extension page (the offscreen document) because pdf.js needs a worker.
+ */
+
+import * as pdfjsLib from 'pdfjs-dist';
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.js?url';
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = workerUrl;
+
+const MAX_PAGES = 500;
+const HEADING_SIZE_RATIO = 1.15; // Lines this much larger than body text may be headings
+const MAX_HEADING_LENGTH = 150;
+const MAX_HEADING_LEVELS = 3;
+const EXCERPT_LENGTH = 300;
+
+/**
+ * Extract text and metadata from a PDF
+ * @param {Object} source - { url } or { data: ArrayBuffer }
+ * @returns {Promise<Object>} { title, byline, authors, publishedAt, modifiedAt, language, excerpt,
+ *   markdown, text, length, pageCount, contentType: 'pdf' }
+ */
+export async function extractPdf(source) {
+    const pdf = await pdfjsLib.getDocument({
+        ...source,
+        isEvalSupported: false,
+        disableFontFace: true,
+    }).promise;
+
+    try {
+        const { info = {}, metadata = null } = await pdf.getMetadata().catch(() => ({}));
+        const pageCount = Math.min(pdf.numPages, MAX_PAGES);
+
+        const pages = [];
+        for (let number = 1; number <= pageCount; number++) {
+            const page = await pdf.getPage(number);
+            const content = await page.getTextContent();
+            pages.push(groupLines(content.items));
+            page.cleanup();
+        }
+
+        const bodySize = getBodyFontSize(pages);
+        removeRunningHeaders(pages, bodySize);
+
+        const headingLevels = getHeadingLevels(pages, bodySize);
+
+        const markdown = pages
+            .map((lines, index) => [`<!-- page ${index + 1} -->`, ...buildBlocks(lines, bodySize, headingLevels)].join('\n\n'))
+            .join('\n\n');
+        const text = markdown
+            .replace(/^<!-- page \d+ -->$/gm, '')
+            .replace(/^#{1,6}\s+/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+
+        const authors = splitAuthors(info.Author || metadata?.get('dc:creator'));
+        const firstParagraph = text.split('\n\n').find(paragraph => paragraph.length > 80) || text;
+
+        return {
+            title: getTitle(info, metadata, pages[0] || [], headingLevels),
+            byline: authors.join(', ') || null,
+            authors,
+            publishedAt: parsePdfDate(info.CreationDate),
+            modifiedAt: parsePdfDate(info.ModDate),
+            language: info.Language || metadata?.get('dc:language') || null,
+            excerpt: firstParagraph.substring(0, EXCERPT_LENGTH),
+            markdown,
+            text,
+            length: text.length,
+            pageCount: pdf.numPages,
+            contentType: 'pdf',
+        };
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Group positioned text items into lines: { text, size, x, y }
+ */
+function groupLines(items) {
+    const lines = [];
+    let current = null;
+
+    items.forEach(item => {
+        if (!item.str && !item.hasEOL) return;
+
+        const [, , c, d, x, y] = item.transform;
+        const size = Math.round((Math.hypot(c, d) || item.height || 0) * 10) / 10;
+
+        const sameLine = current && Math.abs(current.y - y) <= Math.max(size, current.size) * 0.5;
+        if (!sameLine) {
+            if (current?.text.trim()) lines.push(current);
+            current = { text: '', size, x, y, end: x };
+        }
+
+        // A visible gap between items on the same line is a space
+        if (current.text && !/\s$/.test(current.text) && !/^\s/.test(item.str) && x - current.end > size * 0.15) {
+            current.text += ' ';
+        }
+        current.text += item.str;
+        current.size = Math.max(current.size, size);
+        current.end = x + (item.width || 0);
+
+        if (item.hasEOL) {
+            if (current.text.trim()) lines.push(current);
+            current = null;
+        }
+    });
+    if (current?.text.trim()) lines.push(current);
+
+    return lines.map(line => ({ ...line, text: line.text.replace(/\s+/g, ' ').trim() }));
+}
+
+/**
+ * Drop page numbers and lines repeated at the top or bottom of many pages
+ * (journal names, running titles, copyright footers). Lines set larger than
+ * the body text are kept: those are headings that happen to start a page.
+ */
+function removeRunningHeaders(pages, bodySize) {
+    if (pages.length < 3) return;
+
+    const edgeCounts = new Map();
+    const edgeKey = (text) => text.replace(/\d+/g, '#').toLowerCase();
+    pages.forEach(lines => {
+        const edges = new Set([...lines.slice(0, 2), ...lines.slice(-2)].map(line => edgeKey(line.text)));
+        edges.forEach(key => edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1));
+    });
+
+    const threshold = Math.max(3, pages.length * 0.5);
+    pages.forEach((lines, index) => {
+        pages[index] = lines.filter((line, position) => {
+            const atEdge = position < 2 || position >= lines.length - 2;
+            if (!atEdge || line.size > bodySize) return true;
+            if (/^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i.test(line.text)) return false;
+            return (edgeCounts.get(edgeKey(line.text)) || 0) < threshold;
+        });
+    });
+}
+
+/**
+ * The font size most of the text is set in
+ */
+function getBodyFontSize(pages) {
+    const characters = new Map();
+    pages.flat().forEach(line => {
+        characters.set(line.size, (characters.get(line.size) || 0) + line.text.length);
+    });
+
+    let bodySize = 0;
+    let most = 0;
+    characters.forEach((count, size) => {
+        if (count > most) {
+            most = count;
+            bodySize = size;
+        }
+    });
+    return bodySize;
+}
+
+/**
+ * Map the largest heading-like font sizes to heading levels 1-3
+ * @returns {Map<number, number>} font size -> level
+ */
+function getHeadingLevels(pages, bodySize) {
+    const lines = pages.flat();
+    const counts = new Map();
+
+    lines.forEach(line => {
+        if (line.size >= bodySize * HEADING_SIZE_RATIO && line.text.length <= MAX_HEADING_LENGTH && /\p{L}/u.test(line.text)) {
+            counts.set(line.size, (counts.get(line.size) || 0) + 1);
+        }
+    });
+
+    // A size used for a large share of lines is a second body font, not headings
+    const sizes = [...counts.entries()]
+        .filter(([, count]) => count <= Math.max(5, lines.length * 0.1))
+        .map(([size]) => size)
+        .sort((a, b) => b - a)
+        .slice(0, MAX_HEADING_LEVELS);
+
+    return new Map(sizes.map((size, index) => [size, index + 1]));
+}
+
+/**
+ * Build Markdown blocks for a page: headings, and paragraphs from consecutive lines
+ */
+function buildBlocks(lines, bodySize, headingLevels) {
+    const blocks = [];
+    let paragraph = null;
+    let previousLevel = null;
+
+    const flush = () => {
+        if (paragraph) blocks.push(paragraph.text);
+        paragraph = null;
+    };
+
+    lines.forEach(line => {
+        const level = line.text.length <= MAX_HEADING_LENGTH ? headingLevels.get(line.size) : null;
+        const wrappedHeading = level && level === previousLevel;
+        previousLevel = level || null;
+
+        if (level) {
+            flush();
+            // Headings that wrap arrive as consecutive lines of the same size
+            if (wrappedHeading) {
+                blocks[blocks.length - 1] += ` ${line.text}`;
+            } else {
+                blocks.push(`${'#'.repeat(level)} ${line.text}`);
+            }
+            return;
+        }
+
+        const gap = paragraph ? paragraph.y - line.y : 0;
+        const continues = paragraph
+            && Math.abs(paragraph.size - line.size) < 1
+            && gap > 0
+            && gap <= Math.max(line.size, bodySize) * 1.8;
+
+        if (!continues) {
+            flush();
+            paragraph = { text: line.text, size: line.size, y: line.y };
+            return;
+        }
+
+        // Re-join words hyphenated across lines
+        paragraph.text = /\p{L}-$/u.test(paragraph.text) && /^\p{Ll}/u.test(line.text)
+            ? paragraph.text.slice(0, -1) + line.text
+            : `${paragraph.text} ${line.text}`;
+        paragraph.y = line.y;
+    });
+    flush();
+
+    return blocks;
+}
+
+function getTitle(info, metadata, firstPage, headingLevels) {
+    const declared = (metadata?.get('dc:title') || info.Title || '').trim();
+
+    // Producers often store the file name or a placeholder as the title
+    if (declared && !/^(untitled|microsoft word|document\d*$)|\.(docx?|pdf|tex|dvi)$/i.test(declared)) {
+        return declared;
+    }
+
+    const heading = firstPage.find(line => headingLevels.get(line.size) === 1)
+        || [...firstPage].sort((a, b) => b.size - a.size)[0];
+    return heading?.text || declared || '';
+}
+
+function splitAuthors(value) {
+    if (!value) return [];
+    const list = Array.isArray(value) ? value : String(value).split(/\s*(?:;|,|\band\b|&)\s*/i);
+    return list.map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * PDF dates look like "D:20210304120000+01'00'"
+ */
+function parsePdfDate(value) {
+    if (!value) return null;
+
+    const date = pdfjsLib.PDFDateString.toDateObject(value);
+    return date && !isNaN(date) ? date.toISOString() : null;
+}
@@ -4,6 +4,7 @@
  */
 
 import { queryLanguageModel } from './summarize.js';
+import { splitMarkdownSections, markdownToPlainText } from './markdown.js';
 
 /**
  * Robust wrapper for AI queries with error handling
@@ -52,7 +53,7 @@ async function queryAI(prompt, options = {}) {
 /**
  * Generate quiz from reading with enhanced AI
  * Uses the AI summary to create better, more focused questions
- * @param {Object} reading - Reading object with title, content, and optional aiSummary
+ * @param {Object} reading - Reading object with title, content, and optional summary
  * @param {Object} options - Generation options
  * @returns {Promise<Object>} Generated quiz
  */
@@ -68,18 +69,19 @@ export async function generateQuizFromReading(reading, options = {}) {
     console.log('📊 Question count:', questionCount);
 
     // Validate input
-    if (!reading || !reading.content) {
+    // Compacted readings no longer have their full text; quiz from the summary instead
+    if (!reading || !(reading.content || reading.summary)) {
         throw new Error('Invalid reading: content is required');
     }
 
-    const contentText = reading.text || reading.content;
+    const contentText = reading.content || reading.summary;
     if (contentText.length < 100) {
         throw new Error('Content too short (minimum 100 characters required)');
     }
 
     try {
         // Step 1: Get or use existing AI summary
-        let summary = reading.aiSummary || reading.summary;
+        let summary = reading.summary;
 
         if (!summary) {
             console.log('📝 No existing summary found, generating one...');
@@ -132,6 +134,20 @@ export async function generateQuizFromReading(reading, options = {}) {
     }
 }
 
+/**
+ * Take an equal share of the budget from the start of every section,
+ * so questions can cover the whole article rather than its opening
+ */
+function excerptSections(content, maxLength) {
+    const sections = splitMarkdownSections(content);
+    if (sections.length <= 1) {
+        return content.substring(0, maxLength);
+    }
+
+    const share = Math.floor(maxLength / sections.length);
+    return sections.map(section => section.text.substring(0, share)).join('\n\n');
+}
+
 /**
  * Generate a brief summary if one doesn't exist
  */
@@ -200,8 +216,8 @@ async function generateQuestionsFromSummaryAndContent(
 CONTENT SUMMARY:
 ${summary}
 
-FULL CONTENT (for reference):
-${content.substring(0, 2500)}
+FULL CONTENT (for reference, an excerpt from each section):
+${excerptSections(content, 2500)}
 
 Create EXACTLY ${requestedCount} high-quality quiz questions that are ${settings.description}.
 Focus on ${settings.focusOn}.
@@ -450,6 +466,7 @@ async function generateFallbackQuiz(text, questionCount = 5) {
     console.log('🔄 Using improved fallback quiz generation...');
 
     // Clean and prepare text
+    text = markdownToPlainText(text);
     const cleanText = text.replace(/\s+/g, ' ').trim();
     const sentences = cleanText.split(/[.!?]+/).filter(s => s.trim().length > 20);
 
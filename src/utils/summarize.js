@@ -16,6 +16,8 @@
  * - ~800-1000 word comprehensive summaries
  */
 
+import { splitMarkdownSections, markdownToPlainText } from './markdown.js';
+
 // Persona configurations that modify AI behavior
 export const PERSONAS = {
     strategist: {
@@ -160,6 +162,7 @@ export async function checkAIAvailability() {
  * @param {string} options.persona - AI persona to use (default: 'strategist')
  * @param {boolean} options.enhanced - Use enhanced structured format (default: true)
  * @param {string} options.length - Summary length: 'short', 'medium', 'long' (default: 'long')
+ * @param {Object[]} options.figures - The reading's figures ({ src, alt, caption }), given as context
  * @returns {Promise<Object>} { success, summary, method, persona }
  */
 export async function summarizeText(text, options = {}) {
@@ -168,10 +171,12 @@ export async function summarizeText(text, options = {}) {
             type = 'key-points',
             length = 'long',
             persona = 'strategist',
-            enhanced = true
+            enhanced = true,
+            figures = []
         } = options;
 
         const personaConfig = PERSONAS[persona];
+        const figureContext = describeFigures(figures);
 
         console.log('🚀 Starting summarization...');
         console.log('📊 Text length:', text?.length, 'characters');
@@ -197,7 +202,7 @@ export async function summarizeText(text, options = {}) {
 
 CONTENT TO SUMMARIZE${isTruncated ? ' (first 8000 characters)' : ''}:
 ${truncatedText}
-
+${figureContext ? `\n${figureContext}\nRefer to these figures where they illustrate a concept.\n` : ''}
 Create a COMPREHENSIVE, EDUCATIONAL summary following this format:
 
 📌 CORE CONCEPT
@@ -246,6 +251,7 @@ CRITICAL REQUIREMENTS FOR EDUCATIONAL CONTENT:
 ✓ For experiments: describe what actually happened, not just vague references
 ✓ Include specific details: procedures, subjects (dogs, rats, children), stimuli used, results observed
 ✓ Define all technical terms clearly
+✓ Keep formulas in TeX between dollar signs, as the content writes them (e.g. $E = mc^2$)
 ✓ Focus on substantive educational content, not metadata (ignore article authors, website info, publication details)
 ✓ Make it comprehensive enough that someone could learn the topic from this summary alone
 
@@ -294,7 +300,7 @@ CRITICAL REQUIREMENTS FOR EDUCATIONAL CONTENT:
                         sharedContext: personaConfig.systemPrompt
                     });
 
-                    const summary = await summarizer.summarize(text);
+                    const summary = await summarizer.summarize(text, figureContext ? { context: figureContext } : undefined);
                     await summarizer.destroy();
 
                     return {
@@ -348,6 +354,19 @@ CRITICAL REQUIREMENTS FOR EDUCATIONAL CONTENT:
     }
 }
 
+/**
+ * The figures of a reading as prompt context: captions, or alt text for images without one
+ * @returns {string} Empty when no figure has a description
+ */
+function describeFigures(figures = []) {
+    const lines = figures
+        .map(figure => figure.caption || figure.alt)
+        .filter(Boolean)
+        .map((description, index) => `- Figure ${index + 1}: ${description}`);
+
+    return lines.length > 0 ? `FIGURES IN THE ARTICLE:\n${lines.join('\n')}` : '';
+}
+
 /**
  * 🔧 Enhanced fallback summarization
  * Extracts key information intelligently when AI is unavailable
@@ -355,6 +374,9 @@ CRITICAL REQUIREMENTS FOR EDUCATIONAL CONTENT:
 async function enhancedFallbackSummarize(text, options = {}) {
     console.log('🔄 Using enhanced fallback extraction...');
 
+    // Sentence matching works on the words, not the Markdown syntax
+    text = markdownToPlainText(text);
+
     const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
 
     if (sentences.length === 0) {
@@ -574,26 +596,9 @@ async function intelligentTextCompression(text, targetLength, depth = 0) {
 
     // Recursive case: split, summarize, recurse
     const CHUNK_SIZE = 20000;
-    const chunks = [];
-
-    // Split into chunks at paragraph boundaries when possible
-    for (let i = 0; i < text.length; i += CHUNK_SIZE) {
-        let chunkEnd = Math.min(i + CHUNK_SIZE, text.length);
-
-        // Find paragraph break near boundary
-        if (chunkEnd < text.length) {
-            const searchStart = Math.max(0, chunkEnd - 300);
-            const searchEnd = Math.min(text.length, chunkEnd + 300);
-            const segment = text.substring(searchStart, searchEnd);
-            const breakPos = segment.indexOf('\n\n');
-
-            if (breakPos !== -1) {
-                chunkEnd = searchStart + breakPos;
-            }
-        }
 
-        chunks.push(text.substring(i, chunkEnd).trim());
-    }
+    // Split into chunks at section (Markdown heading) boundaries when possible
+    const chunks = chunkBySections(text, CHUNK_SIZE);
 
     console.log(`${'  '.repeat(depth)}📊 Split into ${chunks.length} chunks, summarizing each...`);
 
@@ -616,7 +621,12 @@ async function intelligentTextCompression(text, targetLength, depth = 0) {
     });
 
     const summaries = await Promise.all(summaryPromises);
-    const combined = summaries.join('\n\n');
+
+    // Keep each chunk's first heading so the next pass still sees the article's sections
+    const combined = summaries.map((summary, idx) => {
+        const heading = chunks[idx].match(/^#{1,6}\s+.*$/m)?.[0];
+        return heading ? `${heading}\n\n${summary}` : summary;
+    }).join('\n\n');
 
     console.log(`${'  '.repeat(depth)}📝 Combined summaries: ${combined.length} chars`);
 
@@ -631,10 +641,64 @@ async function intelligentTextCompression(text, targetLength, depth = 0) {
     return await intelligentTextCompression(combined, targetLength, depth + 1);
 }
 
+/**
+ * Group whole sections into chunks of at most chunkSize characters
+ * Sections longer than a chunk are split at paragraph breaks.
+ */
+function chunkBySections(text, chunkSize) {
+    const chunks = [];
+    let current = '';
+
+    splitMarkdownSections(text).forEach(section => {
+        if (current && current.length + section.text.length + 2 > chunkSize) {
+            chunks.push(current);
+            current = '';
+        }
+
+        if (section.text.length > chunkSize) {
+            chunks.push(...chunkByParagraphs(section.text, chunkSize));
+        } else {
+            current = current ? `${current}\n\n${section.text}` : section.text;
+        }
+    });
+    if (current) chunks.push(current);
+
+    return chunks;
+}
+
+/**
+ * Split text into chunks of about chunkSize characters, at paragraph breaks when possible
+ */
+function chunkByParagraphs(text, chunkSize) {
+    const chunks = [];
+
+    for (let i = 0; i < text.length;) {
+        let chunkEnd = Math.min(i + chunkSize, text.length);
+
+        // Find paragraph break near boundary
+        if (chunkEnd < text.length) {
+            const searchStart = Math.max(i + 1, chunkEnd - 300);
+            const searchEnd = Math.min(text.length, chunkEnd + 300);
+            const segment = text.substring(searchStart, searchEnd);
+            const breakPos = segment.indexOf('\n\n');
+
+            if (breakPos !== -1) {
+                chunkEnd = searchStart + breakPos;
+            }
+        }
+
+        chunks.push(text.substring(i, chunkEnd).trim());
+        i = chunkEnd;
+    }
+
+    return chunks.filter(Boolean);
+}
+
 /**
  * Fallback: extract key sentences from text
  */
 function extractKeySentences(text, maxLength) {
+    text = markdownToPlainText(text);
     const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
     let result = '';
 
@@ -662,7 +726,7 @@ function sanitizeLabel(label) {
  * Extract key concepts and relationships from text for mindmap generation
  */
 export async function extractConcepts(text, options = {}) {
-    const { persona = 'architect', maxConcepts = 100 } = options;
+    const { persona = 'architect', maxConcepts = 100, figures = [] } = options;
     const DEBUG = false; // Set to true for verbose logging
 
     if (DEBUG) console.log('🔍 extractConcepts called with:', { textLength: text?.length, persona, maxConcepts });
@@ -687,6 +751,7 @@ export async function extractConcepts(text, options = {}) {
             persona,
             length: 'long', // Use long format for comprehensive summaries
             enhanced: true, // Use enhanced structured format
+            figures,
         });
         if (summaryResult.success && summaryResult.summary) {
             aiSummary = summaryResult.summary;
@@ -699,6 +764,7 @@ export async function extractConcepts(text, options = {}) {
     // Get persona-specific instructions
     const personaConfig = PERSONAS[persona] || PERSONAS.architect;
     const personaInstructions = getPersonaMindmapInstructions(persona);
+    const figureContext = describeFigures(figures);
 
     // Simplified, clearer prompt with stronger validation emphasis
     const prompt = `Create a hierarchical mindmap from the text below. Extract ONE main concept and organize supporting ideas in a tree structure.
@@ -732,9 +798,9 @@ Example with children:
   {"id": "sec-3", "label": "Also No Details", "type": "secondary", "connections": []}
 ]
 
-TEXT TO ANALYZE:
+TEXT TO ANALYZE (Markdown; its ## headings mark the article's sections - use them as natural secondary concepts):
 ${processedText}
-
+${figureContext ? `\n${figureContext}\n` : ''}
 Return ONLY the JSON array. Validate all connection IDs exist!`;
 
     try {
@@ -1038,6 +1104,56 @@ Explain "${conceptLabel}":`;
     };
 }
 
+/**
+ * Explain a highlighted passage in plain words, using the text around it
+ * Used by the note popover on highlights in the page. Unlike explainConcept there
+ * is no canned fallback: a made-up explanation could end up saved in a note.
+ */
+export async function explainPassage(passage, contextText = '', options = {}) {
+    const { persona = 'mentor' } = options;
+
+    console.log('📖 explainPassage called for', passage.length, 'characters');
+
+    const prompt = `Explain the following passage in plain words.
+
+PASSAGE:
+"${passage.substring(0, 1500)}"
+
+TEXT AROUND IT:
+${contextText.substring(0, 2000)}
+
+INSTRUCTIONS:
+- Keep the explanation to 2-4 sentences
+- Say what the passage means and why it matters in its context
+- Define technical terms it relies on
+- Keep formulas in TeX between dollar signs ($...$)
+
+Explanation:`;
+
+    try {
+        const result = await queryLanguageModel(prompt, {
+            persona,
+            maxTokens: 600,
+            temperature: 0.5
+        });
+
+        if (result?.response && result.method !== 'mock') {
+            return {
+                success: true,
+                explanation: result.response.trim().replace(/^Explanation:\s*/i, ''),
+                method: result.method
+            };
+        }
+    } catch (error) {
+        console.error('❌ Failed to explain passage:', error);
+    }
+
+    return {
+        success: false,
+        error: 'On-device AI is not available to explain this passage.'
+    };
+}
+
 /**
  * Generate prompt chain for reasoning flows
  */
@@ -1076,6 +1192,8 @@ async function applyPersonaTone(text, personaConfig) {
  * Focuses on educational content, examples, and key concepts
  */
 async function fallbackSummarize(text, options = {}) {
+    text = markdownToPlainText(text);
+
     // Split into sentences
     const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
 
@@ -1173,6 +1291,7 @@ async function mockExtractConcepts(text, options = {}) {
     await new Promise(resolve => setTimeout(resolve, 500));
 
     // Extract meaningful phrases and words
+    text = markdownToPlainText(text);
     const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
     const words = text.split(/\s+/).filter(w => w.length > 5);
 
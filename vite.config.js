@@ -1,14 +1,17 @@
-import { defineConfig } from 'vite';
+import { defineConfig, build } from 'vite';
 import react from '@vitejs/plugin-react';
 import { resolve } from 'path';
 import { copyFileSync, mkdirSync, existsSync, cpSync } from 'fs';
 
+// Content scripts that import shared modules; each is bundled into a classic script
+const BUNDLED_CONTENT_SCRIPTS = ['anchoring', 'highlightCategories'];
+
 export default defineConfig({
   plugins: [
     react(),
     {
       name: 'copy-files',
-      closeBundle() {
+      async closeBundle() {
         // Copy manifest
         copyFileSync('manifest.json', 'dist/manifest.json');
 
@@ -16,6 +19,7 @@ export default defineConfig({
         mkdirSync('dist/src/background', { recursive: true });
         mkdirSync('dist/src/content', { recursive: true });
         mkdirSync('dist/src/utils', { recursive: true });
+        mkdirSync('dist/src/storage', { recursive: true });
         mkdirSync('dist/icons', { recursive: true });
 
         // Copy background script
@@ -23,10 +27,40 @@ export default defineConfig({
 
         // Copy utils (needed by background script)
         copyFileSync('src/utils/summarize.js', 'dist/src/utils/summarize.js');
+        copyFileSync('src/utils/markdown.js', 'dist/src/utils/markdown.js');
+        copyFileSync('src/utils/highlightCategories.js', 'dist/src/utils/highlightCategories.js');
+
+        // Copy storage modules (imported by background script)
+        cpSync('src/storage', 'dist/src/storage', { recursive: true });
+
+        // Copy content scripts (reader and the shared article extractor)
+        cpSync('src/content', 'dist/src/content', { recursive: true });
+
+        // Content scripts can't use import; replace the copies of those that do with bundles
+        for (const name of BUNDLED_CONTENT_SCRIPTS) {
+          await build({
+            configFile: false,
+            logLevel: 'warn',
+            build: {
+              lib: {
+                entry: resolve(__dirname, `src/content/${name}.js`),
+                formats: ['iife'],
+                name,
+                fileName: () => `${name}.js`,
+              },
+              outDir: 'dist/src/content',
+              emptyOutDir: false,
+              copyPublicDir: false,
+              minify: false,
+            },
+          });
+        }
 
-        // Copy content scripts
-        copyFileSync('src/content/reader.js', 'dist/src/content/reader.js');
-        copyFileSync('src/content/reader.css', 'dist/src/content/reader.css');
+        // Copy KaTeX for formulas in reader mode (loaded into pages on demand)
+        mkdirSync('dist/vendor/katex', { recursive: true });
+        copyFileSync('node_modules/katex/dist/katex.min.js', 'dist/vendor/katex/katex.min.js');
+        copyFileSync('node_modules/katex/dist/katex.min.css', 'dist/vendor/katex/katex.min.css');
+        cpSync('node_modules/katex/dist/fonts', 'dist/vendor/katex/fonts', { recursive: true });
 
         // Copy icons folder
         if (existsSync('icons')) {
@@ -43,6 +77,7 @@ export default defineConfig({
         popup: resolve(__dirname, 'index.html'),
         options: resolve(__dirname, 'options.html'),
         dashboard: resolve(__dirname, 'dashboard.html'),
+        offscreen: resolve(__dirname, 'offscreen.html'),
       },
       output: {
         entryFileNames: 'assets/[name].js',